@@ -0,0 +1,305 @@
+// admin.js — operator API behind /admin/*, for wallets listed in ADMIN_WALLETS
+//
+//   GET  /admin/me                    { wallet } when the session is an operator's
+//   GET  /admin/overview              bankroll (house tokens vs credits owed) and pauses
+//   GET  /admin/ggr?days=7            bets, payouts and GGR per UTC day, newest first
+//   GET  /admin/deposits/pending      deposits whose transfer hasn't been found on chain yet
+//   GET  /admin/withdrawals/failed    withdrawals that expired unconfirmed (credits refunded)
+//   GET  /admin/audit?limit=&offset=  operator actions, newest first
+//   POST /admin/adjust                { player, amount, reason }   signed credit change, Idempotency-Key header
+//   POST /admin/freeze                { player, frozen, reason }
+//   POST /admin/pause                 { games?, withdrawals?, reason }
+//   GET  /admin/announcements         every post, drafts and expired ones included
+//   POST /admin/announcements         { title, body, publish_at?, expires_at?, pinned?, banner? }
+//   PUT  /admin/announcements/:id     any of the same fields
+//   DELETE /admin/announcements/:id
+//
+// Adjustments, freezes and pauses need a reason and land in the audit log. The
+// target wallet is `player`, since requireAuth reserves `wallet` for the caller's own.
+const express = require('express');
+const store = require('./store');
+const chain = require('./chain');
+const controls = require('./controls');
+const announcements = require('./announcements');
+const { requireAuth } = require('./auth');
+const { applyCredit, LedgerError } = require('./ledger');
+const { depositStatus } = require('./deposits');
+const { withdrawalStatus } = require('./withdrawals');
+const money = require('./money');
+const tokens = require('./tokens');
+const { ADMIN_WALLETS, ADMIN_MAX_ADJUSTMENT, APP_WALLET } = require('./config');
+
+const MAX_GGR_DAYS = 90;
+const MAX_LIST = 200;
+
+function requireAdmin(req, res, next) {
+  if (!ADMIN_WALLETS.includes(req.wallet)) return res.status(403).json({ error: 'Admins only' });
+  next();
+}
+
+// --- Audit log: who did what to whom, and why ---
+// A `ref` is unique: the row already logged under it is returned instead of a second one
+async function audit(req, action, { wallet = null, details = {}, ref = null } = {}) {
+  const logged = await store.audit.insert({ admin: req.wallet, action, wallet, reason: req.body.reason.trim(), details, ref });
+  if (logged || ref === null) return logged;
+  const [existing] = await store.audit.find({ ref }, { limit: 1 });
+  return existing;
+}
+
+function requireReason(req, res, next) {
+  const { reason } = req.body;
+  if (typeof reason !== 'string' || !reason.trim()) return res.status(400).json({ error: 'A reason is required' });
+  if (reason.length > 500) return res.status(400).json({ error: 'Reason is too long' });
+  next();
+}
+
+// --- House bankroll: every token on chain, valued in credits, against everything owed to players ---
+async function bankroll() {
+  const registered = tokens.list();
+  const [balances, players, frozen, open] = await Promise.all([
+    Promise.all(registered.map(token => chain.getBalance(token.contract, APP_WALLET, token.symbol))),
+    store.reports.outstanding(),
+    store.players.find({ frozen: true }),
+    store.withdrawals.find({ status: ['requested', 'broadcasting'] })
+  ]);
+
+  const held = registered.map((token, i) => {
+    const chainBalance = balances[i] ? money.parseAsset(balances[i]).amount : 0;
+    // Already debited from players, not yet sent
+    const inFlight = open.filter(w => w.token === token.symbol);
+    return {
+      symbol: token.symbol,
+      contract: token.contract,
+      enabled: token.enabled,
+      chain_balance: chainBalance,
+      in_flight: money.sum(inFlight.map(w => money.parseAsset(w.quantity).amount), token.precision),
+      in_flight_credits: money.sum(inFlight.map(w => w.credits)),
+      // Unpriced tokens (disabled with no rate) count for nothing
+      value_credits: token.rate ? money.tokenToCredits(chainBalance, token) : 0
+    };
+  });
+
+  const chainCredits = money.sum(held.map(t => t.value_credits));
+  const outstandingCredits = players.credits;
+  const inFlightCredits = money.sum(held.map(t => t.in_flight_credits));
+  const owedCredits = money.sum([outstandingCredits, inFlightCredits]);
+
+  return {
+    app_wallet: APP_WALLET,
+    tokens: held,
+    chain_credits: chainCredits,
+    outstanding_credits: outstandingCredits,
+    in_flight_withdrawals_credits: inFlightCredits,
+    surplus_credits: money.sum([chainCredits, -owedCredits]),
+    coverage: owedCredits > 0 ? chainCredits / owedCredits : null,
+    players: players.players,
+    frozen_players: frozen.map(p => p.wallet)
+  };
+}
+
+// --- Gross gaming revenue per UTC day: bets on finished games minus what they paid ---
+async function dailyGgr(days) {
+  const since = new Date();
+  since.setUTCHours(0, 0, 0, 0);
+  since.setUTCDate(since.getUTCDate() - (days - 1));
+
+  const totals = new Map((await store.reports.dailyGgr(since.toISOString())).map(day => [day.date, day]));
+  const daily = [];
+  for (let i = 0; i < days; i++) {
+    const date = new Date(since.getTime() + i * 86400000).toISOString().slice(0, 10);
+    const { games = 0, bets = 0, payouts = 0 } = totals.get(date) || {};
+    daily.push({ date, games, bets, payouts, ggr: money.sum([bets, -payouts]) });
+  }
+
+  return daily.reverse();
+}
+
+// --- Routes ---
+const router = express.Router();
+router.use(requireAuth, requireAdmin);
+
+router.get('/me', (req, res) => {
+  res.json({ wallet: req.wallet, admin: true });
+});
+
+router.get('/overview', async (req, res) => {
+  try {
+    res.json({ bankroll: await bankroll(), paused: await controls.pauses() });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to load overview', details: err.message });
+  }
+});
+
+router.get('/ggr', async (req, res) => {
+  const days = req.query.days === undefined ? 7 : Number(req.query.days);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_GGR_DAYS)
+    return res.status(400).json({ error: `days must be 1-${MAX_GGR_DAYS}` });
+
+  try {
+    const daily = await dailyGgr(days);
+    const total = {
+      games: daily.reduce((sum, d) => sum + d.games, 0),
+      bets: money.sum(daily.map(d => d.bets)),
+      payouts: money.sum(daily.map(d => d.payouts)),
+      ggr: money.sum(daily.map(d => d.ggr))
+    };
+    res.json({ days, daily, total });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to compute GGR', details: err.message });
+  }
+});
+
+router.get('/deposits/pending', async (req, res) => {
+  try {
+    const rows = await store.deposits.find({ status: 'pending', verified: false }, { order: 'created_at', limit: MAX_LIST });
+    res.json({ deposits: rows.map(d => ({ ...depositStatus(d), sender: d.sender, created_at: d.created_at })) });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch deposits', details: err.message });
+  }
+});
+
+router.get('/withdrawals/failed', async (req, res) => {
+  try {
+    const rows = await store.withdrawals.find({ status: 'failed' }, { order: 'created_at', ascending: false, limit: MAX_LIST });
+    res.json({ withdrawals: rows.map(w => ({ ...withdrawalStatus(w), wallet: w.wallet, attempts: w.attempts })) });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch withdrawals', details: err.message });
+  }
+});
+
+router.get('/audit', async (req, res) => {
+  const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+  const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIST || !Number.isInteger(offset) || offset < 0)
+    return res.status(400).json({ error: `limit must be 1-${MAX_LIST} and offset 0 or more` });
+
+  try {
+    const entries = await store.audit.find({}, { order: 'id', ascending: false, limit, offset });
+    res.json({ entries, limit, offset });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch audit log', details: err.message });
+  }
+});
+
+// The idempotency key is the ledger ref (per operator), so a resubmitted
+// adjustment answers with the one already applied instead of applying it twice.
+// The audit row shares the ref: a retry writes it if the first attempt stopped
+// between the ledger and the audit log.
+router.post('/adjust', requireReason, async (req, res) => {
+  const { player } = req.body;
+  const amount = Number(req.body.amount);
+  const idempotencyKey = req.get('Idempotency-Key') || req.body.idempotency_key;
+  if (!player || !chain.isAccountName(player)) return res.status(400).json({ error: 'Invalid player wallet' });
+  if (money.parseAmount(Math.abs(amount)) === null || Math.abs(amount) > ADMIN_MAX_ADJUSTMENT)
+    return res.status(400).json({ error: `amount must be non-zero whole cents, at most ${ADMIN_MAX_ADJUSTMENT} either way` });
+  if (!idempotencyKey || String(idempotencyKey).length > 100)
+    return res.status(400).json({ error: 'Missing or invalid idempotency key' });
+
+  try {
+    const ref = `${req.wallet}:${idempotencyKey}`;
+    let entry;
+    try {
+      entry = await applyCredit(player, amount, 'admin_adjustment', ref);
+    } catch (err) {
+      if (!(err instanceof LedgerError)) throw err;
+      if (err.code === 'PLAYER_NOT_FOUND') return res.status(404).json({ error: 'Player not found' });
+      if (err.code === 'INSUFFICIENT_CREDITS') return res.status(400).json({ error: 'Adjustment would make the balance negative' });
+      if (err.code !== 'DUPLICATE_ENTRY') throw err;
+
+      const [applied] = await store.ledger.entries.find({ reason: 'admin_adjustment', ref }, { limit: 1 });
+      if (applied.wallet !== player || Number(applied.delta) !== amount)
+        return res.status(409).json({ error: 'Idempotency key already used for a different adjustment' });
+      const logged = await audit(req, 'adjust', { wallet: player, ref, details: { amount, ref, balance: Number(applied.balance) } });
+      return res.json({ player, amount, balance: Number(applied.balance), audit_id: logged.id, duplicate: true });
+    }
+
+    const logged = await audit(req, 'adjust', { wallet: player, ref, details: { amount, ref, balance: entry.balance } });
+    res.json({ player, amount, balance: entry.balance, audit_id: logged.id });
+  } catch (err) {
+    res.status(500).json({ error: 'Adjustment failed', details: err.message });
+  }
+});
+
+router.post('/freeze', requireReason, async (req, res) => {
+  const { player } = req.body;
+  const frozen = req.body.frozen !== false;
+  if (!player || !chain.isAccountName(player)) return res.status(400).json({ error: 'Invalid player wallet' });
+
+  try {
+    const updated = await controls.setFrozen(player, frozen);
+    if (!updated) return res.status(404).json({ error: 'Player not found' });
+    await audit(req, frozen ? 'freeze' : 'unfreeze', { wallet: player });
+    res.json({ player, frozen });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to update player', details: err.message });
+  }
+});
+
+router.post('/pause', requireReason, async (req, res) => {
+  const changes = controls.PAUSES.filter(what => typeof req.body[what] === 'boolean');
+  if (!changes.length) return res.status(400).json({ error: `Set ${controls.PAUSES.join(' and/or ')} to true or false` });
+
+  try {
+    for (const what of changes) {
+      await controls.setPaused(what, req.body[what]);
+      await audit(req, req.body[what] ? 'pause' : 'resume', { details: { what } });
+    }
+    announcements.changed(); // pause banners
+    res.json({ paused: await controls.pauses() });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to update pauses', details: err.message });
+  }
+});
+
+// --- Announcements (announcements.js) ---
+function announcementId(req) {
+  const id = Number(req.params.id);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+router.get('/announcements', async (req, res) => {
+  try {
+    res.json({ announcements: await announcements.listAll() });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch announcements', details: err.message });
+  }
+});
+
+router.post('/announcements', async (req, res) => {
+  const { fields, error } = announcements.parseAnnouncement(req.body);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    res.status(201).json(await announcements.create(fields, req.wallet));
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to create announcement', details: err.message });
+  }
+});
+
+router.put('/announcements/:id', async (req, res) => {
+  const id = announcementId(req);
+  const { fields, error } = announcements.parseAnnouncement(req.body, { partial: true });
+  if (!id) return res.status(404).json({ error: 'Announcement not found' });
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const post = await announcements.update(id, fields);
+    if (!post) return res.status(404).json({ error: 'Announcement not found' });
+    res.json(post);
+  } catch (err) {
+    if (err instanceof RangeError) return res.status(400).json({ error: err.message });
+    res.status(500).json({ error: 'Failed to update announcement', details: err.message });
+  }
+});
+
+router.delete('/announcements/:id', async (req, res) => {
+  const id = announcementId(req);
+  try {
+    if (!id || !(await announcements.remove(id))) return res.status(404).json({ error: 'Announcement not found' });
+    res.json({ id, deleted: true });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to delete announcement', details: err.message });
+  }
+});
+
+module.exports = { router, bankroll, dailyGgr };
@@ -0,0 +1,162 @@
+// announcements.js — posts from the operators, shown on announcements.html, with
+// an unread badge in the sidebar and banners across the top of every page
+//
+//   GET  /announcements        published, unexpired posts (pinned first, then newest),
+//                              banners, and `unread` for a logged-in wallet
+//   POST /announcements/read   everything published so far counts as read for this wallet
+//
+// Operators write them through /admin/announcements (admin.js). Bodies are
+// markdown, rendered in the browser by FourLeaf.renderMarkdown. Banners are the
+// posts flagged `banner` plus a notice for each pause in controls.js, so
+// "withdrawals paused" shows everywhere without anyone having to write it.
+const express = require('express');
+const store = require('./store');
+const events = require('./events');
+const controls = require('./controls');
+const { requireAuth, sessionWallet } = require('./auth');
+
+const MAX_TITLE = 200;
+const MAX_BODY = 20000;
+
+const PAUSE_NOTICES = {
+  games: { title: 'Games are paused', body: 'Games are paused for maintenance. Your balance is safe; check back soon.' },
+  withdrawals: { title: 'Withdrawals are paused', body: 'Withdrawals are paused for maintenance. Requests made before the pause go out once they resume.' }
+};
+
+function expiresAfterPublish({ publish_at, expires_at }) {
+  return !expires_at || new Date(expires_at) > new Date(publish_at);
+}
+
+function isVisible(post, now = Date.now()) {
+  return new Date(post.publish_at).getTime() <= now && (!post.expires_at || new Date(post.expires_at).getTime() > now);
+}
+
+function byPinnedThenNewest(a, b) {
+  if (a.pinned !== b.pinned) return a.pinned ? -1 : 1;
+  return new Date(b.publish_at) - new Date(a.publish_at);
+}
+
+// --- Every post, drafts and expired ones included (operators) ---
+async function listAll() {
+  return (await store.announcements.find({}, { order: 'publish_at', ascending: false })).sort(byPinnedThenNewest);
+}
+
+async function listVisible() {
+  const now = new Date();
+  const published = await store.announcements.find({ publish_at: { lte: now.toISOString() } });
+  return published.filter(post => isVisible(post, now.getTime())).sort(byPinnedThenNewest);
+}
+
+async function pauseNotices() {
+  const paused = await controls.pauses();
+  return Object.keys(PAUSE_NOTICES)
+    .filter(what => paused[what])
+    .map(what => ({ id: `paused-${what}`, ...PAUSE_NOTICES[what], banner: true, system: true }));
+}
+
+// Pages re-fetch /announcements when told something changed
+function changed() {
+  events.publish(null, 'announcement', { at: new Date().toISOString() });
+}
+
+// --- Request body -> { fields } or { error }; `partial` for updates ---
+function parseAnnouncement(body, { partial = false } = {}) {
+  const fields = {};
+  const has = name => body[name] !== undefined;
+
+  if (!partial || has('title')) {
+    if (typeof body.title !== 'string' || !body.title.trim() || body.title.length > MAX_TITLE)
+      return { error: `title is required, up to ${MAX_TITLE} characters` };
+    fields.title = body.title.trim();
+  }
+  if (!partial || has('body')) {
+    if (typeof body.body !== 'string' || !body.body.trim() || body.body.length > MAX_BODY)
+      return { error: `body is required, up to ${MAX_BODY} characters of markdown` };
+    fields.body = body.body;
+  }
+
+  for (const name of ['publish_at', 'expires_at']) {
+    if (!has(name)) continue;
+    if (body[name] === null || body[name] === '') {
+      fields[name] = null;
+      continue;
+    }
+    const time = new Date(body[name]);
+    if (Number.isNaN(time.getTime())) return { error: `${name} must be a date` };
+    fields[name] = time.toISOString();
+  }
+  if (!partial && !fields.publish_at) fields.publish_at = new Date().toISOString();
+  if (partial && has('publish_at') && !fields.publish_at) return { error: 'publish_at can\'t be removed' };
+  if (fields.publish_at && fields.expires_at && !expiresAfterPublish(fields))
+    return { error: 'expires_at must be after publish_at' };
+
+  for (const name of ['pinned', 'banner']) {
+    if (!has(name)) {
+      if (!partial) fields[name] = false;
+      continue;
+    }
+    if (typeof body[name] !== 'boolean') return { error: `${name} must be true or false` };
+    fields[name] = body[name];
+  }
+
+  return { fields };
+}
+
+async function create(fields, author) {
+  const now = new Date().toISOString();
+  const post = await store.announcements.insert({ ...fields, author, updated_at: now });
+  changed();
+  return post;
+}
+
+// Resolves to the updated post, or null when there is no such post
+async function update(id, fields) {
+  const current = await store.announcements.get(id);
+  if (!current) return null;
+  if (!expiresAfterPublish({ ...current, ...fields })) throw new RangeError('expires_at must be after publish_at');
+
+  const post = await store.announcements.update(id, { ...fields, updated_at: new Date().toISOString() });
+  changed();
+  return post;
+}
+
+// Resolves to whether there was such a post
+async function remove(id) {
+  const removed = await store.announcements.remove(id);
+  if (removed) changed();
+  return removed;
+}
+
+// --- Routes ---
+const router = express.Router();
+
+router.get('/', async (req, res) => {
+  try {
+    const [announcements, notices] = await Promise.all([listVisible(), pauseNotices()]);
+    const banners = [...notices, ...announcements.filter(post => post.banner)];
+
+    const wallet = sessionWallet(req);
+    let unread = null;
+    if (wallet) {
+      const player = await store.players.get(wallet);
+      const readAt = player && player.announcements_read_at ? new Date(player.announcements_read_at).getTime() : 0;
+      unread = announcements.filter(post => new Date(post.publish_at).getTime() > readAt).length;
+    }
+
+    res.json({ announcements, banners, unread });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch announcements', details: err.message });
+  }
+});
+
+router.post('/read', requireAuth, async (req, res) => {
+  try {
+    const read_at = new Date().toISOString();
+    await store.players.update(req.wallet, { announcements_read_at: read_at });
+    res.json({ wallet: req.wallet, read_at, unread: 0 });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to mark announcements read', details: err.message });
+  }
+});
+
+module.exports = { router, listAll, listVisible, parseAnnouncement, create, update, remove, changed };
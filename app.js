@@ -0,0 +1,359 @@
+// app.js — token <-> Credits converter routes; server.js listens and starts the workers
+const express = require('express');
+const cors = require('cors');
+//const fetch = require('node-fetch');
+const store = require('./store');
+const chainRoutes = require('./chain/routes');
+const { processDeposit, recordDeposit, getDeposit, depositStatus, checkSender } = require('./deposits');
+const { getBalance } = require('./ledger');
+const auth = require('./auth');
+const { requireAuth } = auth;
+const fairness = require('./fairness');
+const withdrawals = require('./withdrawals');
+const history = require('./history');
+const live = require('./live');
+const mines = require('./mines');
+const minesGame = require('./mines-game');
+const dice = require('./dice');
+const { GameError } = require('./game-engine');
+const gameExpiry = require('./game-expiry');
+const controls = require('./controls');
+const limits = require('./limits');
+const money = require('./money');
+const tokens = require('./tokens');
+const announcements = require('./announcements');
+const rewards = require('./rewards');
+const admin = require('./admin');
+const { rateLimit } = require('./rate-limit');
+const { TRUST_PROXY, REQUEST_BODY_LIMIT } = require('./config');
+
+const app = express();
+app.set('trust proxy', TRUST_PROXY);
+app.use(cors({
+    origin: [
+        "https://rupdud143.github.io",   // your frontend
+        "https://rupdud143backend.onrender.com",   // your frontend
+        "http://localhost:8080"          // local dev
+    ],
+    methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
+    allowedHeaders: ["Content-Type", "Authorization", "Idempotency-Key"],
+    credentials: false
+}));
+
+// --- Abuse protection: limits before any work, then a capped JSON body ---
+app.use(rateLimit('ip', { by: 'ip' }));
+app.use(['/game/start', '/game/click', '/game/cashout', '/game/dice/roll'], rateLimit('game'));
+app.use('/game/auto', rateLimit('game_auto'));
+app.post(['/convert/deposit', '/convert/withdraw'], rateLimit('convert'));
+app.use(express.json({ limit: REQUEST_BODY_LIMIT }));
+
+app.use('/chain', chainRoutes.router);
+app.use('/auth', rateLimit('auth', { by: 'ip' }), auth.router);
+app.use('/fairness', fairness.router);
+app.use('/withdrawals', withdrawals.router);
+app.use('/history', history.router);
+app.use('/live', live.router);
+app.use('/game/dice', dice.router);
+app.use('/admin', admin.router);
+app.use('/limits', limits.router);
+app.use('/announcements', announcements.router);
+app.use('/tokens', tokens.router);
+app.use('/rewards', rewards.router);
+
+// --- Board sizes, house edge and payout caps (public) ---
+app.get('/game/config', (req, res) => {
+  res.json(mines.publicConfig());
+});
+
+// --- Answer a refused move with its status, or 500 ---
+function sendGameError(res, err, fallback) {
+  if (err instanceof GameError) return res.status(err.status).json({ error: err.message, ...err.extra });
+  console.error(err);
+  res.status(500).json({ error: fallback, details: err.message });
+}
+
+// --- Start Game ---
+app.post('/game/start', requireAuth, async (req, res) => {
+  const { bet_amount, bombCount, boardSize = mines.DEFAULT_SIZE } = req.body;
+  if (!bet_amount || !bombCount)
+    return res.status(400).json({ error: 'Missing parameters' });
+
+  try {
+    const { game, seed } = await minesGame.startGame(req.wallet, {
+      bet: Number(bet_amount),
+      bombs: Number(bombCount),
+      boardSize
+    });
+    res.json({ gameId: game.game_id, board_size: Number(boardSize), total_tiles: game.total_tiles, ...fairness.publicSeed(seed) });
+  } catch (err) {
+    sendGameError(res, err, 'Failed to start game');
+  }
+});
+
+// --- Click a Tile ---
+app.post('/game/click', requireAuth, async (req, res) => {
+  const { gameId, tileIndex } = req.body;
+  if (!gameId || tileIndex == null)
+    return res.status(400).json({ error: 'Missing parameters' });
+
+  try {
+    const { result, game, multiplier } = await minesGame.revealTile(req.wallet, gameId, Number(tileIndex));
+
+    if (result === 'mine') {
+      return res.json({
+        result: 'mine',
+        gameOver: true,
+        multiplier,
+        mine_positions: game.mine_positions,
+        ...fairness.publicSeed(game)
+      });
+    }
+
+    res.json({ result: 'safe', multiplier, gameOver: false });
+  } catch (err) {
+    sendGameError(res, err, 'Click failed');
+  }
+});
+
+// --- Current active game, for resuming after a reload (mine positions stay hidden) ---
+app.get('/game/active/:wallet', requireAuth, async (req, res) => {
+  try {
+    const [game] = await store.games.find({ wallet: req.wallet, game: 'mines', status: 'active' }, { order: 'created_at', ascending: false, limit: 1 });
+    if (!game) return res.json({ game: null });
+
+    const bombs = game.mine_positions.length;
+    const next_multiplier = game.safe_clicks < game.total_tiles - bombs
+      ? mines.multiplier(bombs, game.safe_clicks + 1, { totalTiles: game.total_tiles, houseEdge: Number(game.house_edge) })
+      : null;
+
+    res.json({
+      game: {
+        gameId: game.game_id,
+        bet: Number(game.bet),
+        bombs,
+        board_size: Math.sqrt(game.total_tiles),
+        total_tiles: game.total_tiles,
+        revealed: game.revealed || [],
+        safe_clicks: game.safe_clicks,
+        multiplier: Number(game.multiplier),
+        next_multiplier,
+        created_at: game.created_at,
+        expires_at: gameExpiry.expiresAt(game),
+        ...fairness.publicSeed(game)
+      }
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch active game', details: err.message });
+  }
+});
+
+// --- Cash Out ---
+app.post('/game/cashout', requireAuth, async (req, res) => {
+  const wallet = req.wallet;
+  const { gameId } = req.body;
+  if (!gameId) return res.status(400).json({ error: 'Missing parameters' });
+
+  try {
+    const { winnings, balance } = await minesGame.cashOut(wallet, gameId);
+    res.json({ wallet, winnings, totalCredits: balance });
+  } catch (err) {
+    sendGameError(res, err, 'Cash out failed');
+  }
+});
+
+// --- Auto-play: many rounds resolved server-side in one request (see mines-game.js) ---
+app.post('/game/auto', requireAuth, async (req, res) => {
+  if (!req.body.bet_amount || !req.body.bombCount)
+    return res.status(400).json({ error: 'Missing parameters' });
+
+  try {
+    const options = minesGame.parseAutoOptions(req.body);
+    const summary = await minesGame.autoPlay(req.wallet, options);
+    res.json({ wallet: req.wallet, ...summary });
+  } catch (err) {
+    sendGameError(res, err, 'Auto-play failed');
+  }
+});
+
+// --- Get Credits (the player row is created at login) ---
+app.get('/credits/:wallet', requireAuth, async (req, res) => {
+  try {
+    const wallet = req.wallet;
+    res.json({ wallet, credits: await getBalance(wallet) });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch credits', details: err.message });
+  }
+});
+
+// --- The enabled token a request names in `token` (the default when omitted), else answer 400 ---
+function requestToken(source, res) {
+  const token = tokens.get(source.token == null ? undefined : String(source.token));
+  if (token && token.enabled) return token;
+  res.status(400).json({ error: 'Unknown or disabled token', tokens: tokens.list().filter(t => t.enabled).map(t => t.symbol) });
+  return null;
+}
+
+// Deposits send `amount` of the token; kahel_amount is its name from before tokens.js
+const depositAmount = source => (source.amount !== undefined ? source.amount : source.kahel_amount);
+
+// --- Exact conversion either way, computed as the deposit and withdraw routes will (public) ---
+//   GET /convert/quote?token=WAX&amount=1.5   credits a deposit of 1.5 WAX adds
+//   GET /convert/quote?token=WAX&credits=150  WAX a withdrawal sends, and the credits it debits
+app.get('/convert/quote', (req, res) => {
+  const amountParam = depositAmount(req.query);
+  const { credits } = req.query;
+  if ((amountParam === undefined) === (credits === undefined))
+    return res.status(400).json({ error: 'Pass either amount or credits' });
+
+  const token = requestToken(req.query, res);
+  if (!token) return;
+  const { contract, symbol, precision, rate } = token;
+  const quoted = { rate, token: { contract, symbol, precision } };
+
+  if (amountParam !== undefined) {
+    const amount = money.parseAmount(amountParam, precision);
+    if (amount === null) return res.status(400).json({ error: `amount must be positive with at most ${precision} decimals` });
+    const bounds = tokens.outOfBounds(token, 'deposit', amount);
+    if (bounds) return res.status(400).json(bounds);
+    return res.json({
+      type: 'deposit',
+      ...quoted,
+      amount,
+      quantity: money.formatAsset(amount, token),
+      credits: money.tokenToCredits(amount, token)
+    });
+  }
+
+  const requested = money.parseAmount(credits);
+  if (requested === null) return res.status(400).json({ error: `credits must be positive with at most ${money.CREDIT_PRECISION} decimals` });
+  const quote = money.creditsToToken(requested, token);
+  // Nothing to send yet is still a quote (amount 0); a real amount must fit the bounds
+  const bounds = quote.amount > 0 && tokens.outOfBounds(token, 'withdraw', quote.amount);
+  if (bounds) return res.status(400).json(bounds);
+  res.json({
+    type: 'withdraw',
+    ...quoted,
+    credits_requested: requested,
+    credits: quote.credits,
+    amount: quote.amount,
+    quantity: quote.quantity
+  });
+});
+
+// --- Deposit (pending until verified on chain) ---
+app.post('/convert/deposit', requireAuth, async (req, res) => {
+  const wallet = req.wallet;
+  const { txid } = req.body;
+  if (!depositAmount(req.body) || !txid)
+    return res.status(400).json({ error: 'Missing amount or txid' });
+
+  const token = requestToken(req.body, res);
+  if (!token) return;
+
+  try {
+    const player = await store.players.get(wallet);
+    if (!player) return res.status(404).json({ error: 'Player not found' });
+
+    const sentAmount = money.parseAmount(depositAmount(req.body), token.precision);
+    if (sentAmount === null)
+      return res.status(400).json({ error: 'Invalid deposit amount' });
+
+    // A new txid, or one another wallet posted and failed to verify: it must be
+    // this wallet's own transfer (when history has it yet), within the token's
+    // bounds, self-exclusion and deposit caps (limits.js)
+    const known = await getDeposit(txid);
+    let onChain = false;
+    if (!known || (known.status === 'rejected' && known.sender !== wallet)) {
+      const sent = await checkSender({ wallet, txid, token });
+      if (sent.state === 'mismatch') return res.status(400).json({ error: sent.reason, txid });
+      onChain = sent.state === 'match';
+
+      const bounds = tokens.outOfBounds(token, 'deposit', sentAmount);
+      if (bounds) return res.status(400).json(bounds);
+      const refusal = await limits.refuseDeposit(wallet, money.tokenToCredits(sentAmount, token));
+      if (refusal) return res.status(403).json(refusal);
+    }
+
+    // A txid can only ever back one deposit. The watcher may have picked up
+    // this transfer already, in which case the client just sees its status.
+    const { deposit: recorded } = await recordDeposit({ wallet, txid, token, amount: sentAmount, onChain });
+    if (recorded.wallet !== wallet)
+      return res.status(409).json({ error: 'Transaction already used', txid });
+
+    // First verification attempt; usually still reversible at this point
+    const deposit = await processDeposit(recorded);
+
+    res.status(202).json({
+      message: 'Deposit received, waiting for chain confirmation',
+      ...depositStatus(deposit)
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Deposit failed', details: err.message });
+  }
+});
+
+// --- Deposit status (changes are also pushed over /live/stream) ---
+app.get('/convert/deposit/:txid', requireAuth, async (req, res) => {
+  try {
+    const found = await getDeposit(req.params.txid);
+    if (!found || found.wallet !== req.wallet) return res.status(404).json({ error: 'Deposit not found' });
+
+    const deposit = await processDeposit(found);
+    res.json(depositStatus(deposit));
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch deposit', details: err.message });
+  }
+});
+
+// --- Withdraw (queued; see withdrawals.js) ---
+app.post('/convert/withdraw', requireAuth, async (req, res) => {
+  const wallet = req.wallet;
+  const { credits_to_use } = req.body;
+  const idempotencyKey = req.get('Idempotency-Key') || req.body.idempotency_key;
+  if (!credits_to_use) return res.status(400).json({ error: 'Missing credits' });
+  if (!idempotencyKey || String(idempotencyKey).length > 100)
+    return res.status(400).json({ error: 'Missing or invalid idempotency key' });
+
+  const credits = money.parseAmount(credits_to_use);
+  if (credits === null)
+    return res.status(400).json({ error: 'Invalid credits_to_use' });
+
+  const token = requestToken(req.body, res);
+  if (!token) return;
+
+  try {
+    if (await controls.isPaused('withdrawals')) return res.status(503).json({ error: 'Withdrawals are paused' });
+    if (await controls.isFrozen(wallet)) return res.status(403).json({ error: 'Wallet is frozen' });
+
+    let result;
+    try {
+      result = await withdrawals.requestWithdrawal(wallet, token, credits, String(idempotencyKey));
+    } catch (err) {
+      if (err.code === 'PLAYER_NOT_FOUND') return res.status(404).json({ error: 'Player not found' });
+      if (err.code === 'INSUFFICIENT_CREDITS') return res.status(400).json({ error: 'Not enough credits' });
+      if (err instanceof RangeError) return res.status(400).json({ error: err.message });
+      throw err;
+    }
+
+    const { withdrawal, created } = result;
+    // Broadcast right away instead of waiting for the next worker pass
+    if (created) withdrawals.processWithdrawal(withdrawal).catch(err => console.error(err));
+
+    res.status(created ? 202 : 200).json({
+      message: created ? 'Withdrawal queued' : 'Withdrawal already requested',
+      wallet,
+      ...withdrawals.withdrawalStatus(withdrawal)
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Withdraw failed', details: err.message });
+  }
+});
+
+// --- Bodies over REQUEST_BODY_LIMIT and broken JSON get a JSON answer too ---
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.too.large') return res.status(413).json({ error: 'Request body too large', limit: REQUEST_BODY_LIMIT });
+  if (err.type === 'entity.parse.failed') return res.status(400).json({ error: 'Invalid JSON body' });
+  next(err);
+});
+
+module.exports = app;
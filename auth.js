@@ -0,0 +1,155 @@
+// auth.js — wallet login: nonce challenge, signature check, short-lived session tokens
+//
+// 1. POST /auth/challenge           -> { nonce }
+// 2. The wallet signs the nonce:
+//      Cloud Wallet: wax.userAccountProof(nonce, ..., false)  -> { type: 'cloud', signature }
+//      Anchor:       anchorLink.login(nonce)  (nonce = scope)  -> { type: 'anchor', proof }
+// 3. POST /auth/login                -> { token } checked against the account's `active` keys
+//                                       (optional `referral_code`: the ?ref= of a rewards.js link)
+// 4. Send `Authorization: Bearer <token>` to /game/*, /convert/* and /credits/*
+//
+// A first successful login creates the player row; nothing else does. That is also
+// the only time a referral code counts: it ties the new player to its owner.
+const express = require('express');
+const crypto = require('crypto');
+const { ecc } = require('eosjs/dist/eosjs-ecc-migration');
+const { IdentityProof } = require('@wharfkit/signing-request');
+const chain = require('./chain');
+const store = require('./store');
+const config = require('./config');
+const { WAX_CHAIN_ID, SESSION_TTL_MS, LOGIN_NONCE_TTL_MS } = config;
+
+if (!config.SESSION_SECRET) console.warn('SESSION_SECRET not set; sessions will not survive a restart');
+const SESSION_SECRET = config.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+
+const NAME_CHARS = 'abcdefghijklmnopqrstuvwxyz12345';
+const nonces = new Map(); // nonce -> expiry timestamp
+
+// --- Challenge nonces ---
+// Nonces are valid 12-char WAX names so Anchor can sign them as its identity scope.
+function createNonce() {
+  const bytes = crypto.randomBytes(12);
+  const nonce = Array.from(bytes, b => NAME_CHARS[b % NAME_CHARS.length]).join('');
+
+  const now = Date.now();
+  for (const [n, expires] of nonces) if (expires < now) nonces.delete(n);
+  nonces.set(nonce, now + LOGIN_NONCE_TTL_MS);
+  return nonce;
+}
+
+// Single use: a nonce is gone after the first login attempt, good or bad
+function consumeNonce(nonce) {
+  const expires = nonces.get(nonce);
+  nonces.delete(nonce);
+  return expires !== undefined && expires >= Date.now();
+}
+
+// --- Signature checks per wallet type ---
+async function verifyCloudSignature(wallet, nonce, signature) {
+  const auth = await chain.getActiveAuthority(wallet);
+  const weight = auth.keys
+    .filter(({ key }) => {
+      try { return ecc.verify(signature, nonce, key); } catch { return false; }
+    })
+    .reduce((sum, k) => sum + k.weight, 0);
+  return weight >= auth.threshold;
+}
+
+async function verifyAnchorProof(wallet, nonce, proofString) {
+  const proof = IdentityProof.from(proofString);
+  if (String(proof.chainId) !== WAX_CHAIN_ID) return false;
+  if (String(proof.scope) !== nonce) return false;
+  if (String(proof.signer.actor) !== wallet || String(proof.signer.permission) !== 'active') return false;
+
+  const auth = await chain.getActiveAuthority(wallet);
+  return proof.verify(auth);
+}
+
+// --- Session tokens: "<payload>.<hmac>", stateless, expire after SESSION_TTL_MS ---
+function sign(payload) {
+  return crypto.createHmac('sha256', SESSION_SECRET).update(payload).digest('base64url');
+}
+
+function issueToken(wallet) {
+  const expires_at = Date.now() + SESSION_TTL_MS;
+  const payload = Buffer.from(JSON.stringify({ wallet, exp: expires_at })).toString('base64url');
+  return { token: `${payload}.${sign(payload)}`, wallet, expires_at };
+}
+
+function readToken(token) {
+  const [payload, mac] = String(token || '').split('.');
+  if (!payload || !mac) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const given = Buffer.from(mac);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+  const { wallet, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  return exp > Date.now() ? wallet : null;
+}
+
+// --- Wallet of the request's Bearer token, or null ---
+function sessionWallet(req) {
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  return scheme === 'Bearer' ? readToken(token) : null;
+}
+
+// --- Middleware: require a valid session and pin req.wallet to it ---
+function requireAuth(req, res, next) {
+  const wallet = sessionWallet(req);
+  if (!wallet) return res.status(401).json({ error: 'Login required' });
+
+  // A request may still name a wallet, but only its own
+  const claimed = (req.body && req.body.wallet) || req.params.wallet;
+  if (claimed && !chain.isAccountName(claimed)) return res.status(400).json({ error: 'Invalid wallet name' });
+  if (claimed && claimed !== wallet) return res.status(403).json({ error: 'Wallet does not match session' });
+
+  req.wallet = wallet;
+  next();
+}
+
+// --- Wallet owning a referral code, or null (unknown codes are ignored, never an error) ---
+async function referrerOf(code) {
+  if (typeof code !== 'string' || !code.trim() || code.length > 32) return null;
+  const [player] = await store.players.find({ referral_code: code.trim().toUpperCase() }, { limit: 1 });
+  return player ? player.wallet : null;
+}
+
+// --- Routes ---
+const router = express.Router();
+
+router.post('/challenge', (req, res) => {
+  res.json({ nonce: createNonce(), expires_in: LOGIN_NONCE_TTL_MS });
+});
+
+router.post('/login', async (req, res) => {
+  const { wallet, type, nonce, signature, proof, referral_code } = req.body;
+  if (!wallet || !type || !nonce) return res.status(400).json({ error: 'Missing parameters' });
+  if (!chain.isAccountName(wallet)) return res.status(400).json({ error: 'Invalid wallet name' });
+  if (!consumeNonce(nonce)) return res.status(401).json({ error: 'Challenge expired or unknown' });
+
+  try {
+    let valid;
+    if (type === 'cloud') {
+      if (!signature) return res.status(400).json({ error: 'Missing signature' });
+      valid = await verifyCloudSignature(wallet, nonce, signature);
+    } else if (type === 'anchor') {
+      if (!proof) return res.status(400).json({ error: 'Missing proof' });
+      valid = await verifyAnchorProof(wallet, nonce, proof);
+    } else {
+      return res.status(400).json({ error: 'Unknown wallet type' });
+    }
+
+    if (!valid) return res.status(401).json({ error: 'Signature does not match account' });
+    // First login only; the insert still conflicts harmlessly if two race
+    if (!(await store.players.get(wallet))) {
+      const referrer = await referrerOf(referral_code);
+      await store.players.insert({ wallet, credits: 0, ...(referrer ? { referred_by: referrer } : {}) });
+    }
+    res.json(issueToken(wallet));
+  } catch (err) {
+    res.status(401).json({ error: 'Login verification failed', details: err.message });
+  }
+});
+
+module.exports = { router, requireAuth, sessionWallet, issueToken, readToken };
@@ -0,0 +1,36 @@
+// chain/index.js — picks the chain backend from env config
+//
+//   CHAIN=wax   real WAX node at WAX_RPC, signing withdrawals with APP_PRIVATE_KEY
+//   CHAIN=mock  in-process fake chain (chain/mock.js); default with STORE=memory
+//
+// Every backend exposes:
+//   getTransaction(txid)                  -> { txid, block_num, irreversible, actions } | null (throws if history can't be reached)
+//   getActions(account, fromSeq, limit)   -> { lastIrreversibleBlock, actions: [{ seq, block_num, txid, receiver, account, name, data }] }
+//   getActiveAuthority(account)           -> { threshold, keys: [{ key, weight }] }
+//   getBalance(contract, account, symbol) -> "1.00 KAHEL" | null
+//   signTransfer({ contract, from, to, quantity, memo, expireSeconds }) -> { txid, expiresAt, signed }
+//   pushSigned(signed)
+const { CHAIN, WAX_RPC, MOCK_CHAIN_LAG, APP_WALLET, TOKENS } = require('../config');
+const { createWaxChain } = require('./wax');
+const { createMockChain } = require('./mock');
+
+// WAX account names: up to 12 of a-z, 1-5 and '.', never ending in '.'
+function isAccountName(name) {
+  return typeof name === 'string' && /^[a-z1-5.]{0,11}[a-z1-5]$/.test(name);
+}
+
+function createChain(kind = CHAIN) {
+  if (kind === 'wax') return createWaxChain({ endpoint: WAX_RPC, privateKey: process.env.APP_PRIVATE_KEY });
+  if (kind === 'mock') {
+    return createMockChain({
+      tokens: TOKENS.map(({ contract, symbol, precision }) => ({ contract, symbol, precision: Number(precision) })),
+      houseAccount: APP_WALLET,
+      irreversibleLag: MOCK_CHAIN_LAG
+    });
+  }
+  throw new Error(`Unknown CHAIN "${kind}" (expected wax or mock)`);
+}
+
+module.exports = createChain();
+module.exports.createChain = createChain;
+module.exports.isAccountName = isAccountName;
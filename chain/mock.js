@@ -0,0 +1,171 @@
+// chain/mock.js — local fake chain for offline runs, dev mode and tests
+//
+// Keeps token balances, executes `transfer` actions, hands out transaction ids
+// and answers the same history lookups as chain/wax.js. Blocks advance with
+// wall-clock time and become irreversible `irreversibleLag` blocks later, so
+// the pending -> credited path behaves like the real chain.
+const crypto = require('crypto');
+const { ecc } = require('eosjs/dist/eosjs-ecc-migration');
+const { generateKeyPair } = require('eosjs/dist/eosjs-key-conversions');
+const { KeyType } = require('eosjs/dist/eosjs-numeric');
+
+function createMockChain({
+  tokens,
+  houseAccount,
+  houseBalance = 1000000,
+  faucetBalance = 1000,
+  blockIntervalMs = 500,
+  irreversibleLag = 6
+}) {
+  const genesis = Date.now();
+  const accounts = new Map();      // name -> { publicKey, privateKey }
+  const balances = new Map();      // "contract:symbol:account" -> integer units
+  const transactions = new Map();  // txid -> { txid, block_num, actions }
+  const histories = new Map();     // account -> [action]
+
+  const headBlock = () => 1 + Math.floor((Date.now() - genesis) / blockIntervalMs);
+  const lastIrreversibleBlock = () => Math.max(0, headBlock() - irreversibleLag);
+  const newTxid = () => crypto.randomBytes(32).toString('hex');
+
+  // --- Token helpers ---
+  function findToken(contract, symbol) {
+    const token = tokens.find(t => t.contract === contract && t.symbol === symbol);
+    if (!token) throw new Error(`Unknown token ${symbol}@${contract}`);
+    return token;
+  }
+
+  function parseAsset(quantity) {
+    const match = /^(\d+)(?:\.(\d+))? ([A-Z]{1,7})$/.exec(String(quantity));
+    if (!match) throw new Error(`Invalid quantity "${quantity}"`);
+    const [, whole, fraction = '', symbol] = match;
+    return { whole, fraction, symbol };
+  }
+
+  function toUnits(token, quantity) {
+    const { whole, fraction, symbol } = parseAsset(quantity);
+    if (symbol !== token.symbol || fraction.length !== token.precision)
+      throw new Error(`Quantity "${quantity}" must use ${token.precision} decimals of ${token.symbol}`);
+    return Number(whole) * 10 ** token.precision + Number(fraction || 0);
+  }
+
+  function formatUnits(token, units) {
+    return `${(units / 10 ** token.precision).toFixed(token.precision)} ${token.symbol}`;
+  }
+
+  const balanceKey = (token, account) => `${token.contract}:${token.symbol}:${account}`;
+
+  // --- Accounts ---
+  function createAccount(name, fund = faucetBalance) {
+    if (!/^[a-z1-5.]{1,12}$/.test(name)) throw new Error(`Invalid account name "${name}"`);
+    if (accounts.has(name)) return { account: name, publicKey: accounts.get(name).publicKey };
+
+    const { publicKey, privateKey } = generateKeyPair(KeyType.k1, { secureEnv: true });
+    accounts.set(name, { publicKey: publicKey.toString(), privateKey: privateKey.toString() });
+    histories.set(name, []);
+    for (const token of tokens) balances.set(balanceKey(token, name), fund * 10 ** token.precision);
+
+    return { account: name, publicKey: publicKey.toString() };
+  }
+
+  function requireAccount(name) {
+    if (!accounts.has(name)) throw new Error(`Account ${name} does not exist`);
+    return accounts.get(name);
+  }
+
+  // --- Execute one transfer in a new transaction ---
+  function transfer({ contract, from, to, quantity, memo = '' }, txid = newTxid()) {
+    const token = findToken(contract, parseAsset(quantity).symbol);
+    requireAccount(from);
+    requireAccount(to);
+    if (from === to) throw new Error('Cannot transfer to self');
+
+    const units = toUnits(token, quantity);
+    if (units <= 0) throw new Error('Must transfer positive quantity');
+    if ((balances.get(balanceKey(token, from)) || 0) < units) throw new Error('Overdrawn balance');
+
+    balances.set(balanceKey(token, from), balances.get(balanceKey(token, from)) - units);
+    balances.set(balanceKey(token, to), (balances.get(balanceKey(token, to)) || 0) + units);
+
+    const block_num = headBlock();
+    const data = { from, to, quantity, memo };
+    // Like the real token contract: executed by the contract, notified to both parties
+    const actions = [contract, from, to].map(receiver => ({ receiver, account: contract, name: 'transfer', data }));
+
+    transactions.set(txid, { txid, block_num, actions });
+    for (const receiver of [from, to]) {
+      const history = histories.get(receiver);
+      history.push({ seq: history.length, block_num, txid, receiver, account: contract, name: 'transfer', data });
+    }
+    return { transaction_id: txid, block_num };
+  }
+
+  // --- Adapter interface (same as chain/wax.js) ---
+  async function getTransaction(txid) {
+    const tx = transactions.get(txid);
+    if (!tx) return null;
+    return { ...structuredClone(tx), irreversible: tx.block_num <= lastIrreversibleBlock() };
+  }
+
+  async function getActions(account, fromSeq, limit) {
+    const history = histories.get(account) || [];
+    return {
+      lastIrreversibleBlock: lastIrreversibleBlock(),
+      actions: structuredClone(history.slice(Math.max(0, fromSeq), Math.max(0, fromSeq) + limit))
+    };
+  }
+
+  async function getActiveAuthority(account) {
+    const { publicKey } = requireAccount(account);
+    return { threshold: 1, keys: [{ key: publicKey, weight: 1 }], accounts: [], waits: [] };
+  }
+
+  async function getBalance(contract, account, symbol) {
+    const token = findToken(contract, symbol);
+    if (!accounts.has(account)) return null;
+    return formatUnits(token, balances.get(balanceKey(token, account)) || 0);
+  }
+
+  // The txid is fixed at signing time; nothing moves until pushSigned()
+  async function signTransfer({ contract, from, to, quantity, memo, expireSeconds }) {
+    requireAccount(from);
+    const txid = newTxid();
+    const expiresAt = new Date(Date.now() + expireSeconds * 1000).toISOString();
+    return { txid, expiresAt, signed: { txid, expiresAt, transfer: { contract, from, to, quantity, memo } } };
+  }
+
+  async function pushSigned({ txid, expiresAt, transfer: action }) {
+    if (Date.now() > new Date(expiresAt).getTime()) throw new Error('Transaction expired');
+    if (transactions.has(txid)) throw new Error('Duplicate transaction');
+    transfer(action, txid);
+  }
+
+  // --- Dev-mode wallet helpers (chain/routes.js) ---
+  function signMessage(account, message) {
+    return ecc.sign(message, requireAccount(account).privateKey);
+  }
+
+  function balancesOf(account) {
+    requireAccount(account);
+    return tokens.map(token => formatUnits(token, balances.get(balanceKey(token, account)) || 0));
+  }
+
+  createAccount(houseAccount, houseBalance);
+
+  return {
+    name: 'mock',
+    getTransaction,
+    getActions,
+    getActiveAuthority,
+    getBalance,
+    signTransfer,
+    pushSigned,
+    createAccount,
+    transfer,
+    signMessage,
+    balancesOf,
+    headBlock,
+    lastIrreversibleBlock
+  };
+}
+
+module.exports = { createMockChain };
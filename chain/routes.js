@@ -0,0 +1,71 @@
+// chain/routes.js — public chain settings, plus a dev wallet when CHAIN=mock
+//
+//   GET  /chain/config                  -> what the frontends need to build transfers
+//
+// Mock chain only (frontend dev mode, ?devchain):
+//   POST /chain/mock/accounts           { account }                     -> new funded account
+//   GET  /chain/mock/accounts/:account                                  -> balances
+//   POST /chain/mock/sign               { account, message }            -> { signature } for /auth/login
+//   POST /chain/mock/transfer           { from, to?, quantity, memo, contract? }   -> { transaction_id }
+const express = require('express');
+const chain = require('./index');
+const tokens = require('../tokens');
+const { WAX_RPC, WAX_CHAIN_ID, APP_WALLET } = require('../config');
+
+const router = express.Router();
+
+router.get('/config', (req, res) => {
+  const { contract, symbol, precision } = tokens.get();
+  res.json({
+    chain: chain.name,
+    rpc: chain.name === 'wax' ? WAX_RPC : null,
+    chain_id: WAX_CHAIN_ID,
+    app_wallet: APP_WALLET,
+    // The default token; GET /tokens lists every one players can use
+    token: { contract, symbol, precision }
+  });
+});
+
+if (chain.name === 'mock') {
+  router.post('/mock/accounts', (req, res) => {
+    try {
+      const { account } = chain.createAccount(String(req.body.account || ''));
+      res.json({ account, balances: chain.balancesOf(account) });
+    } catch (err) {
+      res.status(400).json({ error: 'Failed to create account', details: err.message });
+    }
+  });
+
+  router.get('/mock/accounts/:account', (req, res) => {
+    try {
+      res.json({ account: req.params.account, balances: chain.balancesOf(req.params.account) });
+    } catch (err) {
+      res.status(404).json({ error: 'Account not found', details: err.message });
+    }
+  });
+
+  router.post('/mock/sign', (req, res) => {
+    const { account, message } = req.body;
+    if (!account || !message) return res.status(400).json({ error: 'Missing parameters' });
+    try {
+      res.json({ signature: chain.signMessage(account, String(message)) });
+    } catch (err) {
+      res.status(404).json({ error: 'Account not found', details: err.message });
+    }
+  });
+
+  router.post('/mock/transfer', (req, res) => {
+    const { from, to = APP_WALLET, quantity, memo = '' } = req.body;
+    if (!from || !quantity) return res.status(400).json({ error: 'Missing parameters' });
+    // Without a contract, the registered token with the quantity's symbol
+    const token = tokens.get(String(quantity).trim().split(/\s+/)[1]);
+    const contract = req.body.contract || (token && token.contract);
+    try {
+      res.json(chain.transfer({ contract, from, to, quantity, memo: String(memo) }));
+    } catch (err) {
+      res.status(400).json({ error: 'Transfer failed', details: err.message });
+    }
+  });
+}
+
+module.exports = { router };
@@ -0,0 +1,98 @@
+// chain/wax.js — real WAX chain through eosjs (WAX_RPC + APP_PRIVATE_KEY)
+const crypto = require('crypto');
+const { Api, JsonRpc, RpcError } = require('eosjs');
+const { JsSignatureProvider } = require('eosjs/dist/eosjs-jssig');
+
+// The history node answered, and its answer is "no such transaction": nodeos'
+// history plugin says tx_not_found / "not found in history", Hyperion answers 404.
+// Anything else (network errors, 5xx, a node that can't tell) is not an answer.
+function isUnknownTransaction(err) {
+  if (!(err instanceof RpcError)) return false;
+  const { json } = err;
+  if (json.code === 404 || json.statusCode === 404) return true;
+  const error = json.error || {};
+  if (error.name === 'tx_not_found' || error.code === 3040011) return true;
+  const messages = [json.message, error.what, ...(error.details || []).map(d => d.message)];
+  return messages.some(message => /not found|unknown transaction/i.test(String(message || '')));
+}
+
+function createWaxChain({ endpoint, privateKey }) {
+  const rpc = new JsonRpc(endpoint, { fetch });
+  // Without a key the server still boots; only withdrawals need to sign
+  const signatureProvider = new JsSignatureProvider(privateKey ? [privateKey] : []);
+  const api = new Api({ rpc, signatureProvider });
+
+  // Transaction by id from history, or null if the node says it doesn't know it (yet).
+  // Throws when the node can't be asked: callers must not read that as "never sent".
+  async function getTransaction(txid) {
+    let tx;
+    try {
+      tx = await rpc.history_get_transaction(txid);
+    } catch (err) {
+      if (isUnknownTransaction(err)) return null;
+      throw err;
+    }
+    return {
+      txid,
+      block_num: tx.block_num,
+      irreversible: tx.block_num <= tx.last_irreversible_block,
+      actions: (tx.traces || []).map(({ receiver, act }) => ({ receiver, account: act.account, name: act.name, data: act.data }))
+    };
+  }
+
+  // `limit` actions from `account`'s history, starting at account_action_seq `fromSeq`
+  async function getActions(account, fromSeq, limit) {
+    const { actions = [], last_irreversible_block } = await rpc.history_get_actions(account, fromSeq, limit - 1);
+    return {
+      lastIrreversibleBlock: last_irreversible_block,
+      actions: actions.map(a => ({
+        seq: a.account_action_seq,
+        block_num: a.block_num,
+        txid: a.action_trace.trx_id,
+        receiver: a.action_trace.receiver,
+        account: a.action_trace.act.account,
+        name: a.action_trace.act.name,
+        data: a.action_trace.act.data
+      }))
+    };
+  }
+
+  async function getActiveAuthority(account) {
+    const { permissions } = await rpc.get_account(account);
+    const active = permissions.find(p => p.perm_name === 'active');
+    if (!active) throw new Error(`${account} has no active permission`);
+    return active.required_auth;
+  }
+
+  async function getBalance(contract, account, symbol) {
+    const [balance] = await rpc.get_currency_balance(contract, account, symbol);
+    return balance || null;
+  }
+
+  // Sign a transfer without broadcasting it, so its txid is known before anything is sent
+  async function signTransfer({ contract, from, to, quantity, memo, expireSeconds }) {
+    const signed = await api.transact({
+      actions: [{
+        account: contract,
+        name: 'transfer',
+        authorization: [{ actor: from, permission: 'active' }],
+        data: { from, to, quantity, memo }
+      }]
+    }, { blocksBehind: 3, expireSeconds, broadcast: false });
+
+    const { expiration } = api.deserializeTransaction(signed.serializedTransaction);
+    return {
+      txid: crypto.createHash('sha256').update(signed.serializedTransaction).digest('hex'),
+      expiresAt: new Date(`${expiration}Z`).toISOString(),
+      signed
+    };
+  }
+
+  async function pushSigned(signed) {
+    await api.pushSignedTransaction(signed);
+  }
+
+  return { name: 'wax', getTransaction, getActions, getActiveAuthority, getBalance, signTransfer, pushSigned };
+}
+
+module.exports = { createWaxChain };
@@ -0,0 +1,454 @@
+// client.js — everything a page needs to talk to the backend and the player's wallet
+//
+// Loaded by every page with <script src="client.js"> (navbar.js builds the shared
+// header and menu on top of it) and require()-able, so the tests drive the same
+// code against a real server.
+//
+//   FourLeaf.api         get/post with the session token; failures throw typed errors
+//   FourLeaf.session     wallet + token for this tab (sessionStorage), restored on load
+//   FourLeaf.login(type) 'cloud' (waxjs), 'anchor' (AnchorLink) or 'dev' (mock chain)
+//   FourLeaf.transfer    token transfer signed by whichever wallet logged in
+//   FourLeaf.live        /live/stream events, reconnected whenever the session changes
+//   FourLeaf.renderMarkdown  announcement bodies to safe HTML
+//
+// waxjs.js and the AnchorLink bundles are only fetched when a wallet needs them.
+(function (root) {
+  // --- Typed errors ---
+  // The server answered with an error status; `data` is its JSON body
+  class ApiError extends Error {
+    constructor(status, data = {}) {
+      super(data.error || `Request failed (${status})`);
+      this.name = 'ApiError';
+      this.status = status;
+      this.data = data;
+    }
+  }
+
+  // 401: no session or it expired; the session is cleared before this is thrown
+  class AuthError extends ApiError {
+    constructor(status, data) {
+      super(status, data);
+      this.name = 'AuthError';
+    }
+  }
+
+  // 429: this wallet or IP is over a rate limit; `retryAfter` is in seconds
+  class RateLimitError extends ApiError {
+    constructor(status, data) {
+      super(status, data);
+      this.name = 'RateLimitError';
+      this.retryAfter = Math.max(1, Math.ceil((data.retry_after_ms || 1000) / 1000));
+      this.message = `Too many requests, try again in ${this.retryAfter}s`;
+    }
+  }
+
+  // The server could not be reached at all
+  class NetworkError extends Error {
+    constructor(cause) {
+      super('Server unreachable, please try again');
+      this.name = 'NetworkError';
+      this.cause = cause;
+    }
+  }
+
+  // The wallet refused, was cancelled or can't do what was asked
+  class WalletError extends Error {
+    constructor(message) {
+      super(message);
+      this.name = 'WalletError';
+    }
+  }
+
+  // --- Formatting ---
+  function formatCredits(amount) {
+    return Number(amount || 0).toFixed(2);
+  }
+
+  // Credits with the cents a little smaller, as the header shows them
+  function creditsHtml(amount) {
+    const [whole, decimal] = formatCredits(amount).split('.');
+    return `${whole}.<span style="font-size:0.7em;">${decimal}</span>`;
+  }
+
+  // `token` is any { symbol, precision }: GET /chain/config's, or one from GET /tokens
+  function formatKahel(amount, token) {
+    return `${Number(amount).toFixed(token.precision)} ${token.symbol}`;
+  }
+
+  // --- Markdown for announcements: the small subset operators need, HTML escaped ---
+  //   # headings, **bold**, *italic*, `code`, [links](https://...), - lists, paragraphs
+  function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+  }
+
+  function inlineMarkdown(text) {
+    return escapeHtml(text)
+      .replace(/`([^`]+)`/g, '<code>$1</code>')
+      .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+      .replace(/\*([^*]+)\*/g, '<em>$1</em>')
+      .replace(/\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g, '<a href="$2" target="_blank" rel="noopener">$1</a>');
+  }
+
+  function renderMarkdown(markdown) {
+    const html = [];
+    let paragraph = [];
+    let list = [];
+    const flush = () => {
+      if (paragraph.length) html.push(`<p>${paragraph.map(inlineMarkdown).join('<br>')}</p>`);
+      if (list.length) html.push(`<ul>${list.map(item => `<li>${inlineMarkdown(item)}</li>`).join('')}</ul>`);
+      paragraph = [];
+      list = [];
+    };
+
+    for (const line of String(markdown).split(/\r?\n/)) {
+      const heading = line.match(/^(#{1,3})\s+(.*)$/);
+      const item = line.match(/^\s*[-*]\s+(.*)$/);
+      if (heading) {
+        flush();
+        html.push(`<h${heading[1].length + 2}>${inlineMarkdown(heading[2])}</h${heading[1].length + 2}>`);
+      } else if (item) {
+        if (paragraph.length) flush();
+        list.push(item[1]);
+      } else if (!line.trim()) {
+        flush();
+      } else {
+        if (list.length) flush();
+        paragraph.push(line.trim());
+      }
+    }
+    flush();
+    return html.join('\n');
+  }
+
+  // --- Session: one per tab, kept in sessionStorage ---
+  const SESSION_KEYS = ['sessionToken', 'sessionExpires', 'waxUser', 'walletType', 'anchorScope', 'usingAnchor'];
+
+  function createSession(storage) {
+    const listeners = new Set();
+    let current = null;
+
+    // Only while its token is still valid
+    function restore() {
+      const token = storage.getItem('sessionToken');
+      const expires = Number(storage.getItem('sessionExpires'));
+      const wallet = storage.getItem('waxUser');
+      if (token && wallet && expires > Date.now()) {
+        current = {
+          token,
+          expires,
+          wallet,
+          walletType: storage.getItem('walletType') || (storage.getItem('usingAnchor') === '1' ? 'anchor' : 'cloud'),
+          anchorScope: storage.getItem('anchorScope')
+        };
+      } else if (token) {
+        SESSION_KEYS.forEach(key => storage.removeItem(key));
+      }
+    }
+
+    function save({ token, expires, wallet, walletType, anchorScope = null }) {
+      current = { token, expires, wallet, walletType, anchorScope };
+      storage.setItem('sessionToken', token);
+      storage.setItem('sessionExpires', String(expires));
+      storage.setItem('waxUser', wallet);
+      storage.setItem('walletType', walletType);
+      if (anchorScope) storage.setItem('anchorScope', anchorScope);
+      else storage.removeItem('anchorScope');
+      storage.removeItem('usingAnchor');
+      listeners.forEach(listener => listener(session));
+    }
+
+    function clear() {
+      const had = current !== null;
+      current = null;
+      SESSION_KEYS.forEach(key => storage.removeItem(key));
+      if (had) listeners.forEach(listener => listener(session));
+    }
+
+    const session = {
+      get wallet() { return current && current.wallet; },
+      get token() { return current && current.token; },
+      get walletType() { return current && current.walletType; },
+      get anchorScope() { return current && current.anchorScope; },
+      get expires() { return current && current.expires; },
+      save,
+      clear,
+      // Called with the session after every login and logout
+      onChange(listener) { listeners.add(listener); }
+    };
+
+    restore();
+    return session;
+  }
+
+  // --- API client ---
+  function createApi(baseUrl, session) {
+    async function request(path, { method = 'GET', body, headers = {} } = {}) {
+      const token = session.token;
+      let res;
+      try {
+        res = await fetch(`${baseUrl}${path}`, {
+          method,
+          headers: {
+            ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+            ...(token ? { Authorization: `Bearer ${token}` } : {}),
+            ...headers
+          },
+          body: body !== undefined ? JSON.stringify(body) : undefined
+        });
+      } catch (err) {
+        throw new NetworkError(err);
+      }
+
+      const data = await res.json().catch(() => ({}));
+      if (res.status === 401) {
+        // Only a token that was actually sent can have expired
+        if (token && token === session.token) session.clear();
+        throw new AuthError(res.status, data);
+      }
+      if (res.status === 429) throw new RateLimitError(res.status, data);
+      if (!res.ok) throw new ApiError(res.status, data);
+      return data;
+    }
+
+    return {
+      url: baseUrl,
+      request,
+      get: (path, options) => request(path, { ...options, method: 'GET' }),
+      post: (path, body = {}, options) => request(path, { ...options, method: 'POST', body })
+    };
+  }
+
+  // --- Live updates: one EventSource, reopened with the current token ---
+  function createLive(baseUrl, session) {
+    const listeners = new Map(); // event type -> Set of handlers
+    let source = null;
+
+    function listen(type) {
+      source.addEventListener(type, e => {
+        const data = JSON.parse(e.data);
+        listeners.get(type).forEach(handler => handler(data));
+      });
+    }
+
+    function start() {
+      if (source) source.close();
+      const query = session.token ? `?token=${encodeURIComponent(session.token)}` : '';
+      source = new root.EventSource(`${baseUrl}/live/stream${query}`);
+      for (const type of listeners.keys()) listen(type);
+    }
+
+    session.onChange(() => { if (source) start(); });
+
+    return {
+      start,
+      on(type, handler) {
+        if (!listeners.has(type)) {
+          listeners.set(type, new Set());
+          if (source) listen(type);
+        }
+        listeners.get(type).add(handler);
+      }
+    };
+  }
+
+  // --- Browser-only: wallet scripts are loaded on first use ---
+  const loaded = new Map();
+
+  function loadScript(src) {
+    if (!loaded.has(src)) {
+      loaded.set(src, new Promise((resolve, reject) => {
+        const script = root.document.createElement('script');
+        script.src = src;
+        script.onload = resolve;
+        script.onerror = () => reject(new WalletError(`Could not load ${src}`));
+        root.document.head.appendChild(script);
+      }));
+    }
+    return loaded.get(src);
+  }
+
+  function transactionId(result) {
+    return result.transaction_id || (result.processed && result.processed.id) || String(result.transaction && result.transaction.id);
+  }
+
+  // --- The client: api + session + wallets ---
+  // options: baseUrl, storage (sessionStorage-like), devChain, prompt (dev wallet account name)
+  function createClient({ baseUrl, storage, devChain = false, prompt = root.prompt }) {
+    const session = createSession(storage);
+    const api = createApi(baseUrl, session);
+    const live = createLive(baseUrl, session);
+    const prefs = root.localStorage;
+
+    let chainConfig = null; // GET /chain/config: rpc, chain_id, app_wallet, token
+    let wax = null;
+    let anchorLink = null;
+    let anchorSession = null;
+
+    // Token contract, app wallet and RPC node come from the server
+    async function getChainConfig() {
+      if (!chainConfig) chainConfig = await api.get('/chain/config');
+      return chainConfig;
+    }
+
+    async function getWax() {
+      if (wax) return wax;
+      await loadScript('waxjs.js');
+      const { rpc } = await getChainConfig();
+      wax = new root.waxjs.WaxJS({ rpcEndpoint: rpc });
+      return wax;
+    }
+
+    async function getAnchorLink() {
+      if (anchorLink) return anchorLink;
+      await loadScript('AnchorJS/anchor-link.bundle.js');
+      await loadScript('AnchorJS/anchor-link-browser-transport.bundle.js');
+      const { rpc, chain_id } = await getChainConfig();
+      anchorLink = new root.AnchorLink({
+        transport: new root.AnchorLinkBrowserTransport(),
+        chains: [{ chainId: chain_id, nodeUrl: rpc, name: 'WAX Mainnet' }]
+      });
+      return anchorLink;
+    }
+
+    // login(nonce) -> { account, proof } where proof is the /auth/login body for that wallet
+    // transact(actions) -> chain result with a transaction id
+    const wallets = {
+      cloud: {
+        async login(nonce) {
+          const wax = await getWax();
+          const account = await wax.login();
+          // Sign the nonce with the account's key; the server checks it against `active`
+          const { signature } = await wax.userAccountProof(nonce, 'FourLeaf login', false);
+          return { account, proof: { type: 'cloud', signature } };
+        },
+        async transact(actions) {
+          const wax = await getWax();
+          // After a reload waxjs has no signer until it logs in again (silently when it can)
+          if (!wax.api && !(await wax.isAutoLoginAvailable())) await wax.login();
+          if (wax.userAccount !== session.wallet) throw new WalletError(`Cloud Wallet is signed in as ${wax.userAccount}, not ${session.wallet}`);
+          return wax.api.transact({ actions }, { blocksBehind: 3, expireSeconds: 30 });
+        }
+      },
+
+      anchor: {
+        async login(nonce) {
+          const link = await getAnchorLink();
+          // The nonce doubles as the identity scope, so the login proof signs it
+          const result = await link.login(nonce);
+          const actor = result.session && result.session.auth && result.session.auth.actor;
+          if (!actor) throw new WalletError('Anchor login failed or cancelled');
+          anchorSession = result.session;
+          return { account: String(actor), proof: { type: 'anchor', proof: result.proof.toString() } };
+        },
+        async transact(actions) {
+          if (!anchorSession) {
+            // AnchorLink keeps its sessions under the login scope
+            const link = await getAnchorLink();
+            anchorSession = await link.restoreSession(session.anchorScope, { actor: session.wallet, permission: 'active' });
+            if (!anchorSession) throw new WalletError('Anchor session not found; please log in again');
+          }
+          return anchorSession.transact({ actions });
+        }
+      },
+
+      // Accounts, signatures and transfers live on the server's mock chain
+      dev: {
+        async login(nonce) {
+          const account = prompt('Dev chain account (a-z, 1-5, up to 12 chars):', (prefs && prefs.getItem('devAccount')) || 'devplayer');
+          if (!account) throw new WalletError('Login cancelled');
+          // Created with a starting balance of every configured token on first use
+          await api.post('/chain/mock/accounts', { account });
+          if (prefs) prefs.setItem('devAccount', account);
+          const { signature } = await api.post('/chain/mock/sign', { account, message: nonce });
+          return { account, proof: { type: 'cloud', signature } };
+        },
+        async transact(actions) {
+          const [action] = actions;
+          if (actions.length !== 1 || action.name !== 'transfer') throw new WalletError('The dev chain wallet only signs token transfers');
+          const { from, to, quantity, memo } = action.data;
+          return api.post('/chain/mock/transfer', { from, to, quantity, memo, contract: action.account });
+        }
+      }
+    };
+
+    // Which wallets the login picker offers
+    function walletTypes() {
+      return devChain ? ['dev'] : ['cloud', 'anchor'];
+    }
+
+    async function login(type) {
+      const wallet = wallets[type];
+      if (!wallet || !walletTypes().includes(type)) throw new WalletError(`Unknown wallet "${type}"`);
+
+      const { nonce } = await api.post('/auth/challenge');
+      const { account, proof } = await wallet.login(nonce);
+      // Kept from a ?ref= link until a login goes through; only a first login uses it
+      const referral = prefs && prefs.getItem('referralCode');
+      const data = await api.post('/auth/login', { wallet: account, nonce, ...proof, ...(referral ? { referral_code: referral } : {}) });
+      if (referral) prefs.removeItem('referralCode');
+      session.save({
+        token: data.token,
+        expires: data.expires_at,
+        wallet: account,
+        walletType: type,
+        anchorScope: type === 'anchor' ? nonce : null
+      });
+      return account;
+    }
+
+    function logout() {
+      anchorSession = null;
+      session.clear();
+    }
+
+    async function transact(actions) {
+      if (!session.wallet) throw new WalletError('Please log in first');
+      const result = await wallets[session.walletType].transact(actions);
+      return { ...result, transaction_id: transactionId(result) };
+    }
+
+    // Token transfer from the logged-in account; resolves to the transaction id.
+    // `contract` comes from GET /tokens; without it, the default token's.
+    async function transfer({ to, quantity, memo = '', contract }) {
+      const { token } = await getChainConfig();
+      const actor = session.wallet;
+      const result = await transact([{
+        account: contract || token.contract,
+        name: 'transfer',
+        authorization: [{ actor, permission: 'active' }],
+        data: { from: actor, to, quantity, memo }
+      }]);
+      return result.transaction_id;
+    }
+
+    return {
+      api, session, live, devChain,
+      chainConfig: getChainConfig,
+      walletTypes, login, logout, transact, transfer
+    };
+  }
+
+  const exported = {
+    ApiError, AuthError, RateLimitError, NetworkError, WalletError,
+    formatCredits, creditsHtml, formatKahel, renderMarkdown, createClient
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = exported;
+  } else {
+    // Dev mode (?devchain, or localStorage.devChain = '1'): talk to a local server
+    // running CHAIN=mock and sign with its dev wallet instead of real KAHEL.
+    const devChain = new URLSearchParams(root.location.search).has('devchain') || root.localStorage.getItem('devChain') === '1';
+    // Referral links (rewards.html) land on any page as ?ref=CODE; login sends it along
+    const referral = new URLSearchParams(root.location.search).get('ref');
+    if (referral) root.localStorage.setItem('referralCode', referral);
+    root.FourLeaf = {
+      ...exported,
+      ...createClient({
+        baseUrl: devChain ? 'http://localhost:8080' : 'https://rupdud143backend.onrender.com',
+        storage: root.sessionStorage,
+        devChain
+      })
+    };
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,148 @@
+// config.js — environment settings shared by the server and its workers
+require('dotenv').config();
+
+const STORE = process.env.STORE || (process.env.SUPABASE_URL ? 'supabase' : 'memory');
+
+// "<max>/<window ms>" from RATE_LIMIT_<NAME>, else `fallback`
+function rateLimit(name, fallback) {
+  const [max, windowMs] = (process.env[`RATE_LIMIT_${name.toUpperCase()}`] || fallback).split('/').map(Number);
+  if (!(max > 0 && windowMs > 0)) throw new Error(`Invalid RATE_LIMIT_${name.toUpperCase()} (expected <max>/<window ms>)`);
+  return { max, windowMs };
+}
+
+const KAHEL_CONTRACT = process.env.KAHEL_CONTRACT || 'rupdud143143';
+const RATE = Number(process.env.CONVERSION_RATE) || 100;
+
+// Proxy hops in front of the server: TRUST_PROXY, else the one Render puts there
+// (it sets RENDER=true). Counted wrong, every visitor shares the proxy's IP
+// and with it one set of per-IP rate limits.
+function trustProxy() {
+  const raw = process.env.TRUST_PROXY;
+  if (raw === undefined || raw === '') return process.env.RENDER ? 1 : 0;
+  const hops = Number(raw);
+  if (!Number.isInteger(hops) || hops < 0) throw new Error(`Invalid TRUST_PROXY "${raw}" (number of proxy hops)`);
+  return hops;
+}
+
+// Rakeback tiers (rewards.js): RAKEBACK_TIERS as a JSON list, else these
+function rakebackTiers() {
+  if (process.env.RAKEBACK_TIERS) return JSON.parse(process.env.RAKEBACK_TIERS);
+  return [
+    { name: 'Bronze', min_wagered: 0, rate: 0.001 },
+    { name: 'Silver', min_wagered: 10000, rate: 0.0015 },
+    { name: 'Gold', min_wagered: 100000, rate: 0.002 },
+    { name: 'Platinum', min_wagered: 1000000, rate: 0.003 }
+  ];
+}
+
+// Tokens players may deposit and withdraw (tokens.js): TOKENS as a JSON list, else
+// KAHEL at CONVERSION_RATE plus WAX, which stays off until WAX_CONVERSION_RATE is set
+function tokens() {
+  if (process.env.TOKENS) return JSON.parse(process.env.TOKENS);
+  const waxRate = Number(process.env.WAX_CONVERSION_RATE) || null;
+  return [
+    { contract: KAHEL_CONTRACT, symbol: 'KAHEL', precision: 2, rate: RATE, enabled: true },
+    { contract: 'eosio.token', symbol: 'WAX', precision: 8, rate: waxRate, min_deposit: 1, min_withdraw: 1, enabled: waxRate !== null }
+  ];
+}
+
+module.exports = {
+  PORT: process.env.PORT || 8080,
+
+  // Data backend (store/): supabase | memory
+  STORE,
+
+  // Chain backend (chain/): wax | mock. Follows STORE unless set, so a real database never pairs with the fake chain
+  CHAIN: process.env.CHAIN || (STORE === 'memory' ? 'mock' : 'wax'),
+  WAX_RPC: process.env.WAX_RPC || 'https://wax.greymass.com',
+  // How many blocks the mock chain's last irreversible block trails its head (500 ms blocks)
+  MOCK_CHAIN_LAG: Number(process.env.MOCK_CHAIN_LAG ?? 6),
+
+  APP_WALLET: process.env.APP_WALLET || 'testacct1434',
+  KAHEL_CONTRACT,
+  KAHEL_SYMBOL: 'KAHEL',
+  KAHEL_PRECISION: 2,
+  RATE,
+  // Each { contract, symbol, precision, rate (credits per token), min_deposit, max_deposit,
+  // min_withdraw, max_withdraw (token amounts, null for none), enabled }
+  TOKENS: tokens(),
+
+  // Mines (mines.js): board side lengths players may pick, house edge and payout caps
+  MINES_BOARD_SIZES: (process.env.MINES_BOARD_SIZES || '3,4,5,6,7,8').split(',').map(Number),
+  MINES_DEFAULT_SIZE: Number(process.env.MINES_DEFAULT_SIZE) || 5,
+  MINES_HOUSE_EDGE: Number(process.env.MINES_HOUSE_EDGE ?? 0.035),
+  MINES_MAX_MULTIPLIER: Number(process.env.MINES_MAX_MULTIPLIER) || 1e12,
+  // Largest bet x multiplier a single game may pay out, in credits
+  MINES_MAX_PAYOUT: Number(process.env.MINES_MAX_PAYOUT) || 1000000,
+  // Most rounds one POST /game/auto may play
+  MINES_AUTO_MAX_ROUNDS: Number(process.env.MINES_AUTO_MAX_ROUNDS) || 100,
+
+  // Dice (dice.js): win chance range players may pick, house edge and payout cap
+  DICE_HOUSE_EDGE: Number(process.env.DICE_HOUSE_EDGE ?? 0.01),
+  DICE_MIN_CHANCE: Number(process.env.DICE_MIN_CHANCE) || 0.01,
+  DICE_MAX_CHANCE: Number(process.env.DICE_MAX_CHANCE) || 0.98,
+  DICE_MAX_PAYOUT: Number(process.env.DICE_MAX_PAYOUT) || 1000000,
+
+  // Deposits whose transaction never shows up in history are rejected after this long
+  DEPOSIT_TIMEOUT_MS: Number(process.env.DEPOSIT_TIMEOUT_MS) || 30 * 60 * 1000,
+
+  // Background deposit watcher (deposit-watcher.js)
+  DEPOSIT_WATCHER: process.env.DEPOSIT_WATCHER !== 'off',
+  DEPOSIT_WATCH_INTERVAL_MS: Number(process.env.DEPOSIT_WATCH_INTERVAL_MS) || 15 * 1000,
+  DEPOSIT_WATCH_BATCH: Number(process.env.DEPOSIT_WATCH_BATCH) || 100,
+
+  // Wallet login (auth.js)
+  WAX_CHAIN_ID: process.env.WAX_CHAIN_ID || '1064487b3cd1a897ce03ae5b6a865651747e2e152090f99c1d19d44e01aea5a4',
+  SESSION_SECRET: process.env.SESSION_SECRET,
+  SESSION_TTL_MS: Number(process.env.SESSION_TTL_MS) || 60 * 60 * 1000,
+  LOGIN_NONCE_TTL_MS: Number(process.env.LOGIN_NONCE_TTL_MS) || 5 * 60 * 1000,
+
+  // Withdrawal queue (withdrawals.js)
+  WITHDRAW_INTERVAL_MS: Number(process.env.WITHDRAW_INTERVAL_MS) || 10 * 1000,
+  WITHDRAW_EXPIRE_SECONDS: Number(process.env.WITHDRAW_EXPIRE_SECONDS) || 30,
+  // How long past expiration a transfer may still surface in history before it is refunded
+  WITHDRAW_CONFIRM_GRACE_MS: Number(process.env.WITHDRAW_CONFIRM_GRACE_MS) || 5 * 60 * 1000,
+
+  // Idle Mines games (game-expiry.js): cashed out at their current multiplier after this long without a click
+  GAME_IDLE_TIMEOUT_MS: Number(process.env.GAME_IDLE_TIMEOUT_MS) || 24 * 60 * 60 * 1000,
+  GAME_EXPIRY_INTERVAL_MS: Number(process.env.GAME_EXPIRY_INTERVAL_MS) || 60 * 1000,
+
+  // Live updates (live.js): settled games paying at least this much, or at this
+  // multiplier or above, go to the site-wide big wins feed
+  LIVE_BIG_WIN_MIN_PAYOUT: Number(process.env.LIVE_BIG_WIN_MIN_PAYOUT) || 1000,
+  LIVE_BIG_WIN_MIN_MULTIPLIER: Number(process.env.LIVE_BIG_WIN_MIN_MULTIPLIER) || 10,
+  LIVE_FEED_SIZE: Number(process.env.LIVE_FEED_SIZE) || 20,
+  // Comment line sent to idle streams so proxies don't close them
+  LIVE_HEARTBEAT_MS: Number(process.env.LIVE_HEARTBEAT_MS) || 25 * 1000,
+
+  // Abuse protection (rate-limit.js, app.js). Behind a proxy, TRUST_PROXY is the
+  // number of hops so limits see the client's own IP; 1 by default on Render.
+  RATE_LIMIT: process.env.RATE_LIMIT !== 'off',
+  RATE_LIMITS: {
+    ip: rateLimit('ip', '600/60000'),               // any route, per IP
+    auth: rateLimit('auth', '20/60000'),            // /auth/*, per IP
+    game: rateLimit('game', '10/1000'),             // start, click, cash out, dice roll; per wallet
+    game_auto: rateLimit('game_auto', '10/60000'),  // /game/auto, per wallet
+    convert: rateLimit('convert', '10/60000')       // deposit and withdrawal requests, per wallet
+  },
+  TRUST_PROXY: trustProxy(),
+  REQUEST_BODY_LIMIT: process.env.REQUEST_BODY_LIMIT || '10kb',
+
+  // Operators (admin.js): wallets allowed on /admin/*, comma separated
+  ADMIN_WALLETS: (process.env.ADMIN_WALLETS || '').split(',').map(w => w.trim()).filter(Boolean),
+  // Largest single manual credit adjustment, either way
+  ADMIN_MAX_ADJUSTMENT: Number(process.env.ADMIN_MAX_ADJUSTMENT) || 100000,
+
+  // Responsible gaming (limits.js): how long loosening a limit takes to apply,
+  // and the longest self-exclusion a player can choose
+  LIMIT_COOLING_OFF_MS: Number(process.env.LIMIT_COOLING_OFF_MS) || 24 * 60 * 60 * 1000,
+  MAX_EXCLUSION_DAYS: Number(process.env.MAX_EXCLUSION_DAYS) || 5 * 365,
+
+  // Rewards (rewards.js): referrers earn this share of what their referrals lose
+  // on Mines; rakeback pays each tier's rate (a fraction of wagered credits) on
+  // the volume that falls within it, from min_wagered up to the next tier. Together
+  // they never pay more than REWARDS_MAX_EDGE_SHARE of a game's smallest real edge.
+  REFERRAL_SHARE: Number(process.env.REFERRAL_SHARE ?? 0.2),
+  RAKEBACK_TIERS: rakebackTiers(),
+  REWARDS_MAX_EDGE_SHARE: Number(process.env.REWARDS_MAX_EDGE_SHARE ?? 0.5)
+};
@@ -0,0 +1,36 @@
+// controls.js — operator switches checked before money moves
+//
+//   frozen wallet       no new games and no new withdrawals (deposits still credit)
+//   games paused        no game may start, for anyone
+//   withdrawals paused  no new requests, and queued ones wait before broadcasting
+//
+// Set from admin.js. Pauses live in store.state so they survive a restart.
+const store = require('./store');
+
+const PAUSES = ['games', 'withdrawals'];
+
+async function isPaused(what) {
+  return Number(await store.state.get(`paused_${what}`)) === 1;
+}
+
+async function setPaused(what, paused) {
+  if (!PAUSES.includes(what)) throw new Error(`Unknown pause "${what}"`);
+  await store.state.set(`paused_${what}`, paused ? 1 : 0);
+}
+
+async function pauses() {
+  const entries = await Promise.all(PAUSES.map(async what => [what, await isPaused(what)]));
+  return Object.fromEntries(entries);
+}
+
+async function isFrozen(wallet) {
+  const player = await store.players.get(wallet);
+  return !!(player && player.frozen);
+}
+
+// Resolves to the updated player, or null when there is no such player
+async function setFrozen(wallet, frozen) {
+  return store.players.update(wallet, { frozen: !!frozen });
+}
+
+module.exports = { PAUSES, isPaused, setPaused, pauses, isFrozen, setFrozen };
@@ -0,0 +1,153 @@
+// deposit-watcher.js — credits token transfers to APP_WALLET without waiting on the browser
+//
+// Runs inside server.js by default (DEPOSIT_WATCHER=off to disable), or on its own:
+//   node deposit-watcher.js
+const store = require('./store');
+const chain = require('./chain');
+const money = require('./money');
+const tokens = require('./tokens');
+const { APP_WALLET, DEPOSIT_WATCH_INTERVAL_MS, DEPOSIT_WATCH_BATCH } = require('./config');
+const { recordDeposit, processDeposit, processPendingDeposits, getDeposit } = require('./deposits');
+const { refuseDeposit } = require('./limits');
+
+const CURSOR_KEY = 'deposit_watcher_seq';
+let timer = null;
+
+// --- Persisted cursor: last account_action_seq of APP_WALLET we processed ---
+async function loadCursor() {
+  const value = await store.state.get(CURSOR_KEY);
+  return value == null ? -1 : Number(value);
+}
+
+async function saveCursor(seq) {
+  await store.state.set(CURSOR_KEY, seq);
+}
+
+async function playerExists(wallet) {
+  return !!(await store.players.get(wallet));
+}
+
+// --- Work out who a transfer belongs to: memo first, then sender ---
+// Memo may be "deposit:<wallet>" or just "<wallet>", for deposits sent on
+// someone else's behalf.
+async function matchWallet({ from, memo }) {
+  const named = String(memo || '').trim().replace(/^deposit:/, '');
+  if (chain.isAccountName(named) && await playerExists(named)) return named;
+  if (await playerExists(from)) return from;
+  return null;
+}
+
+// --- Park transfers nobody claims so an operator can credit them by hand ---
+// A transfer that matched a player but was refused (`held`: { wallet, reason }) is
+// parked the same way, for an operator to refund.
+async function logUnmatched(action, transfer, held = null) {
+  const { txid } = action;
+  // Already parked on an earlier pass if the insert conflicts
+  await store.unmatchedDeposits.insert({
+    txid,
+    account_action_seq: action.seq,
+    sender: transfer.from,
+    quantity: transfer.quantity,
+    memo: transfer.memo,
+    block_num: action.block_num,
+    wallet: held ? held.wallet : null,
+    reason: held ? held.reason : null,
+    resolved: false
+  });
+  if (held) console.warn(`Held deposit ${txid}: ${transfer.quantity} from ${transfer.from} for ${held.wallet}: ${held.reason}`);
+  else console.warn(`Unmatched deposit ${txid}: ${transfer.quantity} from ${transfer.from} (memo "${transfer.memo}")`);
+}
+
+// --- The checks /convert/deposit makes: null when allowed, else why not ---
+async function refusal(wallet, token, amount) {
+  const bounds = tokens.outOfBounds(token, 'deposit', amount);
+  if (bounds) return bounds.error;
+  const refused = await refuseDeposit(wallet, money.tokenToCredits(amount, token));
+  return refused && refused.error;
+}
+
+async function handleAction(action) {
+  const { account, name, receiver, txid, data: transfer } = action;
+
+  // Each transfer shows up in APP_WALLET's history once, as its notification
+  if (receiver !== APP_WALLET || name !== 'transfer') return;
+  if (!transfer || transfer.to !== APP_WALLET) return;
+
+  // Registered tokens only, from their own contract: anyone can issue a look-alike symbol elsewhere
+  const symbol = (money.parseAsset(transfer.quantity) || {}).symbol;
+  const token = tokens.byContract(account, symbol);
+  const asset = token && money.parseAsset(transfer.quantity, token);
+  if (!asset || !(asset.amount > 0)) return;
+
+  // A disabled token has no rate to credit at; an operator settles it by hand
+  const wallet = token.enabled ? await matchWallet(transfer) : null;
+  if (!wallet) return logUnmatched(action, transfer);
+
+  // A row from this sender was already checked when /convert/deposit (or an
+  // earlier pass) accepted it. Anything else gets the same token bounds,
+  // self-exclusion and deposit caps, and is held for a refund if it fails them.
+  const known = await getDeposit(txid);
+  if (!known || known.sender !== transfer.from) {
+    const reason = await refusal(wallet, token, asset.amount);
+    if (reason) return logUnmatched(action, transfer, { wallet, reason });
+  }
+
+  // Same txid path as /convert/deposit, so whichever side sees it second is a no-op.
+  // The sender here comes from chain history, so a row someone else posted for
+  // this txid (and failed to verify) is taken over rather than left rejected.
+  const { deposit } = await recordDeposit({ wallet, sender: transfer.from, txid, token, amount: asset.amount, onChain: true });
+  const result = await processDeposit(deposit);
+  if (result.status === 'credited' && deposit.status === 'pending')
+    console.log(`Deposit ${txid}: credited ${transfer.quantity} to ${wallet}`);
+}
+
+// --- One polling pass over new APP_WALLET actions ---
+async function poll() {
+  let cursor = await loadCursor();
+
+  for (;;) {
+    const { actions, lastIrreversibleBlock } = await chain.getActions(APP_WALLET, cursor + 1, DEPOSIT_WATCH_BATCH);
+
+    const fresh = actions
+      .filter(a => a.seq > cursor)
+      .sort((a, b) => a.seq - b.seq);
+    if (fresh.length === 0) return;
+
+    for (const action of fresh) {
+      // Stop at the first reversible block; it is picked up on a later pass
+      if (action.block_num > lastIrreversibleBlock) return;
+
+      await handleAction(action);
+      cursor = action.seq;
+      await saveCursor(cursor);
+    }
+
+    if (fresh.length < DEPOSIT_WATCH_BATCH) return;
+  }
+}
+
+async function tick() {
+  try {
+    await poll();
+    // Browser-submitted deposits still waiting for irreversibility
+    await processPendingDeposits();
+  } catch (err) {
+    console.error('Deposit watcher error:', err.message);
+  }
+  if (timer) timer = setTimeout(tick, DEPOSIT_WATCH_INTERVAL_MS);
+}
+
+function start() {
+  if (timer) return;
+  console.log(`Deposit watcher polling ${APP_WALLET} every ${DEPOSIT_WATCH_INTERVAL_MS}ms`);
+  timer = setTimeout(tick, 0);
+}
+
+function stop() {
+  clearTimeout(timer);
+  timer = null;
+}
+
+module.exports = { start, stop, poll };
+
+if (require.main === module) start();
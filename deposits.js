@@ -0,0 +1,216 @@
+// deposits.js — on-chain verification of token deposits before crediting
+//
+// A deposit row names its `token` (a tokens.js symbol) and the `amount` sent in it;
+// it is credited at that token's rate once the transfer is irreversible.
+const store = require('./store');
+const chain = require('./chain');
+const { applyCredit, LedgerError } = require('./ledger');
+const events = require('./events');
+const money = require('./money');
+const tokens = require('./tokens');
+const { APP_WALLET, DEPOSIT_TIMEOUT_MS } = require('./config');
+
+// --- Helper: find the token transfer to APP_WALLET inside a transaction ---
+// Only the trace executed by the token contract itself counts; the copies
+// delivered to `from`/`to` as notifications would otherwise match twice.
+function findTransfer(tx, token, sender, amount) {
+  return tx.actions.find(({ receiver, account, name, data }) =>
+    receiver === token.contract &&
+    account === token.contract &&
+    name === 'transfer' &&
+    data &&
+    data.from === sender &&
+    data.to === APP_WALLET &&
+    sameAmount(data.quantity, token, amount)
+  );
+}
+
+// Compared in token units, so "1.10 KAHEL" matches an amount of 1.1 exactly
+function sameAmount(quantity, token, amount) {
+  const asset = money.parseAsset(quantity, token);
+  return asset !== null && asset.units === money.toUnits(amount, token.precision);
+}
+
+// --- Did `wallet` itself send a `token` transfer to APP_WALLET in `txid`? ---
+// Txids are public on chain, so whoever posts one first must not get to own its row.
+// Resolves to { state: 'missing' } while the transaction isn't in history (it can't
+// be checked yet), else { state: 'match' } or { state: 'mismatch', reason }.
+async function checkSender({ wallet, txid, token }) {
+  const tx = await chain.getTransaction(txid);
+  if (!tx) return { state: 'missing' };
+
+  const sent = tx.actions.some(({ receiver, account, name, data }) =>
+    receiver === token.contract && account === token.contract && name === 'transfer' &&
+    data && data.from === wallet && data.to === APP_WALLET);
+  return sent
+    ? { state: 'match' }
+    : { state: 'mismatch', reason: `Transaction has no ${token.symbol} transfer from ${wallet} to ${APP_WALLET}` };
+}
+
+// --- Look up a txid in chain history and check it against the deposit row ---
+// Resolves to { state: 'missing' | 'invalid' | 'reversible' | 'irreversible', ... }
+async function verifyDeposit(deposit) {
+  const tx = await chain.getTransaction(deposit.txid);
+  if (!tx) return { state: 'missing', reason: 'Transaction not found' };
+
+  const token = tokens.get(deposit.token);
+  if (!token) return { state: 'invalid', reason: `Unknown token ${deposit.token}` };
+
+  // Memo-matched deposits credit `wallet` but were sent by another account
+  const sender = deposit.sender || deposit.wallet;
+  const transfer = findTransfer(tx, token, sender, Number(deposit.amount));
+  if (!transfer)
+    return { state: 'invalid', reason: `No matching ${token.symbol} transfer from ${sender} to ${APP_WALLET}` };
+
+  return { state: tx.irreversible ? 'irreversible' : 'reversible', block_num: tx.block_num };
+}
+
+// --- Move a pending deposit forward as far as the chain allows ---
+async function processDeposit(deposit) {
+  if (deposit.status !== 'pending') return deposit;
+
+  const result = await verifyDeposit(deposit);
+  const age = Date.now() - new Date(deposit.created_at).getTime();
+
+  if (result.state === 'missing') {
+    if (age < DEPOSIT_TIMEOUT_MS) return deposit;
+    return rejectDeposit(deposit, 'Transaction not found on chain');
+  }
+  if (result.state === 'invalid') return rejectDeposit(deposit, result.reason);
+
+  if (result.state === 'reversible') {
+    const updated = await store.deposits.update(deposit.txid, { verified: true, block_num: result.block_num }, { status: 'pending' });
+    if (updated && !deposit.verified) notify(updated);
+    return updated || deposit;
+  }
+
+  return creditDeposit(deposit, result.block_num);
+}
+
+// --- Mark a deposit rejected (never credited) ---
+async function rejectDeposit(deposit, reason) {
+  const updated = await store.deposits.update(deposit.txid, { status: 'rejected', error: reason }, { status: 'pending' });
+  if (updated) notify(updated);
+  return updated || deposit;
+}
+
+// --- Credit an irreversible deposit exactly once ---
+// The ledger entry comes first and its unique (reason, ref) is what pays out once;
+// the row is only marked credited after it, so a crash or a ledger error in between
+// leaves it pending for the next pass to finish rather than credited with nothing paid.
+async function creditDeposit(deposit, blockNum) {
+  const credits = money.tokenToCredits(deposit.amount, tokens.get(deposit.token));
+
+  try {
+    await applyCredit(deposit.wallet, credits, 'deposit', deposit.txid);
+  } catch (err) {
+    if (!(err instanceof LedgerError && err.code === 'DUPLICATE_ENTRY')) throw err;
+  }
+
+  // Atomic update: whoever flips pending -> credited tells the player
+  const updated = await store.deposits.update(
+    deposit.txid,
+    { status: 'credited', verified: true, credited: true, block_num: blockNum, credits },
+    { status: 'pending' }
+  );
+  if (!updated) return getDeposit(deposit.txid);
+  notify(updated);
+
+  return updated;
+}
+
+// --- Credits a deposit adds: exact once credited, else what its tokens are worth now ---
+function depositCredits(deposit) {
+  if (deposit.status === 'credited') return Number(deposit.credits);
+  const token = tokens.get(deposit.token);
+  return token && token.rate ? money.tokenToCredits(deposit.amount, token) : 0;
+}
+
+// --- What a player sees about a deposit (API responses and live events) ---
+function depositStatus(deposit) {
+  return {
+    wallet: deposit.wallet,
+    txid: deposit.txid,
+    token: deposit.token,
+    amount: Number(deposit.amount),
+    status: deposit.status,
+    verified: deposit.verified,
+    added_credits: deposit.status === 'credited' ? Number(deposit.credits) : 0,
+    error: deposit.error || undefined
+  };
+}
+
+function notify(deposit) {
+  events.publish(deposit.wallet, 'deposit', depositStatus(deposit));
+}
+
+// --- Insert a pending deposit; resolves to the existing row if the txid is known ---
+// `token` is the tokens.js entry and `amount` what was sent of it. `onChain` says
+// the caller has seen `sender` send this transfer in chain history: such a caller
+// takes over a row someone else made for the txid, once that row fails to verify.
+async function recordDeposit({ wallet, sender, txid, token, amount, onChain = false }) {
+  const fields = {
+    wallet,
+    sender: sender || wallet,
+    txid,
+    token: token.symbol,
+    amount,
+    status: 'pending',
+    credited: false,
+    verified: false
+  };
+  const inserted = await store.deposits.insert(fields);
+
+  if (inserted) {
+    notify(inserted);
+    return { deposit: inserted, created: true };
+  }
+
+  // Unique txid constraint: someone (browser or watcher) recorded it first
+  let existing = await getDeposit(txid);
+  if (!existing) throw new Error('Failed to record deposit');
+  if (!onChain || existing.sender === fields.sender) return { deposit: existing, created: false };
+
+  // Posted by a wallet that never sent it: settle that row (it can only be
+  // rejected), then give the txid to its real sender
+  if (existing.status === 'pending') existing = await processDeposit(existing);
+  if (existing.status !== 'rejected') return { deposit: existing, created: false };
+
+  const taken = await store.deposits.update(
+    txid,
+    { ...fields, error: null, block_num: null, created_at: new Date().toISOString() },
+    { status: 'rejected', sender: existing.sender }
+  );
+  if (!taken) return { deposit: (await getDeposit(txid)) || existing, created: false };
+  console.warn(`Deposit ${txid}: taken over from ${existing.sender} by its real sender ${fields.sender}`);
+  notify(taken);
+  return { deposit: taken, created: true };
+}
+
+// --- Retry every deposit still waiting on the chain ---
+async function processPendingDeposits() {
+  const pending = await store.deposits.find({ status: 'pending' }, { order: 'created_at' });
+
+  for (const deposit of pending) {
+    try {
+      await processDeposit(deposit);
+    } catch (err) {
+      console.error(`Deposit ${deposit.txid} check failed:`, err.message);
+    }
+  }
+}
+
+async function getDeposit(txid) {
+  return store.deposits.get(txid);
+}
+
+module.exports = {
+  depositCredits,
+  checkSender,
+  verifyDeposit,
+  processDeposit,
+  processPendingDeposits,
+  recordDeposit,
+  getDeposit,
+  depositStatus
+};
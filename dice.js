@@ -0,0 +1,192 @@
+// dice.js — Dice: roll 0.00-100.00 and win when it lands over (or under) the target
+//
+//   GET  /game/dice/config   win chance range, house edge and payout cap (public)
+//   POST /game/dice/roll     { bet_amount, target, direction: 'over' | 'under' }
+//   POST /game/dice/verify   { gameId } once its server seed is revealed, or raw seeds
+//
+// Escrow, seeds, records and settlement come from game-engine.js; the roll is
+// provably-fair.js deriveDiceRoll, so dice.html can recompute it in the browser.
+const express = require('express');
+const store = require('./store');
+const fairness = require('./fairness');
+const engine = require('./game-engine');
+const { GameError } = engine;
+const { requireAuth } = require('./auth');
+const { sha256Hex, deriveDiceRoll } = require('./provably-fair');
+const money = require('./money');
+const { DICE_HOUSE_EDGE, DICE_MIN_CHANCE, DICE_MAX_CHANCE, DICE_MAX_PAYOUT } = require('./config');
+
+const HOUSE_EDGE = DICE_HOUSE_EDGE;
+const MIN_CHANCE = DICE_MIN_CHANCE;
+const MAX_CHANCE = DICE_MAX_CHANCE;
+const MAX_PAYOUT = DICE_MAX_PAYOUT;
+const OUTCOMES = 10001; // 0.00 through 100.00
+const DIRECTIONS = ['over', 'under'];
+
+// Refuse to boot on settings that would make the game unplayable or free money
+if (!(HOUSE_EDGE >= 0 && HOUSE_EDGE < 1)) throw new Error(`Invalid DICE_HOUSE_EDGE "${HOUSE_EDGE}"`);
+if (!(MIN_CHANCE > 0 && MIN_CHANCE < MAX_CHANCE && MAX_CHANCE < 1)) throw new Error('DICE_MIN_CHANCE / DICE_MAX_CHANCE must satisfy 0 < min < max < 1');
+if (!(MAX_PAYOUT > 0)) throw new Error('DICE_MAX_PAYOUT must be positive');
+
+engine.registerGame('dice', {
+  describe: (game, finished) => ({
+    target: game.details.target,
+    direction: game.details.direction,
+    win_chance: game.details.win_chance,
+    roll: finished ? game.details.roll : null
+  })
+});
+
+// --- Win chance and multiplier for a target; throws GameError when out of range ---
+// Rolls are whole hundredths, so "over 49.50" wins on 49.51-100.00: 10000 - 4950 of 10001 outcomes.
+function odds(target, direction) {
+  if (!DIRECTIONS.includes(direction)) throw new GameError(400, 'direction must be over or under');
+  const hundredths = Math.round(target * 100);
+  if (!Number.isFinite(target) || Math.abs(target * 100 - hundredths) > 1e-6 || hundredths < 0 || hundredths > 10000)
+    throw new GameError(400, 'target must be 0.00-100.00 in steps of 0.01');
+
+  const winning = direction === 'over' ? 10000 - hundredths : hundredths;
+  const winChance = winning / OUTCOMES;
+  if (winChance < MIN_CHANCE || winChance > MAX_CHANCE)
+    throw new GameError(400, `Win chance must be ${MIN_CHANCE * 100}-${MAX_CHANCE * 100}%`, { win_chance: winChance });
+
+  return { winChance, multiplier: engine.applyEdge(1 / winChance, HOUSE_EDGE, 4) };
+}
+
+// The smallest edge over every win chance offered; rounding the multiplier takes a little off HOUSE_EDGE
+const MIN_REAL_EDGE = (() => {
+  let min = 1;
+  for (let winning = 1; winning < OUTCOMES; winning++) {
+    const winChance = winning / OUTCOMES;
+    if (winChance < MIN_CHANCE || winChance > MAX_CHANCE) continue;
+    min = Math.min(min, 1 - winChance * engine.applyEdge(1 / winChance, HOUSE_EDGE, 4));
+  }
+  return min;
+})();
+
+function isWin(roll, target, direction) {
+  const rolled = Math.round(roll * 100);
+  const needed = Math.round(target * 100);
+  return direction === 'over' ? rolled > needed : rolled < needed;
+}
+
+// --- Escrow, roll and settle in one go; resolves to { game, roll, won, payout, balance } ---
+async function play(wallet, { bet, target, direction }) {
+  if (money.parseAmount(bet) === null) throw new GameError(400, 'Invalid bet amount');
+  const { winChance, multiplier } = odds(target, direction);
+  if (money.payout(bet, multiplier) > MAX_PAYOUT)
+    throw new GameError(400, 'Bet exceeds the maximum payout', { code: 'MAX_PAYOUT', max_payout: MAX_PAYOUT });
+
+  const { game } = await engine.openGame(wallet, {
+    game: 'dice',
+    bet,
+    houseEdge: HOUSE_EDGE,
+    deal: async seed => ({
+      multiplier,
+      details: {
+        target,
+        direction,
+        win_chance: winChance,
+        roll: await deriveDiceRoll(seed.server_seed, seed.client_seed, seed.nonce)
+      }
+    })
+  });
+
+  const { roll } = game.details;
+  const won = isWin(roll, target, direction);
+  const payout = won ? money.payout(bet, multiplier) : 0;
+  const settled = await engine.settle(game, { status: won ? 'won' : 'lost', payout });
+  if (!settled) throw new GameError(409, 'Game changed, please retry');
+
+  return { game: settled.game, roll, won, payout, balance: settled.balance };
+}
+
+function publicConfig() {
+  return {
+    house_edge: HOUSE_EDGE,
+    min_chance: MIN_CHANCE,
+    max_chance: MAX_CHANCE,
+    max_payout: MAX_PAYOUT,
+    outcomes: OUTCOMES,
+    directions: DIRECTIONS
+  };
+}
+
+// --- Routes ---
+const router = express.Router();
+
+router.get('/config', (req, res) => {
+  res.json(publicConfig());
+});
+
+router.post('/roll', requireAuth, async (req, res) => {
+  const { bet_amount, target, direction = 'over' } = req.body;
+  if (!bet_amount || target == null)
+    return res.status(400).json({ error: 'Missing parameters' });
+
+  try {
+    const { game, roll, won, payout, balance } = await play(req.wallet, {
+      bet: Number(bet_amount),
+      target: Number(target),
+      direction
+    });
+    res.json({
+      gameId: game.game_id,
+      roll,
+      target: game.details.target,
+      direction,
+      win_chance: game.details.win_chance,
+      multiplier: Number(game.multiplier),
+      won,
+      payout,
+      totalCredits: balance,
+      ...fairness.publicSeed(game)
+    });
+  } catch (err) {
+    if (err instanceof GameError) return res.status(err.status).json({ error: err.message, ...err.extra });
+    console.error(err);
+    res.status(500).json({ error: 'Roll failed', details: err.message });
+  }
+});
+
+// Recompute a roll from seeds. With a gameId, the stored roll is compared too
+// (only once that game's server seed has been revealed).
+router.post('/verify', async (req, res) => {
+  const { gameId } = req.body;
+
+  try {
+    let { server_seed, client_seed, nonce } = req.body;
+    let game = null;
+
+    if (gameId) {
+      const data = await store.games.get(gameId);
+      if (!data || data.game !== 'dice') return res.status(404).json({ error: 'Game not found' });
+
+      const seed = await store.seeds.get(data.server_seed_id);
+      if (!seed || seed.active) return res.status(400).json({ error: 'Server seed not revealed yet; rotate it first' });
+
+      game = data;
+      server_seed = seed.server_seed;
+      client_seed = data.client_seed;
+      nonce = data.nonce;
+    }
+
+    nonce = Number(nonce);
+    if (!server_seed || !client_seed || !Number.isInteger(nonce))
+      return res.status(400).json({ error: 'Missing or invalid server_seed, client_seed or nonce' });
+
+    const roll = await deriveDiceRoll(server_seed, client_seed, nonce);
+    const result = { server_seed, server_seed_hash: await sha256Hex(server_seed), client_seed, nonce, roll };
+
+    if (game) {
+      result.gameId = gameId;
+      result.valid = game.server_seed_hash === result.server_seed_hash && game.details.roll === roll;
+    }
+
+    res.json(result);
+  } catch (err) {
+    res.status(500).json({ error: 'Verification failed', details: err.message });
+  }
+});
+
+module.exports = { router, HOUSE_EDGE, MIN_CHANCE, MAX_CHANCE, MAX_PAYOUT, MIN_REAL_EDGE, odds, isWin, play, publicConfig };
@@ -0,0 +1,18 @@
+// events.js — in-process bus for changes a player should see as they happen
+//
+// The ledger, deposits, withdrawals and the game engine publish here; live.js
+// forwards each event to the wallet's open /live/stream connections. Only
+// changes made by this process are seen, so run the deposit watcher and the
+// withdrawal worker inside the server (the default) for them to be pushed.
+const { EventEmitter } = require('events');
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+// --- Tell `wallet`'s sessions about a change; `type` becomes the SSE event name ---
+// A null wallet reaches every open stream, logged in or not (announcements).
+function publish(wallet, type, data) {
+  bus.emit('event', { wallet, type, data });
+}
+
+module.exports = { bus, publish };
@@ -0,0 +1,198 @@
+// fairness.js — server seed commitments, client seeds and per-game nonces
+//
+// Each wallet has one active server seed. Players only ever see its SHA-256
+// hash until they rotate it; rotation reveals the old seed so every game
+// played under it can be re-derived with provably-fair.js.
+//
+// A game claims its round before it is stored, so a rotation can land in
+// between. Games are stored as 'opening' and only go 'active' once their seed is
+// seen unrevealed (game-engine.js openGame); a rotation retires the seed first
+// and then voids any game it finds opening or active on it, so no game ever
+// plays on a seed the player has seen.
+const express = require('express');
+const crypto = require('crypto');
+const store = require('./store');
+const { requireAuth } = require('./auth');
+const { applyCredit, LedgerError } = require('./ledger');
+const { sha256Hex, deriveMinePositions } = require('./provably-fair');
+const { MINES_DEFAULT_SIZE } = require('./config');
+
+function randomSeed(bytes) {
+  return crypto.randomBytes(bytes).toString('hex');
+}
+
+// --- Helper: active seed for a wallet, created on first use ---
+async function getActiveSeed(wallet) {
+  const [active] = await store.seeds.find({ wallet, active: true });
+  if (active) return active;
+
+  return createSeed(wallet, randomSeed(16));
+}
+
+async function createSeed(wallet, clientSeed) {
+  const server_seed = randomSeed(32);
+  const inserted = await store.seeds.insert({
+    wallet,
+    server_seed,
+    server_seed_hash: await sha256Hex(server_seed),
+    client_seed: clientSeed,
+    nonce: 0,
+    active: true
+  });
+
+  // Partial unique index on (wallet) where active: a parallel call created it
+  return inserted || getActiveSeed(wallet);
+}
+
+// --- Claim the next nonce on the active seed for a new game ---
+async function nextRound(wallet) {
+  for (;;) {
+    const seed = await getActiveSeed(wallet);
+
+    // Optimistic bump: only succeeds if nobody else took this nonce first
+    const updated = await store.seeds.update(seed.id, { nonce: seed.nonce + 1 }, { nonce: seed.nonce, active: true });
+    if (updated) return updated;
+  }
+}
+
+// --- Is the seed a round came from still unrevealed? ---
+async function isActive(seed) {
+  const current = await store.seeds.get(seed.id);
+  return Boolean(current && current.active);
+}
+
+// --- Close a game whose seed was rotated under it and hand the bet back ---
+// A refund that fails here is credited later by game-engine.js payUnpaid().
+async function voidGame(game) {
+  for (const status of ['opening', 'active']) {
+    const voided = await store.games.update(game.game_id,
+      { status: 'voided', payout: Number(game.bet), last_action_at: new Date().toISOString() }, { status });
+    if (!voided) continue;
+    try {
+      await applyCredit(voided.wallet, Number(voided.bet), 'game_refund', voided.game_id);
+    } catch (err) {
+      if (!(err instanceof LedgerError && err.code === 'DUPLICATE_ENTRY'))
+        console.error(`Game ${voided.game_id} voided but not refunded yet:`, err.message);
+    }
+    return voided;
+  }
+  return null;
+}
+
+// --- What a player may see about a seed ---
+function publicSeed(seed) {
+  return {
+    server_seed_hash: seed.server_seed_hash,
+    client_seed: seed.client_seed,
+    nonce: seed.nonce
+  };
+}
+
+// --- Routes ---
+const router = express.Router();
+
+router.get('/seed', requireAuth, async (req, res) => {
+  try {
+    res.json(publicSeed(await getActiveSeed(req.wallet)));
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch seed', details: err.message });
+  }
+});
+
+router.post('/client-seed', requireAuth, async (req, res) => {
+  const client_seed = String(req.body.client_seed || '').trim();
+  if (!client_seed || client_seed.length > 64)
+    return res.status(400).json({ error: 'Client seed must be 1-64 characters' });
+
+  try {
+    const seed = await getActiveSeed(req.wallet);
+    const updated = await store.seeds.update(seed.id, { client_seed });
+    res.json(publicSeed(updated));
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to set client seed', details: err.message });
+  }
+});
+
+// Reveal the current server seed and commit to a fresh one
+router.post('/rotate', requireAuth, async (req, res) => {
+  const wallet = req.wallet;
+
+  try {
+    const seed = await getActiveSeed(wallet);
+
+    // Revealing the seed of a running game would reveal its mines
+    const running = await store.games.find({ wallet, server_seed_id: seed.id, status: 'active' }, { limit: 1 });
+    if (running.length > 0)
+      return res.status(400).json({ error: 'Finish your active game before rotating seeds' });
+
+    const revealed = await store.seeds.update(seed.id, { active: false, revealed_at: new Date().toISOString() }, { active: true });
+    if (!revealed) return res.status(409).json({ error: 'Seed already rotated' });
+
+    // A game that claimed its round before the check above but was stored after it
+    const raced = await store.games.find({ wallet, server_seed_id: seed.id, status: ['opening', 'active'] });
+    for (const game of raced) await voidGame(game);
+
+    const next = await createSeed(wallet, seed.client_seed);
+    res.json({
+      previous: { ...publicSeed(revealed), server_seed: revealed.server_seed },
+      current: publicSeed(next)
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to rotate seed', details: err.message });
+  }
+});
+
+// Recompute a board from seeds. With a gameId, the stored board is compared too
+// (only once that game's server seed has been revealed).
+router.post('/verify', async (req, res) => {
+  const { gameId } = req.body;
+
+  try {
+    let { server_seed, client_seed, nonce, bombs, board_size = MINES_DEFAULT_SIZE } = req.body;
+    let totalTiles = Number(board_size) * Number(board_size);
+    let game = null;
+
+    if (gameId) {
+      const data = await store.games.get(gameId);
+      if (!data) return res.status(404).json({ error: 'Game not found' });
+      if (data.status === 'active' || data.status === 'opening') return res.status(400).json({ error: 'Game is still active' });
+      if ((data.game || 'mines') !== 'mines') return res.status(400).json({ error: `Not a Mines game; use /game/${data.game}/verify` });
+
+      const seed = await store.seeds.get(data.server_seed_id);
+      if (!seed || seed.active) return res.status(400).json({ error: 'Server seed not revealed yet; rotate it first' });
+
+      game = data;
+      server_seed = seed.server_seed;
+      client_seed = data.client_seed;
+      nonce = data.nonce;
+      bombs = data.mine_positions.length;
+      totalTiles = data.total_tiles;
+    }
+
+    nonce = Number(nonce);
+    bombs = Number(bombs);
+    if (!Number.isInteger(totalTiles) || totalTiles < 4 || totalTiles > 100)
+      return res.status(400).json({ error: 'Invalid board_size' });
+    if (!server_seed || !client_seed || !Number.isInteger(nonce) || !Number.isInteger(bombs) || bombs < 1 || bombs >= totalTiles)
+      return res.status(400).json({ error: 'Missing or invalid server_seed, client_seed, nonce or bombs' });
+
+    const mine_positions = await deriveMinePositions(server_seed, client_seed, nonce, bombs, totalTiles);
+    const result = {
+      server_seed, server_seed_hash: await sha256Hex(server_seed), client_seed, nonce, bombs, total_tiles: totalTiles, mine_positions
+    };
+
+    if (game) {
+      const stored = [...game.mine_positions].sort((a, b) => a - b);
+      const derived = [...mine_positions].sort((a, b) => a - b);
+      result.gameId = gameId;
+      result.valid = game.server_seed_hash === result.server_seed_hash &&
+        stored.length === derived.length && stored.every((v, i) => v === derived[i]);
+    }
+
+    res.json(result);
+  } catch (err) {
+    res.status(500).json({ error: 'Verification failed', details: err.message });
+  }
+});
+
+module.exports = { router, getActiveSeed, nextRound, isActive, voidGame, publicSeed };
@@ -0,0 +1,209 @@
+// game-engine.js — what every game shares: bet escrow, house edge, seeded RNG,
+// game records and settlement
+//
+// A game module only supplies its rules. The engine escrows the bet, claims the
+// next provably fair round, stores the record in `games` (tagged with `game`,
+// anything game-specific goes in its own columns or `details`) and settles it
+// exactly once through a conditional update.
+//
+// Settling and paying are two writes: the game is marked settled first, then its
+// payout is credited under the game's id. A payout lost between the two (a crash,
+// a ledger error) is credited by payUnpaid(), which the expiry worker runs, and the
+// ledger's unique (reason, ref) keeps the two from both paying.
+//
+//   const { game, seed } = await engine.openGame(wallet, { game: 'dice', bet, houseEdge, deal })
+//   await engine.settle(game, { status: 'won', payout })
+const crypto = require('crypto');
+const store = require('./store');
+const fairness = require('./fairness');
+const { applyCredit, getBalance, LedgerError } = require('./ledger');
+const events = require('./events');
+const controls = require('./controls');
+const limits = require('./limits');
+const { generateFloats } = require('./provably-fair');
+const money = require('./money');
+
+// payUnpaid() leaves a just-settled game to settle()'s own credit, and looks back this far
+const UNPAID_GRACE_MS = 60 * 1000;
+const UNPAID_LOOKBACK_MS = 7 * 24 * 60 * 60 * 1000;
+const UNPAID_BATCH = 100;
+
+// Refused move; `status` is the HTTP status the routes answer with. `extra.code`,
+// when there is one, names the refusal for callers to branch on (sent to the client too).
+class GameError extends Error {
+  constructor(status, message, extra = {}) {
+    super(message);
+    this.status = status;
+    this.code = extra.code || null;
+    this.extra = extra;
+  }
+}
+
+// --- Games register how their records show up in history ---
+const games = new Map();
+
+function registerGame(name, { describe }) {
+  games.set(name, { describe });
+}
+
+function gameNames() {
+  return [...games.keys()];
+}
+
+// --- Fair multiplier less the house edge, rounded to `decimals` ---
+function applyEdge(fairMultiplier, houseEdge, decimals = 2) {
+  return Number((fairMultiplier * (1 - houseEdge)).toFixed(decimals));
+}
+
+// --- `count` floats in [0, 1) for a round; same stream the browser verifier uses ---
+function roll(seed, count) {
+  return generateFloats(seed.server_seed, seed.client_seed, seed.nonce, count);
+}
+
+// --- Take the bet off the balance; the ledger refuses overdrafts ---
+async function escrow(wallet, bet, gameId) {
+  if (money.parseAmount(bet) === null) throw new GameError(400, 'Invalid bet amount');
+  try {
+    await applyCredit(wallet, -bet, 'game_bet', gameId);
+  } catch (err) {
+    if (err.code === 'PLAYER_NOT_FOUND') throw new GameError(404, 'Player not found');
+    if (err.code === 'INSUFFICIENT_CREDITS') throw new GameError(400, 'Not enough credits', { code: 'INSUFFICIENT_CREDITS' });
+    throw err;
+  }
+}
+
+// --- Escrow, claim a seed round and store the game as active ---
+// `deal(seed)` returns the game's own fields (board, target, ...) for that round.
+async function openGame(wallet, { game: name, bet, houseEdge, deal }) {
+  if (await controls.isPaused('games')) throw new GameError(503, 'Games are paused');
+  if (await controls.isFrozen(wallet)) throw new GameError(403, 'Wallet is frozen');
+  // The player's own responsible-gaming limits
+  const refusal = await limits.refuseBet(wallet, bet);
+  if (refusal) {
+    const { error, ...extra } = refusal;
+    throw new GameError(403, error, extra);
+  }
+
+  const gameId = crypto.randomUUID();
+  await escrow(wallet, bet, gameId);
+
+  let game = null;
+  let seed;
+  try {
+    seed = await fairness.nextRound(wallet);
+    // 'opening' until the seed is known to be unrevealed (see fairness.js)
+    game = await store.games.insert({
+      game_id: gameId,
+      game: name,
+      wallet,
+      bet,
+      house_edge: houseEdge,
+      multiplier: 1,
+      status: 'opening',
+      last_action_at: new Date().toISOString(),
+      server_seed_id: seed.id,
+      server_seed_hash: seed.server_seed_hash,
+      client_seed: seed.client_seed,
+      nonce: seed.nonce,
+      ...(await deal(seed))
+    });
+  } catch (err) {
+    console.error(`Game ${gameId} failed to open:`, err.message);
+  }
+  if (!game) {
+    await applyCredit(wallet, bet, 'game_refund', gameId);
+    throw new GameError(500, 'Failed to start game');
+  }
+
+  const opened = (await fairness.isActive(seed)) && await store.games.update(gameId, { status: 'active' }, { status: 'opening' });
+  if (!opened) {
+    await fairness.voidGame(game);
+    throw new GameError(409, 'Server seed was rotated, please start again');
+  }
+  return { game: opened, seed };
+}
+
+// --- What a settled game's payout is booked as: a voided or untouched expired game only got its bet back ---
+function payoutReason(game) {
+  if (game.status === 'voided') return 'game_refund';
+  return game.status === 'expired' && !(Number(game.safe_clicks) > 0) ? 'game_refund' : 'game_win';
+}
+
+// --- Credit a settled game's payout; resolves to the balance, whoever got there first ---
+async function pay(game) {
+  try {
+    return (await applyCredit(game.wallet, Number(game.payout), payoutReason(game), game.game_id)).balance;
+  } catch (err) {
+    if (!(err instanceof LedgerError && err.code === 'DUPLICATE_ENTRY')) throw err;
+    return getBalance(game.wallet);
+  }
+}
+
+// --- active -> `status`, paying `payout` exactly once ---
+// `expected` pins whatever else must not have changed since the game was read.
+// Resolves to { game, balance }, or null when the game already moved on.
+async function settle(game, { status, payout, expected = {}, fields = {} }) {
+  const settled = await store.games.update(game.game_id,
+    { ...fields, status, payout, last_action_at: new Date().toISOString() },
+    { status: 'active', ...expected });
+  if (!settled) return null;
+
+  const balance = payout > 0 ? await pay(settled) : await getBalance(settled.wallet);
+
+  events.publish(settled.wallet, 'game', {
+    gameId: settled.game_id,
+    game: settled.game,
+    status,
+    bet: Number(settled.bet),
+    multiplier: Number(settled.multiplier),
+    payout
+  });
+  return { game: settled, balance };
+}
+
+// --- Credit settled games whose payout never reached the ledger; resolves to how many ---
+async function payUnpaid(now = Date.now()) {
+  const unpaid = await store.reports.unpaidGames(
+    new Date(now - UNPAID_LOOKBACK_MS).toISOString(), new Date(now - UNPAID_GRACE_MS).toISOString(), UNPAID_BATCH);
+  let count = 0;
+
+  for (const game of unpaid) {
+    try {
+      await pay(game);
+      count++;
+    } catch (err) {
+      console.error(`Game ${game.game_id} payout failed:`, err.message);
+    }
+  }
+  if (count > 0) console.log(`Paid ${count} settled game(s) missing their payout`);
+  return count;
+}
+
+// --- What a player sees for one game in history; game-specific fields come from its module ---
+function describeGame(record) {
+  const bet = Number(record.bet);
+  const finished = record.status !== 'active' && record.status !== 'opening';
+  const payout = record.payout != null ? Number(record.payout)
+    : record.status === 'cashedOut' ? money.payout(bet, record.multiplier)
+    : 0;
+  const registered = games.get(record.game || 'mines');
+
+  return {
+    gameId: record.game_id,
+    game: record.game || 'mines',
+    created_at: record.created_at,
+    status: record.status,
+    bet,
+    multiplier: Number(record.multiplier),
+    payout: finished ? payout : null,
+    profit: finished ? money.sum([payout, -bet]) : null,
+    ...(registered ? registered.describe(record, finished) : {}),
+    server_seed_hash: record.server_seed_hash,
+    client_seed: record.client_seed,
+    nonce: record.nonce
+  };
+}
+
+module.exports = {
+  GameError, registerGame, gameNames, applyEdge, roll, escrow, openGame, settle, payUnpaid, describeGame
+};
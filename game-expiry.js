@@ -0,0 +1,89 @@
+// game-expiry.js — settles Mines games left idle longer than GAME_IDLE_TIMEOUT_MS
+//
+// An abandoned game is settled at the bet times the multiplier reached so far,
+// which is just the bet back when no tile was opened. Unlike Cash Out it pays
+// below MIN_MULTIPLIER too, so a game left a few clicks short of the first
+// cash-out point (big boards, few bombs) gets back slightly less than its bet.
+//
+// Each pass also credits settled games whose payout never reached the ledger
+// (engine.payUnpaid).
+const store = require('./store');
+const mines = require('./mines');
+const engine = require('./game-engine');
+const money = require('./money');
+const { GAME_IDLE_TIMEOUT_MS, GAME_EXPIRY_INTERVAL_MS } = require('./config');
+
+const BATCH_SIZE = 100; // idle games per query; a pass keeps going while batches make progress
+
+let timer = null;
+
+function expiresAt(game) {
+  return new Date(new Date(game.last_action_at || game.created_at).getTime() + GAME_IDLE_TIMEOUT_MS).toISOString();
+}
+
+// --- active -> expired, paying out exactly once ---
+async function expireGame(game) {
+  const bet = Number(game.bet);
+  const payout = game.safe_clicks > 0 ? Math.min(money.payout(bet, game.multiplier), mines.MAX_PAYOUT) : bet;
+
+  // safe_clicks pins the multiplier we pay; a click landing first makes this a no-op until the next pass
+  const expired = await engine.settle(game, {
+    status: 'expired',
+    payout,
+    expected: { safe_clicks: game.safe_clicks }
+  });
+  return expired && expired.game;
+}
+
+// --- One pass over idle games, oldest first ---
+// Expired games drop out of the query, so each batch is read from the start again
+async function sweep(now = Date.now()) {
+  const idleSince = new Date(now - GAME_IDLE_TIMEOUT_MS).toISOString();
+  let count = 0;
+
+  for (;;) {
+    const idle = await store.games.find(
+      { game: 'mines', status: 'active', last_action_at: { lte: idleSince } },
+      { order: 'last_action_at', limit: BATCH_SIZE });
+    let expired = 0;
+
+    for (const game of idle) {
+      try {
+        if (await expireGame(game)) expired++;
+      } catch (err) {
+        console.error(`Game ${game.game_id} failed to expire:`, err.message);
+      }
+    }
+    count += expired;
+    // A short batch was the last; one where nothing expired would only come back the same
+    if (idle.length < BATCH_SIZE || expired === 0) break;
+  }
+  if (count > 0) console.log(`Expired ${count} idle game(s)`);
+  return count;
+}
+
+async function tick() {
+  try {
+    await sweep();
+  } catch (err) {
+    console.error('Game expiry error:', err.message);
+  }
+  try {
+    await engine.payUnpaid();
+  } catch (err) {
+    console.error('Game payout sweep error:', err.message);
+  }
+  if (timer) timer = setTimeout(tick, GAME_EXPIRY_INTERVAL_MS);
+}
+
+function start() {
+  if (timer) return;
+  timer = setTimeout(tick, 0);
+}
+
+function stop() {
+  clearTimeout(timer);
+  timer = null;
+}
+
+module.exports = { start, stop, sweep, expiresAt };
@@ -0,0 +1,139 @@
+// history.js — paginated game and conversion history for the history page and support
+//
+//   GET /history/games/:wallet         ?game=mines|dice&status=won|refunded|lost|cashedOut|expired|active&from=&to=&limit=&offset=
+//   GET /history/transactions/:wallet  ?type=deposit|withdraw&status=&from=&to=&limit=&offset=
+//
+// `from` / `to` are dates or ISO timestamps (inclusive). Newest first.
+const express = require('express');
+const store = require('./store');
+const { requireAuth } = require('./auth');
+const engine = require('./game-engine');
+const money = require('./money');
+const tokens = require('./tokens');
+const { depositCredits } = require('./deposits');
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+
+// Each filter is a games match. A game cashed out or expired before its first
+// click kept multiplier 1 and only handed the bet back, so it is refunded, not won;
+// one expired short of the first cash-out point paid under the bet and is neither.
+const GAME_STATUSES = {
+  won: { status: ['won', 'cashedOut', 'expired'], multiplier: { gt: 1 } },
+  refunded: { status: ['cashedOut', 'expired'], multiplier: 1 },
+  lost: { status: 'lost' },
+  cashedOut: { status: 'cashedOut' },
+  expired: { status: 'expired' },
+  active: { status: 'active' }
+};
+
+// --- Helper: parse limit/offset/from/to; null + error message when invalid ---
+function parsePage(query) {
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  const offset = query.offset === undefined ? 0 : Number(query.offset);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) return { error: `limit must be 1-${MAX_LIMIT}` };
+  if (!Number.isInteger(offset) || offset < 0) return { error: 'offset must be 0 or more' };
+
+  const range = {};
+  for (const [param, bound] of [['from', 'gte'], ['to', 'lte']]) {
+    if (!query[param]) continue;
+    const date = new Date(query[param]);
+    if (Number.isNaN(date.getTime())) return { error: `Invalid ${param} date` };
+    // A bare date for `to` covers that whole day
+    if (bound === 'lte' && /^\d{4}-\d{2}-\d{2}$/.test(query[param])) date.setUTCHours(23, 59, 59, 999);
+    range[bound] = date.toISOString();
+  }
+
+  return { limit, offset, createdAt: Object.keys(range).length ? range : undefined };
+}
+
+// One extra row tells us whether another page exists
+function page(rows, { limit, offset }) {
+  return { items: rows.slice(0, limit), limit, offset, has_more: rows.length > limit };
+}
+
+function depositEntry(d) {
+  return {
+    type: 'deposit',
+    id: d.txid,
+    created_at: d.created_at,
+    status: d.status,
+    token: d.token,
+    quantity: money.formatAsset(d.amount, tokens.get(d.token) || { symbol: d.token, precision: 0 }),
+    credits: depositCredits(d),
+    txid: d.txid,
+    error: d.error || null
+  };
+}
+
+function withdrawalEntry(w) {
+  return {
+    type: 'withdraw',
+    id: w.id,
+    created_at: w.created_at,
+    status: w.status,
+    token: w.token,
+    quantity: w.quantity,
+    credits: Number(w.credits),
+    txid: w.status === 'rejected' ? null : w.txid || null,
+    error: w.status === 'failed' || w.status === 'rejected' ? w.error : null
+  };
+}
+
+// --- Routes ---
+const router = express.Router();
+
+router.get('/games/:wallet', requireAuth, async (req, res) => {
+  const { game, status } = req.query;
+  if (game && !engine.gameNames().includes(game))
+    return res.status(400).json({ error: 'Invalid game', games: engine.gameNames() });
+  if (status && !GAME_STATUSES[status])
+    return res.status(400).json({ error: 'Invalid status', statuses: Object.keys(GAME_STATUSES) });
+  const paging = parsePage(req.query);
+  if (paging.error) return res.status(400).json({ error: paging.error });
+
+  try {
+    const match = { wallet: req.wallet };
+    if (game) match.game = game;
+    if (status) Object.assign(match, GAME_STATUSES[status]);
+    if (paging.createdAt) match.created_at = paging.createdAt;
+
+    const rows = await store.games.find(match, {
+      order: 'created_at', ascending: false, limit: paging.limit + 1, offset: paging.offset
+    });
+    res.json({ wallet: req.wallet, ...page(rows.map(engine.describeGame), paging) });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch game history', details: err.message });
+  }
+});
+
+// Deposits and withdrawals live in separate tables; both are read up to the
+// end of the requested page, merged by time and sliced.
+router.get('/transactions/:wallet', requireAuth, async (req, res) => {
+  const { type, status } = req.query;
+  if (type && type !== 'deposit' && type !== 'withdraw')
+    return res.status(400).json({ error: 'Invalid type', types: ['deposit', 'withdraw'] });
+  const paging = parsePage(req.query);
+  if (paging.error) return res.status(400).json({ error: paging.error });
+
+  try {
+    const match = { wallet: req.wallet };
+    if (status) match.status = String(status);
+    if (paging.createdAt) match.created_at = paging.createdAt;
+    const options = { order: 'created_at', ascending: false, limit: paging.offset + paging.limit + 1 };
+
+    const [deposits, withdrawn] = await Promise.all([
+      type === 'withdraw' ? [] : store.deposits.find(match, options),
+      type === 'deposit' ? [] : store.withdrawals.find(match, options)
+    ]);
+
+    const merged = [...deposits.map(depositEntry), ...withdrawn.map(withdrawalEntry)]
+      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+      .slice(paging.offset);
+    res.json({ wallet: req.wallet, ...page(merged, paging) });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch transaction history', details: err.message });
+  }
+});
+
+module.exports = { router };
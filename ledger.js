@@ -0,0 +1,30 @@
+// ledger.js — append-only credit ledger; the only way balances change
+//
+// Every change is one atomic store operation (apply_credit() in schema.sql for
+// Supabase) that locks the player row, rejects overdrafts and appends the
+// ledger entry together, so parallel requests can no longer race on `credits`.
+const store = require('./store');
+const { LedgerError } = require('./store/errors');
+const events = require('./events');
+const money = require('./money');
+
+const REASONS = ['game_bet', 'game_refund', 'game_win', 'deposit', 'withdraw', 'withdraw_refund', 'opening_balance', 'admin_adjustment', 'reward_claim'];
+
+// --- Apply a signed delta; resolves to the new ledger entry ---
+async function applyCredit(wallet, delta, reason, ref = null) {
+  if (!REASONS.includes(reason)) throw new Error(`Unknown ledger reason: ${reason}`);
+  if (!Number.isFinite(delta) || delta === 0) throw new Error('Ledger delta must be a non-zero number');
+  if (money.sum([delta]) !== delta) throw new Error(`Ledger delta ${delta} is not a whole number of cents`);
+
+  const data = await store.ledger.apply(wallet, delta, reason, ref == null ? null : String(ref));
+  const entry = { ...data, delta: Number(data.delta), balance: Number(data.balance) };
+  events.publish(wallet, 'balance', { balance: entry.balance, delta: entry.delta, reason, ref: entry.ref });
+  return entry;
+}
+
+// --- Current balance: resulting balance of the wallet's latest entry ---
+async function getBalance(wallet) {
+  return store.ledger.balance(wallet);
+}
+
+module.exports = { applyCredit, getBalance, LedgerError, REASONS };
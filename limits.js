@@ -0,0 +1,244 @@
+// limits.js — responsible-gaming limits players set on their own wallet
+//
+//   deposit_daily / _weekly / _monthly   credits' worth of tokens deposited per rolling 1 / 7 / 30 days
+//   loss_daily / _weekly / _monthly      credits lost on games (bets less payouts), same windows
+//   max_bet                              largest single bet, in credits
+//   reminder_minutes                     the pages remind the player how long they've been playing
+//   excluded_until                       self-exclusion: no games and no deposits until then
+//
+// Tightening a limit applies at once. Loosening or removing one waits in
+// `pending` for LIMIT_COOLING_OFF_MS, and self-exclusion can be extended but
+// never shortened. Bets are checked in game-engine.js openGame, deposits in
+// /convert/deposit and in deposit-watcher.js, which holds a refused transfer in
+// unmatched_deposits for an operator to refund instead of crediting it.
+//
+//   GET  /limits/:wallet                              limits, pending changes and usage in each window
+//   GET  /limits/:wallet/deposit?token=WAX&amount=5   would this deposit be allowed? (before signing it)
+//   POST /limits                                      { deposit_daily: 100, max_bet: null, ... }  null removes a limit
+//   POST /limits/exclude                              { days }
+const express = require('express');
+const store = require('./store');
+const { requireAuth } = require('./auth');
+const money = require('./money');
+const tokens = require('./tokens');
+const { depositCredits } = require('./deposits');
+const { LIMIT_COOLING_OFF_MS, MAX_EXCLUSION_DAYS } = require('./config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WINDOWS = { daily: DAY_MS, weekly: 7 * DAY_MS, monthly: 30 * DAY_MS };
+const PERIODS = Object.keys(WINDOWS);
+
+const LIMITS = [
+  ...PERIODS.map(period => `deposit_${period}`),
+  ...PERIODS.map(period => `loss_${period}`),
+  'max_bet',
+  'reminder_minutes'
+];
+
+// --- Stored row -> plain numbers; a wallet without a row has no limits ---
+function toLimits(wallet, row) {
+  const limits = { wallet, excluded_until: null, pending: {} };
+  for (const name of LIMITS) limits[name] = row && row[name] != null ? Number(row[name]) : null;
+  if (row) {
+    limits.excluded_until = row.excluded_until || null;
+    limits.pending = row.pending || {};
+  }
+  return limits;
+}
+
+async function save(wallet, fields) {
+  const row = { ...fields, updated_at: new Date().toISOString() };
+  const updated = await store.limits.update(wallet, row);
+  if (updated) return updated;
+  // First change for this wallet; a racing first change wins the insert
+  return (await store.limits.insert({ wallet, ...row })) || store.limits.update(wallet, row);
+}
+
+// --- Current limits, applying any loosening whose cooling-off has passed ---
+async function getLimits(wallet) {
+  const row = await store.limits.get(wallet);
+  const limits = toLimits(wallet, row);
+
+  const now = Date.now();
+  const due = Object.keys(limits.pending).filter(name => new Date(limits.pending[name].effective_at).getTime() <= now);
+  if (!due.length) return limits;
+
+  const pending = { ...limits.pending };
+  const fields = {};
+  for (const name of due) {
+    fields[name] = pending[name].value;
+    delete pending[name];
+  }
+  return toLimits(wallet, await save(wallet, { ...fields, pending }));
+}
+
+// --- Change limits: stricter now, looser after the cooling-off ---
+// `changes` maps limit names to a positive number or null (no limit).
+async function setLimits(wallet, changes) {
+  const current = await getLimits(wallet);
+  const pending = { ...current.pending };
+  const fields = {};
+  const effectiveAt = new Date(Date.now() + LIMIT_COOLING_OFF_MS).toISOString();
+
+  for (const [name, value] of Object.entries(changes)) {
+    delete pending[name]; // a new choice replaces a queued one
+    if (value === current[name]) continue;
+    const stricter = value !== null && (current[name] === null || value < current[name]);
+    if (stricter) fields[name] = value;
+    else pending[name] = { value, effective_at: effectiveAt };
+  }
+
+  return toLimits(wallet, await save(wallet, { ...fields, pending }));
+}
+
+// --- Self-exclusion for `days`; never brings an existing end date closer ---
+async function exclude(wallet, days) {
+  const current = await getLimits(wallet);
+  const until = new Date(Date.now() + days * DAY_MS);
+  if (current.excluded_until && new Date(current.excluded_until) > until) return current;
+  return toLimits(wallet, await save(wallet, { excluded_until: until.toISOString() }));
+}
+
+// --- Deposits and game losses in each rolling window ---
+// Losses are summed by the store: auto-play alone can put thousands of games in a window
+async function usage(wallet) {
+  const now = Date.now();
+  const starts = PERIODS.map(period => now - WINDOWS[period]);
+  const since = new Date(now - WINDOWS.monthly).toISOString();
+  const [deposits, losses] = await Promise.all([
+    store.deposits.find({ wallet, status: ['pending', 'credited'], created_at: { gte: since } }),
+    // An unfinished game counts as lost until it pays out
+    Promise.all(starts.map(start => store.reports.losses(wallet, new Date(start).toISOString())))
+  ]);
+
+  const result = { deposits: {}, losses: {} };
+  PERIODS.forEach((period, i) => {
+    const inWindow = row => new Date(row.created_at).getTime() >= starts[i];
+    result.deposits[period] = money.sum(deposits.filter(inWindow).map(depositCredits));
+    result.losses[period] = losses[i];
+  });
+  return result;
+}
+
+// --- Refusals: null when allowed, else the body the routes answer 403 with ---
+function excluded(limits) {
+  if (!limits.excluded_until || new Date(limits.excluded_until).getTime() <= Date.now()) return null;
+  return { error: `Self-excluded until ${limits.excluded_until}`, code: 'SELF_EXCLUDED', excluded_until: limits.excluded_until };
+}
+
+function overWindow(limits, kind, used, amount, message) {
+  for (const period of PERIODS) {
+    const limit = limits[`${kind}_${period}`];
+    if (limit === null || money.sum([used[period], amount]) <= limit) continue;
+    const remaining = Math.max(0, money.sum([limit, -used[period]]));
+    return { error: message(period), code: `${kind.toUpperCase()}_LIMIT`, limit: `${kind}_${period}`, max: limit, remaining };
+  }
+  return null;
+}
+
+async function refuseBet(wallet, bet) {
+  const limits = await getLimits(wallet);
+  const exclusion = excluded(limits);
+  if (exclusion) return exclusion;
+  if (limits.max_bet !== null && bet > limits.max_bet)
+    return { error: `Bet is over your limit of ${limits.max_bet}`, code: 'MAX_BET', limit: 'max_bet', max: limits.max_bet };
+
+  if (PERIODS.every(period => limits[`loss_${period}`] === null)) return null;
+  const { losses } = await usage(wallet);
+  return overWindow(limits, 'loss', losses, bet, period => `Bet would pass your ${period} loss limit`);
+}
+
+// `credits` is what the deposit is worth
+async function refuseDeposit(wallet, credits) {
+  const limits = await getLimits(wallet);
+  const exclusion = excluded(limits);
+  if (exclusion) return exclusion;
+
+  if (PERIODS.every(period => limits[`deposit_${period}`] === null)) return null;
+  const { deposits } = await usage(wallet);
+  return overWindow(limits, 'deposit', deposits, credits, period => `Deposit would pass your ${period} deposit limit`);
+}
+
+// --- Request body -> { changes } or { error } ---
+function parseChanges(body) {
+  const changes = {};
+  for (const name of LIMITS) {
+    if (!(name in body)) continue;
+    const raw = body[name];
+    if (raw === null || raw === '') {
+      changes[name] = null;
+      continue;
+    }
+    const value = Number(raw);
+    if (!Number.isFinite(value) || value <= 0) return { error: `${name} must be a positive number or null` };
+    if (name === 'reminder_minutes' && (!Number.isInteger(value) || value > 24 * 60))
+      return { error: 'reminder_minutes must be a whole number of minutes up to a day' };
+    changes[name] = value;
+  }
+  if (!Object.keys(changes).length) return { error: `Set at least one of ${LIMITS.join(', ')}` };
+  return { changes };
+}
+
+async function limitsView(wallet, limits) {
+  const { pending, excluded_until } = limits;
+  return {
+    wallet,
+    limits: Object.fromEntries(LIMITS.map(name => [name, limits[name]])),
+    pending,
+    excluded_until,
+    usage: await usage(wallet),
+    cooling_off_ms: LIMIT_COOLING_OFF_MS
+  };
+}
+
+// --- Routes ---
+const router = express.Router();
+
+router.get('/:wallet', requireAuth, async (req, res) => {
+  try {
+    res.json(await limitsView(req.wallet, await getLimits(req.wallet)));
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch limits', details: err.message });
+  }
+});
+
+// Asked before the transfer is signed, since /convert/deposit only sees it afterwards
+router.get('/:wallet/deposit', requireAuth, async (req, res) => {
+  const token = tokens.get(req.query.token == null ? undefined : String(req.query.token));
+  if (!token || !token.enabled) return res.status(400).json({ error: 'Unknown or disabled token' });
+  const amount = money.parseAmount(req.query.amount !== undefined ? req.query.amount : req.query.kahel_amount, token.precision);
+  if (amount === null) return res.status(400).json({ error: 'Invalid deposit amount' });
+
+  try {
+    const refusal = await refuseDeposit(req.wallet, money.tokenToCredits(amount, token));
+    if (refusal) return res.status(403).json(refusal);
+    res.json({ allowed: true });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to check limits', details: err.message });
+  }
+});
+
+router.post('/', requireAuth, async (req, res) => {
+  const { changes, error } = parseChanges(req.body);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    res.json(await limitsView(req.wallet, await setLimits(req.wallet, changes)));
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to update limits', details: err.message });
+  }
+});
+
+router.post('/exclude', requireAuth, async (req, res) => {
+  const days = Number(req.body.days);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_EXCLUSION_DAYS)
+    return res.status(400).json({ error: `days must be a whole number from 1 to ${MAX_EXCLUSION_DAYS}` });
+
+  try {
+    res.json(await limitsView(req.wallet, await exclude(req.wallet, days)));
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to self-exclude', details: err.message });
+  }
+});
+
+module.exports = { router, LIMITS, getLimits, setLimits, exclude, usage, refuseBet, refuseDeposit };
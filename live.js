@@ -0,0 +1,103 @@
+// live.js — Server-Sent Events: a player's balance, deposit, withdrawal and game
+// updates pushed to every open session, plus a site-wide feed of big wins
+//
+//   GET /live/stream?token=<session token>   text/event-stream; without a token, big wins only
+//   GET /live/big-wins                       recent big wins, newest first
+//
+// EventSource can't send an Authorization header, so the session token rides in
+// the query string. Events: hello (current balance + recent big wins on connect),
+// balance, deposit, withdrawal, game, big_win and announcement (site-wide). Everything
+// comes off events.js.
+const express = require('express');
+const events = require('./events');
+const { readToken } = require('./auth');
+const { getBalance } = require('./ledger');
+const {
+  LIVE_BIG_WIN_MIN_PAYOUT, LIVE_BIG_WIN_MIN_MULTIPLIER, LIVE_FEED_SIZE, LIVE_HEARTBEAT_MS
+} = require('./config');
+
+const clients = new Set();     // every open stream
+const byWallet = new Map();    // wallet -> Set of its streams
+const bigWins = [];            // newest first, at most LIVE_FEED_SIZE
+
+function send(res, type, data) {
+  res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// A refund (expired game with no clicks) pays the bet back; that's no win
+function isBigWin({ bet, multiplier, payout }) {
+  return payout > bet && (payout >= LIVE_BIG_WIN_MIN_PAYOUT || multiplier >= LIVE_BIG_WIN_MIN_MULTIPLIER);
+}
+
+function recordBigWin(wallet, { game, bet, multiplier, payout }) {
+  const win = { wallet, game, bet, multiplier, payout, at: new Date().toISOString() };
+  bigWins.unshift(win);
+  bigWins.length = Math.min(bigWins.length, LIVE_FEED_SIZE);
+  for (const client of clients) send(client.res, 'big_win', win);
+}
+
+events.bus.on('event', ({ wallet, type, data }) => {
+  if (wallet === null) {
+    for (const client of clients) send(client.res, type, data);
+    return;
+  }
+  for (const res of byWallet.get(wallet) || []) send(res, type, data);
+  if (type === 'game' && isBigWin(data)) recordBigWin(wallet, data);
+});
+
+function subscribe(client) {
+  clients.add(client);
+  if (!client.wallet) return;
+  if (!byWallet.has(client.wallet)) byWallet.set(client.wallet, new Set());
+  byWallet.get(client.wallet).add(client.res);
+}
+
+function unsubscribe(client) {
+  clients.delete(client);
+  const streams = client.wallet && byWallet.get(client.wallet);
+  if (!streams) return;
+  streams.delete(client.res);
+  if (streams.size === 0) byWallet.delete(client.wallet);
+}
+
+// --- Routes ---
+const router = express.Router();
+
+router.get('/stream', async (req, res) => {
+  let wallet = null;
+  if (req.query.token) {
+    wallet = readToken(String(req.query.token));
+    if (!wallet) return res.status(401).json({ error: 'Login required' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  // Subscribed before the first read, so nothing slips in between
+  const client = { wallet, res };
+  subscribe(client);
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), LIVE_HEARTBEAT_MS);
+  heartbeat.unref();
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe(client);
+  });
+
+  try {
+    send(res, 'hello', { wallet, balance: wallet ? await getBalance(wallet) : null, big_wins: bigWins });
+  } catch (err) {
+    console.error('Live stream hello failed:', err.message);
+  }
+});
+
+router.get('/big-wins', (req, res) => {
+  res.json({ big_wins: bigWins });
+});
+
+module.exports = { router };
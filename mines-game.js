@@ -0,0 +1,282 @@
+// mines-game.js — Mines rounds: start, reveal, cash out, and server-side auto-play
+//
+// The /game/* routes and /game/auto share these, so a manual click and an
+// auto-played pick go through the same escrow, checks and conditional updates.
+// Escrow, seeds, records and settlement come from game-engine.js.
+const crypto = require('crypto');
+const store = require('./store');
+const fairness = require('./fairness');
+const mines = require('./mines');
+const engine = require('./game-engine');
+const { GameError } = engine;
+const { getBalance } = require('./ledger');
+const { deriveMinePositions } = require('./provably-fair');
+const money = require('./money');
+const { MINES_AUTO_MAX_ROUNDS } = require('./config');
+
+// History shows the board only once the game is over
+engine.registerGame('mines', {
+  describe: (game, finished) => ({
+    bombs: game.mine_positions.length,
+    board_size: Math.sqrt(game.total_tiles),
+    revealed: game.revealed || [],
+    mine_positions: finished ? game.mine_positions : null
+  })
+});
+
+// --- Escrow the bet and commit a board from the player's seed ---
+async function startGame(wallet, { bet, bombs, boardSize = mines.DEFAULT_SIZE }) {
+  const totalTiles = mines.boardTiles(Number(boardSize));
+
+  if (money.parseAmount(bet) === null) throw new GameError(400, 'Invalid bet amount');
+  if (!totalTiles) throw new GameError(400, 'Invalid board size', { board_sizes: mines.BOARD_SIZES });
+  if (!Number.isInteger(bombs) || bombs < 1 || bombs >= totalTiles) throw new GameError(400, 'Invalid bomb count');
+  if (mines.firstCashOut(bombs, { totalTiles }).clicks === null) throw new GameError(400, 'No cash-out point with this many bombs');
+  // Even the smallest win must fit under the payout cap
+  if (mines.exceedsMaxPayout(bet, mines.MIN_MULTIPLIER))
+    throw new GameError(400, 'Bet exceeds the maximum payout', { code: 'MAX_PAYOUT', max_payout: mines.MAX_PAYOUT });
+
+  // Mine positions come from the committed server seed + client seed + nonce
+  return engine.openGame(wallet, {
+    game: 'mines',
+    bet,
+    houseEdge: mines.HOUSE_EDGE,
+    deal: async seed => ({
+      total_tiles: totalTiles,
+      mine_positions: await deriveMinePositions(seed.server_seed, seed.client_seed, seed.nonce, bombs, totalTiles),
+      revealed: [],
+      safe_clicks: 0
+    })
+  });
+}
+
+// --- Open one tile; resolves to { result: 'mine' | 'safe', game, multiplier } ---
+async function revealTile(wallet, gameId, index) {
+  if (!Number.isInteger(index) || index < 0) throw new GameError(400, 'Invalid tileIndex');
+
+  const game = await store.games.get(gameId);
+  if (!game || (game.game || 'mines') !== 'mines') throw new GameError(404, 'Game not found');
+  if (game.wallet !== wallet) throw new GameError(403, 'Not your game');
+  if (game.status !== 'active') throw new GameError(400, 'Game is not active');
+  if (index >= game.total_tiles) throw new GameError(400, 'Invalid tileIndex');
+
+  const revealed = new Set(game.revealed || []);
+  if (revealed.has(index)) throw new GameError(400, 'Tile already revealed');
+
+  const minePositions = game.mine_positions;
+  const safeClicks = game.safe_clicks + 1;
+  const multiplier = mines.multiplier(minePositions.length, safeClicks, {
+    totalTiles: game.total_tiles,
+    houseEdge: Number(game.house_edge)
+  });
+
+  // Decided before looking at the tile, so a refusal says nothing about what's under it
+  if (mines.exceedsMaxPayout(Number(game.bet), multiplier))
+    throw new GameError(400, 'Another safe tile would exceed the maximum payout; cash out instead', { max_payout: mines.MAX_PAYOUT });
+
+  // Updates only apply to the state read above; a parallel click or expiry makes them miss
+  const expected = { status: 'active', safe_clicks: game.safe_clicks };
+  revealed.add(index);
+
+  // --- IF PLAYER HIT A MINE ---
+  if (minePositions.includes(index)) {
+    const lost = await engine.settle(game, {
+      status: 'lost',
+      payout: 0,
+      expected,
+      fields: { revealed: Array.from(revealed) }
+    });
+    if (!lost) throw new GameError(409, 'Game changed, please retry');
+    return { result: 'mine', game: lost.game, multiplier: Number(game.multiplier) };
+  }
+
+  // --- SAFE TILE ---
+  const updated = await store.games.update(gameId, {
+    revealed: Array.from(revealed),
+    safe_clicks: safeClicks,
+    multiplier,
+    status: 'active',
+    last_action_at: new Date().toISOString()
+  }, expected);
+  if (!updated) throw new GameError(409, 'Game changed, please retry');
+  return { result: 'safe', game: updated, multiplier };
+}
+
+// --- Pay bet x multiplier exactly once ---
+async function cashOut(wallet, gameId) {
+  const current = await store.games.get(gameId);
+  if (!current || (current.game || 'mines') !== 'mines' || current.wallet !== wallet || current.status !== 'active')
+    throw new GameError(400, 'Game not active or not yours');
+
+  // Before the first click the bet just comes back; after it, only from MIN_MULTIPLIER up
+  if (current.safe_clicks > 0 && !mines.canCashOut(Number(current.multiplier)))
+    throw new GameError(400, `Cash-out opens at ×${mines.MIN_MULTIPLIER}; reveal another tile`, { min_multiplier: mines.MIN_MULTIPLIER });
+
+  const winnings = money.payout(current.bet, current.multiplier);
+  // Backstop for caps lowered mid-game; clicks already stop short of the cap
+  if (mines.exceedsMaxPayout(Number(current.bet), Number(current.multiplier)))
+    throw new GameError(400, 'Winnings exceed the maximum payout', { max_payout: mines.MAX_PAYOUT });
+
+  // Only if the game is still active at the multiplier we pay
+  const settled = await engine.settle(current, {
+    status: 'cashedOut',
+    payout: winnings,
+    expected: { safe_clicks: current.safe_clicks }
+  });
+  if (!settled) throw new GameError(400, 'Game not active or not yours');
+
+  return { game: settled.game, winnings, balance: settled.balance };
+}
+
+// --- Auto-play settings; throws GameError on anything out of range ---
+function parseAutoOptions(body) {
+  const bet = Number(body.bet_amount);
+  const bombs = Number(body.bombCount);
+  const boardSize = Number(body.boardSize || mines.DEFAULT_SIZE);
+  const totalTiles = mines.boardTiles(boardSize);
+  if (money.parseAmount(bet) === null) throw new GameError(400, 'Invalid bet amount');
+  if (!totalTiles) throw new GameError(400, 'Invalid board size', { board_sizes: mines.BOARD_SIZES });
+  if (!Number.isInteger(bombs) || bombs < 1 || bombs >= totalTiles) throw new GameError(400, 'Invalid bomb count');
+  const safeTiles = totalTiles - bombs;
+
+  let tiles = null;
+  let pickCount = null;
+  if (body.tiles != null) {
+    if (!Array.isArray(body.tiles) || body.tiles.length === 0) throw new GameError(400, 'tiles must be a non-empty list');
+    tiles = body.tiles.map(Number);
+    if (tiles.some(t => !Number.isInteger(t) || t < 0 || t >= totalTiles) || new Set(tiles).size !== tiles.length)
+      throw new GameError(400, 'tiles must be distinct tile indexes on the board');
+    if (tiles.length > safeTiles) throw new GameError(400, `At most ${safeTiles} tiles can be safe`);
+  } else {
+    pickCount = Number(body.pick_count);
+    if (!Number.isInteger(pickCount) || pickCount < 1 || pickCount > safeTiles)
+      throw new GameError(400, `Pick tiles or set pick_count between 1 and ${safeTiles}`);
+  }
+
+  const rounds = body.rounds == null ? 1 : Number(body.rounds);
+  if (!Number.isInteger(rounds) || rounds < 1 || rounds > MINES_AUTO_MAX_ROUNDS)
+    throw new GameError(400, `rounds must be 1-${MINES_AUTO_MAX_ROUNDS}`);
+
+  const optionalPositive = name => {
+    if (body[name] == null || body[name] === '') return null;
+    const value = Number(body[name]);
+    if (!Number.isFinite(value) || value <= 0) throw new GameError(400, `Invalid ${name}`);
+    return value;
+  };
+  const target = optionalPositive('target_multiplier');
+  if (target !== null && target < mines.MIN_MULTIPLIER)
+    throw new GameError(400, `target_multiplier must be at least ${mines.MIN_MULTIPLIER}`);
+  // Every round that survives its picks cashes out, so they must reach the first cash-out point
+  const first = mines.firstCashOut(bombs, { totalTiles });
+  if (first.clicks === null || (tiles ? tiles.length : pickCount) < first.clicks)
+    throw new GameError(400, first.clicks === null
+      ? 'No cash-out point with this many bombs'
+      : `Cash-out opens after ${first.clicks} safe tiles with ${bombs} bombs on this board; pick at least that many`);
+
+  const adjustment = name => {
+    const { action = 'reset', percent = 0 } = body[name] || {};
+    if (action !== 'reset' && action !== 'increase') throw new GameError(400, `${name}.action must be reset or increase`);
+    if (!Number.isFinite(Number(percent)) || Number(percent) < 0) throw new GameError(400, `Invalid ${name}.percent`);
+    return { action, percent: Number(percent) };
+  };
+
+  return {
+    bet,
+    bombs,
+    boardSize,
+    totalTiles,
+    tiles,
+    pickCount,
+    rounds,
+    target,
+    stopOnProfit: optionalPositive('stop_on_profit'),
+    stopOnLoss: optionalPositive('stop_on_loss'),
+    onWin: adjustment('on_win'),
+    onLoss: adjustment('on_loss')
+  };
+}
+
+// Random distinct tiles for "reveal N random tiles"; which tiles are picked has
+// no bearing on fairness, the board itself comes from the committed seed
+function randomTiles(totalTiles, count) {
+  const all = Array.from({ length: totalTiles }, (_, i) => i);
+  for (let i = 0; i < count; i++) {
+    const j = i + crypto.randomInt(totalTiles - i);
+    [all[i], all[j]] = [all[j], all[i]];
+  }
+  return all.slice(0, count);
+}
+
+// --- One auto round: reveal picks until a mine, the target or the cap, then cash out ---
+async function playAutoRound(wallet, options, bet) {
+  const { game } = await startGame(wallet, { bet, bombs: options.bombs, boardSize: options.boardSize });
+  const picks = options.tiles || randomTiles(options.totalTiles, options.pickCount);
+
+  let multiplier = 1;
+  for (const tile of picks) {
+    let step;
+    try {
+      step = await revealTile(wallet, game.game_id, tile);
+    } catch (err) {
+      // The next pick would pass the payout cap: keep what we have
+      if (err instanceof GameError && err.extra.max_payout !== undefined) break;
+      throw err;
+    }
+    if (step.result === 'mine') {
+      return { gameId: game.game_id, bet, result: 'lost', multiplier: 0, payout: 0, revealed: step.game.revealed, mine_positions: game.mine_positions, ...fairness.publicSeed(game) };
+    }
+    multiplier = step.multiplier;
+    if (options.target !== null && multiplier >= options.target) break;
+  }
+
+  const { game: settled, winnings } = await cashOut(wallet, game.game_id);
+  return { gameId: game.game_id, bet, result: 'won', multiplier, payout: winnings, revealed: settled.revealed, mine_positions: game.mine_positions, ...fairness.publicSeed(game) };
+}
+
+function nextBet(options, current, won) {
+  const { action, percent } = won ? options.onWin : options.onLoss;
+  if (action === 'reset') return options.bet;
+  return money.fromUnits(money.toUnits(current * (1 + percent / 100)));
+}
+
+// --- Run up to `rounds` games in one request ---
+// Resolves to { rounds: [...], profit, stopped, balance }; stopped is
+// completed | profit_target | loss_limit | insufficient_credits | bet_limit | player_limit | error
+async function autoPlay(wallet, options) {
+  const results = [];
+  let profit = 0;
+  let bet = options.bet;
+  let stopped = 'completed';
+  let error;
+
+  for (let round = 0; round < options.rounds; round++) {
+    let outcome;
+    try {
+      outcome = await playAutoRound(wallet, options, bet);
+    } catch (err) {
+      // The first round reports its own errors; later ones just end the run
+      if (results.length === 0) throw err;
+      switch (err instanceof GameError ? err.code : null) {
+        case 'INSUFFICIENT_CREDITS': stopped = 'insufficient_credits'; break;
+        case 'MAX_PAYOUT': stopped = 'bet_limit'; break;
+        case null:
+          stopped = 'error';
+          error = err.message;
+          break;
+        default: stopped = 'player_limit'; // the rest are limits.js refusals
+      }
+      break;
+    }
+
+    results.push(outcome);
+    profit = money.sum([profit, outcome.payout, -outcome.bet]);
+    bet = nextBet(options, bet, outcome.result === 'won');
+
+    if (options.stopOnProfit !== null && profit >= options.stopOnProfit) { stopped = 'profit_target'; break; }
+    if (options.stopOnLoss !== null && -profit >= options.stopOnLoss) { stopped = 'loss_limit'; break; }
+  }
+
+  return { rounds: results, profit, stopped, error, balance: await getBalance(wallet) };
+}
+
+module.exports = { GameError, startGame, revealTile, cashOut, parseAutoOptions, autoPlay };
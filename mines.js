@@ -0,0 +1,105 @@
+// mines.js — Mines board sizes and payout math, shared by the game routes and tests
+const {
+  MINES_BOARD_SIZES, MINES_DEFAULT_SIZE, MINES_HOUSE_EDGE, MINES_MAX_MULTIPLIER, MINES_MAX_PAYOUT
+} = require('./config');
+const { applyEdge } = require('./game-engine');
+const money = require('./money');
+
+const BOARD_SIZES = [...new Set(MINES_BOARD_SIZES)].sort((a, b) => a - b);
+const DEFAULT_SIZE = MINES_DEFAULT_SIZE;
+const DEFAULT_TILES = DEFAULT_SIZE * DEFAULT_SIZE;
+const HOUSE_EDGE = MINES_HOUSE_EDGE;
+const MAX_MULTIPLIER = MINES_MAX_MULTIPLIER;
+const MAX_PAYOUT = MINES_MAX_PAYOUT;
+const MIN_MULTIPLIER = 1.01;
+
+// Refuse to boot on settings that would make the game unplayable or free money
+for (const size of BOARD_SIZES)
+  if (!Number.isInteger(size) || size < 2 || size > 10) throw new Error(`Invalid MINES_BOARD_SIZES entry "${size}" (2-10)`);
+if (!BOARD_SIZES.includes(DEFAULT_SIZE)) throw new Error(`MINES_DEFAULT_SIZE ${DEFAULT_SIZE} is not in MINES_BOARD_SIZES`);
+if (!(HOUSE_EDGE >= 0 && HOUSE_EDGE < 1)) throw new Error(`Invalid MINES_HOUSE_EDGE "${HOUSE_EDGE}"`);
+if (!(MAX_MULTIPLIER >= MIN_MULTIPLIER)) throw new Error(`MINES_MAX_MULTIPLIER must be at least ${MIN_MULTIPLIER}`);
+if (!(MAX_PAYOUT > 0)) throw new Error('MINES_MAX_PAYOUT must be positive');
+
+// --- Tile count for a board side length, or null if operators don't offer it ---
+function boardTiles(size) {
+  return BOARD_SIZES.includes(size) ? size * size : null;
+}
+
+// --- Payout multiplier after `safeClicks` safe tiles on a board with `bombs` mines ---
+// The fair payout is the inverse of the chance to survive every click:
+//   payout *= remainingTiles / remainingSafe
+// minus the house edge, rounded to cents, never above MAX_MULTIPLIER. With few
+// mines on a big board the first clicks come out below 1; see canCashOut.
+function multiplier(bombs, safeClicks, { totalTiles = DEFAULT_TILES, houseEdge = HOUSE_EDGE } = {}) {
+  let fairPayout = 1;
+  const safeTiles = totalTiles - bombs;
+
+  for (let i = 0; i < safeClicks; i++) {
+    const remainingTiles = totalTiles - i;
+    const remainingSafe = safeTiles - i;
+
+    fairPayout *= remainingTiles / remainingSafe; // Always safe, never 0
+  }
+
+  // Cap insane values from overflow
+  if (!Number.isFinite(fairPayout)) fairPayout = MAX_MULTIPLIER;
+
+  const finalMultiplier = applyEdge(fairPayout, houseEdge);
+  return Math.min(finalMultiplier, MAX_MULTIPLIER);
+}
+
+// --- Cash-out opens once the multiplier reaches MIN_MULTIPLIER, so it is always a win ---
+// Raising the smaller multipliers to MIN_MULTIPLIER instead would pay more than the
+// edged odds, and on 6x6 boards and up would give most of the house edge away.
+function canCashOut(mult) {
+  return mult >= MIN_MULTIPLIER;
+}
+
+// --- The first cash-out point: { clicks, multiplier }, clicks null if there is none ---
+function firstCashOut(bombs, options = {}) {
+  const { totalTiles = DEFAULT_TILES } = options;
+  for (let clicks = 1; clicks <= totalTiles - bombs; clicks++) {
+    const mult = multiplier(bombs, clicks, options);
+    if (canCashOut(mult)) return { clicks, multiplier: mult };
+  }
+  return { clicks: null, multiplier: null };
+}
+
+// --- What the house keeps on average at one cash-out point: 1 - P(survive) x multiplier ---
+function realEdge(bombs, clicks, options = {}) {
+  const { totalTiles = DEFAULT_TILES } = options;
+  let survival = 1;
+  for (let i = 0; i < clicks; i++) survival *= (totalTiles - bombs - i) / (totalTiles - i);
+  return 1 - survival * multiplier(bombs, clicks, options);
+}
+
+// The smallest edge anywhere on the payout table; rounding the multipliers takes a little off HOUSE_EDGE
+const MIN_REAL_EDGE = Math.min(...BOARD_SIZES.flatMap(size => {
+  const totalTiles = size * size;
+  const edges = [];
+  for (let bombs = 1; bombs < totalTiles; bombs++)
+    for (let clicks = 1; clicks <= totalTiles - bombs; clicks++) edges.push(realEdge(bombs, clicks, { totalTiles }));
+  return edges;
+}));
+
+function exceedsMaxPayout(bet, mult) {
+  return money.payout(bet, mult) > MAX_PAYOUT;
+}
+
+// --- What GET /game/config shows the frontend ---
+function publicConfig() {
+  return {
+    board_sizes: BOARD_SIZES.map(size => ({ size, tiles: size * size, min_bombs: 1, max_bombs: size * size - 1 })),
+    default_size: DEFAULT_SIZE,
+    house_edge: HOUSE_EDGE,
+    min_multiplier: MIN_MULTIPLIER,
+    max_multiplier: MAX_MULTIPLIER,
+    max_payout: MAX_PAYOUT
+  };
+}
+
+module.exports = {
+  BOARD_SIZES, DEFAULT_SIZE, DEFAULT_TILES, HOUSE_EDGE, MAX_MULTIPLIER, MAX_PAYOUT, MIN_MULTIPLIER, MIN_REAL_EDGE,
+  boardTiles, multiplier, canCashOut, firstCashOut, realEdge, exceedsMaxPayout, publicConfig
+};
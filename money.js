@@ -0,0 +1,127 @@
+// money.js — exact credit and token arithmetic in integer minor units
+//
+// Credits are counted in cents (CREDIT_PRECISION = 2) and a token in its
+// on-chain units, so 1.50 KAHEL at precision 2 is 150 units. Amounts still cross
+// the API and the database as decimal numbers; every calculation here turns them
+// into BigInt units first, so 0.1 + 0.2 is 0.3 and nothing drifts.
+//
+// Whenever a result falls between two units it is rounded in the house's favor,
+// never to nearest: game payouts and withdrawn tokens round down, and the credits
+// a withdrawal costs round up.
+//
+// `token` is a tokens.js entry, { symbol, precision, rate } with `rate` in credits per token:
+//
+//   payout(10, 1.13)                  -> 11.3
+//   creditsToToken(150.37, kahel)     -> { amount: 1.5, quantity: '1.50 KAHEL', credits: 150 }
+//   tokenToCredits(1.5, kahel)        -> 150
+//   sum([0.1, 0.2])                   -> 0.3
+//   parseAsset('1.50 KAHEL', kahel)   -> { amount: 1.5, units: 150n, symbol: 'KAHEL' }
+const CREDIT_PRECISION = 2;
+// Multipliers carry up to this many decimals (dice uses 4)
+const MULTIPLIER_PRECISION = 8;
+
+const pow10 = precision => 10n ** BigInt(precision);
+
+// --- Decimal <-> units ---
+
+// Nearest whole unit; for amounts that are already exact but came through a float
+function toUnits(amount, precision = CREDIT_PRECISION) {
+  const value = Number(amount);
+  if (!(Math.abs(value) < 1e21)) throw new RangeError(`Not an amount: ${amount}`);
+  const [whole, fraction = ''] = Math.abs(value).toFixed(precision).split('.');
+  const units = BigInt(whole + fraction);
+  return value < 0 ? -units : units;
+}
+
+function fromUnits(units, precision = CREDIT_PRECISION) {
+  return Number(formatUnits(units, precision));
+}
+
+// "-1.50" for -150n at precision 2; string math, so no float ever rounds it
+function formatUnits(units, precision = CREDIT_PRECISION) {
+  const digits = (units < 0n ? -units : units).toString().padStart(precision + 1, '0');
+  const whole = digits.slice(0, digits.length - precision);
+  const fraction = precision > 0 ? `.${digits.slice(-precision)}` : '';
+  return `${units < 0n ? '-' : ''}${whole}${fraction}`;
+}
+
+// --- Strict parsing of what players send: a positive amount with at most `precision` decimals, else null ---
+function parseAmount(value, precision = CREDIT_PRECISION) {
+  if (typeof value === 'string' ? !/^\s*\d+(\.\d+)?\s*$/.test(value) : typeof value !== 'number') return null;
+  const amount = Number(value);
+  if (!(amount > 0 && amount <= Number.MAX_SAFE_INTEGER / 10 ** precision)) return null;
+  return fromUnits(toUnits(amount, precision), precision) === amount ? amount : null;
+}
+
+// --- Arithmetic ---
+
+function sum(amounts, precision = CREDIT_PRECISION) {
+  return fromUnits(amounts.reduce((total, amount) => total + toUnits(amount, precision), 0n), precision);
+}
+
+// bet x multiplier, rounded down to the cent
+function payout(bet, multiplier) {
+  const units = toUnits(bet) * toUnits(multiplier, MULTIPLIER_PRECISION) / pow10(MULTIPLIER_PRECISION);
+  return fromUnits(units);
+}
+
+// --- Token <-> credits at the token's rate (credits per whole token) ---
+
+function rateUnits(token) {
+  const rate = toUnits(token.rate);
+  if (rate <= 0n || fromUnits(rate) !== Number(token.rate))
+    throw new RangeError(`${token.symbol} rate must be a positive amount of credits with at most ${CREDIT_PRECISION} decimals`);
+  return rate;
+}
+
+// Credits a deposit of `amount` tokens is worth, rounded down to the cent
+function tokenToCredits(amount, token) {
+  return fromUnits(toUnits(amount, token.precision) * rateUnits(token) / pow10(token.precision));
+}
+
+// Most tokens `credits` can buy, rounded down to a token unit, and what exactly
+// those tokens cost in credits (never more than asked; the rest stays on the balance)
+function creditsToToken(credits, token) {
+  const rate = rateUnits(token);
+  const scale = pow10(token.precision);
+  const units = toUnits(credits) * scale / rate;
+  const cost = (units * rate + scale - 1n) / scale;
+  return {
+    amount: fromUnits(units, token.precision),
+    quantity: formatAsset(fromUnits(units, token.precision), token),
+    credits: fromUnits(cost)
+  };
+}
+
+// --- Asset strings as the chain writes them: "1.50 KAHEL" ---
+
+// { amount, units, symbol }, or null unless it is a non-negative amount with
+// exactly the token's precision (when a token is given)
+function parseAsset(quantity, token = null) {
+  const match = /^(\d+)(?:\.(\d+))?\s+([A-Z]{1,7})$/.exec(String(quantity).trim());
+  if (!match) return null;
+  const [, whole, fraction = '', symbol] = match;
+  if (token && (symbol !== token.symbol || fraction.length !== token.precision)) return null;
+
+  const units = BigInt(whole + fraction);
+  return { amount: fromUnits(units, fraction.length), units, symbol };
+}
+
+function formatAsset(amount, token) {
+  return `${formatUnits(toUnits(amount, token.precision), token.precision)} ${token.symbol}`;
+}
+
+module.exports = {
+  CREDIT_PRECISION,
+  MULTIPLIER_PRECISION,
+  toUnits,
+  fromUnits,
+  formatUnits,
+  parseAmount,
+  sum,
+  payout,
+  tokenToCredits,
+  creditsToToken,
+  parseAsset,
+  formatAsset
+};
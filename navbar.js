@@ -0,0 +1,250 @@
+// navbar.js — header, menu and wallet picker shared by every page
+//
+//   <header id="navbar"></header>
+//   <div class="layout">
+//     <nav class="sidebar" id="sidebar"></nav>
+//     <div class="content">...</div>
+//   </div>
+//   <script src="client.js"></script>
+//   <script src="navbar.js"></script>
+//
+// Login and logout work from any page; pages follow them with FourLeaf.session.onChange.
+// The credits display and the Big Wins feed ride on FourLeaf.live, started here.
+// FourLeaf.showError(err) is how pages report a failed call: rate limits get a
+// short notice instead of an alert. The session reminder from Settings runs here too,
+// as do the announcements badge and the banners (maintenance notices) under the header.
+(function () {
+  const { api, session, live, creditsHtml, RateLimitError } = FourLeaf;
+
+  const MENU = [
+    ['Menu', [
+      ['index.html', '🏦 Deposit / Withdraw'],
+      ['history.html', '📜 History'],
+      ['rewards.html', '🎁 Rewards']
+    ]],
+    ['Games', [
+      ['mines.html', '💣 Mines'],
+      ['dice.html', '🎲 Dice'],
+      ['settings.html', '⚙️ Settings'],
+      ['announcements.html', '📢 Announcements']
+    ]]
+  ];
+
+  const WALLETS = {
+    cloud: '☁️ Cloud Wallet',
+    anchor: '🔑 Anchor Wallet',
+    dev: '🧪 Dev Chain Wallet'
+  };
+
+  const currentPage = location.pathname.split('/').pop() || 'index.html';
+
+  // --- Markup ---
+  function renderHeader(header) {
+    header.className = 'navbar';
+    header.innerHTML = `
+      <div class="navbar-side">
+        <div><img class="logo" src="images/Gemini_Generated_Image_48fxnb48fxnb48fx.png"></div>
+        <div class="title-font">FourLeaf</div>
+      </div>
+      <div class="navbar-side">
+        <div id="creditsDisplay">Credits: 0</div>
+        <button id="loginBtn">Login</button>
+        <button id="logoutBtn" style="display:none;">Logout</button>
+      </div>`;
+  }
+
+  function renderSidebar(sidebar) {
+    sidebar.innerHTML = '';
+    for (const [title, items] of MENU) {
+      const heading = document.createElement('h3');
+      heading.textContent = title;
+      sidebar.appendChild(heading);
+      for (const [page, label] of items) {
+        const button = document.createElement('button');
+        button.textContent = label;
+        button.classList.toggle('active', page === currentPage);
+        if (page === 'announcements.html') button.insertAdjacentHTML('beforeend', ' <span class="badge" id="announcementsBadge"></span>');
+        button.onclick = () => {
+          if (!page) alert('Coming soon!');
+          else if (page === currentPage) location.reload();
+          else location.href = page + location.search;
+        };
+        sidebar.appendChild(button);
+      }
+    }
+    sidebar.insertAdjacentHTML('beforeend', '<h3>Big Wins</h3><div class="big-wins" id="bigWins"></div>');
+  }
+
+  function renderWalletModal() {
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.id = 'walletModal';
+    modal.innerHTML = `
+      <div class="modal-box">
+        <h2>Select Wallet</h2>
+        ${FourLeaf.walletTypes().map(type => `<button data-wallet="${type}">${WALLETS[type]}</button>`).join('')}
+        <button class="modal-cancel">Cancel</button>
+      </div>`;
+    modal.querySelectorAll('[data-wallet]').forEach(button => {
+      button.onclick = () => selectWallet(button.dataset.wallet);
+    });
+    modal.querySelector('.modal-cancel').onclick = closeWalletModal;
+    document.body.appendChild(modal);
+  }
+
+  function renderBanners(header) {
+    const banners = document.createElement('div');
+    banners.id = 'banners';
+    header.after(banners);
+  }
+
+  function renderToast() {
+    const toast = document.createElement('div');
+    toast.className = 'toast';
+    toast.id = 'toast';
+    document.body.appendChild(toast);
+  }
+
+  // --- Notices ---
+  let toastTimer = null;
+
+  function notify(message, ms = 4000) {
+    const toast = document.getElementById('toast');
+    toast.textContent = message;
+    toast.classList.add('visible');
+    clearTimeout(toastTimer);
+    toastTimer = setTimeout(() => toast.classList.remove('visible'), ms);
+  }
+
+  function showError(err, prefix = '') {
+    if (err instanceof RateLimitError) return notify(`⏳ ${err.message}`, err.retryAfter * 1000);
+    alert(prefix + err.message);
+  }
+
+  // --- Login / logout ---
+  function openWalletModal() { document.getElementById('walletModal').style.display = 'flex'; }
+  function closeWalletModal() { document.getElementById('walletModal').style.display = 'none'; }
+
+  async function selectWallet(type) {
+    closeWalletModal();
+    try {
+      const account = await FourLeaf.login(type);
+      console.log(`Logged in via ${WALLETS[type]}:`, account);
+    } catch (err) {
+      console.error('Wallet login error:', err);
+      if (err.message !== 'Login cancelled') showError(err, 'Login failed: ');
+    }
+  }
+
+  function showSession() {
+    document.getElementById('loginBtn').style.display = session.wallet ? 'none' : 'inline';
+    document.getElementById('logoutBtn').style.display = session.wallet ? 'inline' : 'none';
+    if (!session.wallet) document.getElementById('creditsDisplay').innerText = 'Credits: 0';
+  }
+
+  function showCredits(amount) {
+    document.getElementById('creditsDisplay').innerHTML = `Credits: ${creditsHtml(amount)}`;
+  }
+
+  // --- Session reminder: every `reminder_minutes` since this tab's login ---
+  let reminderTimer = null;
+
+  async function scheduleReminder() {
+    clearTimeout(reminderTimer);
+    if (!session.wallet) return sessionStorage.removeItem('playingSince');
+    if (!sessionStorage.getItem('playingSince')) sessionStorage.setItem('playingSince', String(Date.now()));
+
+    let minutes;
+    try {
+      minutes = (await api.get(`/limits/${session.wallet}`)).limits.reminder_minutes;
+    } catch (err) {
+      return console.log('No session reminder:', err.message);
+    }
+    if (!minutes) return;
+
+    const every = minutes * 60 * 1000;
+    const since = Number(sessionStorage.getItem('playingSince'));
+    const remind = () => {
+      const played = Math.round((Date.now() - since) / 60000);
+      notify(`⏰ You've been playing for ${played} minutes. Time for a break?`, 10000);
+      reminderTimer = setTimeout(remind, every);
+    };
+    reminderTimer = setTimeout(remind, every - ((Date.now() - since) % every));
+  }
+
+  // --- Announcements: unread badge and banners, refreshed on every live `announcement` ---
+  function showBanners(banners) {
+    const container = document.getElementById('banners');
+    container.innerHTML = '';
+    for (const banner of banners) {
+      const line = document.createElement('div');
+      line.className = 'banner';
+      line.textContent = `📢 ${banner.title}`;
+      line.onclick = () => { location.href = 'announcements.html' + location.search; };
+      container.appendChild(line);
+    }
+  }
+
+  async function refreshAnnouncements() {
+    try {
+      const { banners, unread } = await api.get('/announcements');
+      showBanners(banners);
+      const badge = document.getElementById('announcementsBadge');
+      badge.textContent = unread ? String(unread) : '';
+      badge.style.display = unread ? 'inline-block' : 'none';
+    } catch (err) {
+      console.log('Announcements unavailable:', err.message);
+    }
+  }
+
+  // --- Big wins feed ---
+  function bigWinLine(win) {
+    const line = document.createElement('div');
+    line.textContent = `${win.wallet} ×${win.multiplier} ${win.game} +${win.payout.toFixed(2)}`;
+    return line;
+  }
+
+  function showBigWins(wins) {
+    const feed = document.getElementById('bigWins');
+    feed.innerHTML = '';
+    wins.forEach(win => feed.appendChild(bigWinLine(win)));
+  }
+
+  function addBigWin(win) {
+    const feed = document.getElementById('bigWins');
+    feed.prepend(bigWinLine(win));
+    while (feed.children.length > 10) feed.lastChild.remove();
+  }
+
+  // --- Init ---
+  renderHeader(document.getElementById('navbar'));
+  renderSidebar(document.getElementById('sidebar'));
+  renderBanners(document.getElementById('navbar'));
+  renderWalletModal();
+  renderToast();
+
+  document.getElementById('loginBtn').onclick = openWalletModal;
+  document.getElementById('logoutBtn').onclick = () => FourLeaf.logout();
+  session.onChange(showSession);
+  session.onChange(scheduleReminder);
+  session.onChange(refreshAnnouncements);
+  showSession();
+  scheduleReminder();
+  refreshAnnouncements();
+
+  live.on('hello', data => {
+    if (data.balance != null) showCredits(data.balance);
+    showBigWins(data.big_wins);
+  });
+  live.on('balance', data => showCredits(data.balance));
+  live.on('big_win', addBigWin);
+  live.on('announcement', refreshAnnouncements);
+  live.start();
+
+  // Pages can show a fresh balance from their own responses
+  FourLeaf.showCredits = showCredits;
+  FourLeaf.notify = notify;
+  FourLeaf.showError = showError;
+  FourLeaf.scheduleReminder = scheduleReminder;
+  FourLeaf.refreshAnnouncements = refreshAnnouncements;
+})();
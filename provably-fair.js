@@ -0,0 +1,60 @@
+// provably-fair.js — deterministic mine placement and dice rolls from server seed / client seed / nonce
+//
+// Shared by server.js (require) and mines.html (<script src>), so the board the
+// server deals is exactly the board a player can recompute in the browser.
+//
+//   floats  = HMAC_SHA256(serverSeed, `${clientSeed}:${nonce}:${round}`), 4 bytes per float
+//   board   = Fisher-Yates over tiles 0..n-1 driven by those floats; the first `bombs` are mines
+//   roll    = floor(first float * 10001) / 100, so 0.00-100.00 in steps of 0.01
+(function (root) {
+  const subtle = (root.crypto || require('crypto').webcrypto).subtle;
+  const encoder = new TextEncoder();
+
+  function toHex(buffer) {
+    return Array.from(new Uint8Array(buffer), b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  async function sha256Hex(text) {
+    return toHex(await subtle.digest('SHA-256', encoder.encode(text)));
+  }
+
+  async function hmacSha256(key, message) {
+    const cryptoKey = await subtle.importKey('raw', encoder.encode(key), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    return new Uint8Array(await subtle.sign('HMAC', cryptoKey, encoder.encode(message)));
+  }
+
+  // --- Stream of floats in [0, 1); each HMAC round yields 8 of them ---
+  async function generateFloats(serverSeed, clientSeed, nonce, count) {
+    const floats = [];
+    for (let round = 0; floats.length < count; round++) {
+      const bytes = await hmacSha256(serverSeed, `${clientSeed}:${nonce}:${round}`);
+      for (let i = 0; i < bytes.length && floats.length < count; i += 4) {
+        floats.push(bytes[i] / 256 + bytes[i + 1] / 256 ** 2 + bytes[i + 2] / 256 ** 3 + bytes[i + 3] / 256 ** 4);
+      }
+    }
+    return floats;
+  }
+
+  // --- Mine positions for one game ---
+  async function deriveMinePositions(serverSeed, clientSeed, nonce, bombs, totalTiles = 25) {
+    const floats = await generateFloats(serverSeed, clientSeed, nonce, bombs);
+    const tiles = Array.from({ length: totalTiles }, (_, i) => i);
+
+    for (let i = 0; i < bombs; i++) {
+      const j = i + Math.floor(floats[i] * (totalTiles - i));
+      [tiles[i], tiles[j]] = [tiles[j], tiles[i]];
+    }
+    return tiles.slice(0, bombs);
+  }
+
+  // --- Dice roll for one game ---
+  async function deriveDiceRoll(serverSeed, clientSeed, nonce) {
+    const [float] = await generateFloats(serverSeed, clientSeed, nonce, 1);
+    return Math.floor(float * 10001) / 100;
+  }
+
+  const ProvablyFair = { sha256Hex, generateFloats, deriveMinePositions, deriveDiceRoll };
+
+  if (typeof module !== 'undefined' && module.exports) module.exports = ProvablyFair;
+  else root.ProvablyFair = ProvablyFair;
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,72 @@
+// rate-limit.js — per-wallet and per-IP request limits, answered with structured 429s
+//
+//   app.use(rateLimit('ip', { by: 'ip' }))           every request from one address
+//   app.post('/game/click', rateLimit('game'), ...)  per logged-in wallet (IP when logged out)
+//
+// Limits come from config.js RATE_LIMITS ("<max>/<window ms>", RATE_LIMIT_<NAME>
+// to override one). Counters are fixed windows kept in memory, so each server
+// instance counts on its own. RATE_LIMIT=off turns them all off (the tests do).
+const { sessionWallet } = require('./auth');
+const { RATE_LIMIT, RATE_LIMITS } = require('./config');
+
+const windows = new Map(); // `${name}:${key}` -> { count, resetAt }
+let nextSweep = 0;
+
+// Drop finished windows now and then so idle clients don't pile up
+function sweep(now) {
+  if (now < nextSweep) return;
+  nextSweep = now + 60 * 1000;
+  for (const [key, window] of windows) if (window.resetAt <= now) windows.delete(key);
+}
+
+// --- Count one hit; resolves the window it landed in ---
+function hit(name, key, { max, windowMs }) {
+  const now = Date.now();
+  sweep(now);
+  const id = `${name}:${key}`;
+  let window = windows.get(id);
+  if (!window || window.resetAt <= now) {
+    window = { count: 0, resetAt: now + windowMs };
+    windows.set(id, window);
+  }
+  window.count += 1;
+  return { allowed: window.count <= max, remaining: Math.max(0, max - window.count), retryAfterMs: window.resetAt - now };
+}
+
+// --- Middleware for the limit called `name` ---
+function rateLimit(name, { by = 'wallet' } = {}) {
+  const limit = RATE_LIMITS[name];
+  if (!limit) throw new Error(`Unknown rate limit "${name}"`);
+
+  return (req, res, next) => {
+    if (!RATE_LIMIT) return next();
+
+    const wallet = by === 'wallet' ? sessionWallet(req) : null;
+    const key = wallet ? `wallet:${wallet}` : `ip:${req.ip}`;
+    const { allowed, remaining, retryAfterMs } = hit(name, key, limit);
+
+    res.set({
+      'RateLimit-Limit': String(limit.max),
+      'RateLimit-Remaining': String(remaining),
+      'RateLimit-Reset': String(Math.ceil(retryAfterMs / 1000))
+    });
+    if (allowed) return next();
+
+    res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+    res.status(429).json({
+      error: 'Too many requests, please slow down',
+      code: 'RATE_LIMITED',
+      limit: name,
+      max: limit.max,
+      window_ms: limit.windowMs,
+      retry_after_ms: retryAfterMs
+    });
+  };
+}
+
+// Forget every counter (tests)
+function reset() {
+  windows.clear();
+}
+
+module.exports = { rateLimit, reset };
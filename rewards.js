@@ -0,0 +1,191 @@
+// rewards.js — referral commission and rakeback, paid out as claimable credits
+//
+//   GET  /rewards/:wallet   referral code, earnings, referred players, rakeback tier progress
+//   POST /rewards/claim     credits everything earned and not yet claimed
+//
+// Nothing is accrued as games settle: earnings are worked out from `games` on
+// every request (totals summed by the store), and claims are ledger entries
+// (reason reward_claim), so what is claimable is always earned minus claimed. A
+// game counts once it is over and a bet was actually risked (wagered_volume and
+// referral_totals in schema.sql decide which).
+//
+// Referrals: a player whose first login carries someone's referral code (the
+// ?ref= link, see auth.js) is theirs for good. The referrer earns REFERRAL_SHARE
+// of what that player has lost on Mines (bets less payouts, never below 0), up
+// to REFERRAL_CAP of what they wagered there.
+//
+// Rakeback: each RAKEBACK_TIERS entry pays its rate on the part of a player's
+// lifetime wagered credits (Mines and Dice) between its min_wagered and the
+// next tier's, so moving up a tier never changes what earlier volume paid.
+//
+// A player who refers their own second wallet collects both, so rakeback at the
+// top tier plus the referral cap stay within REWARDS_MAX_EDGE_SHARE of the
+// smallest edge each game really keeps; more could make grinding pay.
+const express = require('express');
+const crypto = require('crypto');
+const store = require('./store');
+const controls = require('./controls');
+const money = require('./money');
+const mines = require('./mines');
+const dice = require('./dice');
+const { requireAuth } = require('./auth');
+const { applyCredit, LedgerError } = require('./ledger');
+const { REFERRAL_SHARE, RAKEBACK_TIERS, REWARDS_MAX_EDGE_SHARE } = require('./config');
+
+const RATE_PRECISION = money.MULTIPLIER_PRECISION;
+const CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no 0/O or 1/I to misread
+const CODE_LENGTH = 8;
+
+if (!(REFERRAL_SHARE >= 0 && REFERRAL_SHARE <= 1)) throw new Error(`Invalid REFERRAL_SHARE "${REFERRAL_SHARE}"`);
+if (!(REWARDS_MAX_EDGE_SHARE >= 0 && REWARDS_MAX_EDGE_SHARE < 1)) throw new Error(`Invalid REWARDS_MAX_EDGE_SHARE "${REWARDS_MAX_EDGE_SHARE}"`);
+
+// Refuse to boot on tiers that overlap or start above zero
+const TIERS = RAKEBACK_TIERS.map(({ name, min_wagered, rate }) => ({ name, min_wagered: Number(min_wagered), rate: Number(rate) }));
+TIERS.forEach((tier, i) => {
+  if (typeof tier.name !== 'string' || !tier.name) throw new Error(`Rakeback tier ${i + 1} needs a name`);
+  if (!(tier.rate >= 0 && tier.rate < 1)) throw new Error(`Rakeback tier ${tier.name}: rate must be 0 to 1`);
+  if (i === 0 ? tier.min_wagered !== 0 : !(tier.min_wagered > TIERS[i - 1].min_wagered))
+    throw new Error(`Rakeback tier ${tier.name}: tiers must start at 0 and rise`);
+});
+if (!TIERS.length) throw new Error('RAKEBACK_TIERS lists no tiers');
+
+// --- What rewards may pay back per credit wagered, per game ---
+const TOP_RATE = Math.max(...TIERS.map(tier => tier.rate));
+const floorRate = rate => Math.floor(rate * 10 ** RATE_PRECISION) / 10 ** RATE_PRECISION;
+const MAX_RATE = {
+  mines: floorRate(mines.MIN_REAL_EDGE * REWARDS_MAX_EDGE_SHARE),
+  dice: floorRate(dice.MIN_REAL_EDGE * REWARDS_MAX_EDGE_SHARE)
+};
+for (const [game, max] of Object.entries(MAX_RATE))
+  if (!(TOP_RATE <= max)) throw new Error(`Rakeback rates must stay within ${max} to keep the ${game} edge (REWARDS_MAX_EDGE_SHARE)`);
+// Referrals are on Mines only; what the top rakeback tier leaves of its share
+const REFERRAL_CAP = floorRate(MAX_RATE.mines - TOP_RATE);
+
+// sum of amount x rate over `parts`, rounded down to the cent once at the end
+function earnedOn(parts) {
+  const units = parts.reduce(
+    (total, { amount, rate }) => total + money.toUnits(amount) * money.toUnits(rate, RATE_PRECISION), 0n);
+  return money.fromUnits(units / 10n ** BigInt(RATE_PRECISION));
+}
+
+// A referred player's Mines totals -> the referrer's commission
+function referralEarned({ wagered, payouts }) {
+  const lost = Math.max(0, money.sum([wagered, -payouts]));
+  return Math.min(earnedOn([{ amount: lost, rate: REFERRAL_SHARE }]), earnedOn([{ amount: wagered, rate: REFERRAL_CAP }]));
+}
+
+// --- Rakeback tiers: the rate of each slice of volume ---
+function tierIndex(volume) {
+  let index = 0;
+  TIERS.forEach((tier, i) => { if (volume >= tier.min_wagered) index = i; });
+  return index;
+}
+
+function rakebackEarned(volume) {
+  return earnedOn(TIERS.map((tier, i) => {
+    const next = TIERS[i + 1];
+    const top = next ? Math.min(volume, next.min_wagered) : volume;
+    return { amount: Math.max(0, money.sum([top, -tier.min_wagered])), rate: tier.rate };
+  }));
+}
+
+function tierProgress(volume) {
+  const index = tierIndex(volume);
+  const next = TIERS[index + 1] || null;
+  return {
+    tier: TIERS[index],
+    next_tier: next,
+    to_next_tier: next ? money.sum([next.min_wagered, -volume]) : null
+  };
+}
+
+// --- Referral codes ---
+function newCode() {
+  return Array.from(crypto.randomBytes(CODE_LENGTH), b => CODE_CHARS[b % CODE_CHARS.length]).join('');
+}
+
+// The wallet's code, made on first use; the unique index settles a collision or a race
+async function referralCode(player) {
+  if (player.referral_code) return player.referral_code;
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const updated = await store.players.update(player.wallet, { referral_code: newCode() }, { referral_code: null });
+    if (updated) return updated.referral_code;
+    const current = await store.players.get(player.wallet);
+    if (current && current.referral_code) return current.referral_code;
+  }
+  throw new Error('Could not create a referral code');
+}
+
+// --- Everything the rewards page shows ---
+async function summary(wallet) {
+  const player = await store.players.get(wallet);
+  if (!player) return null;
+
+  const [volume, referrals, claims] = await Promise.all([
+    store.reports.wagered(wallet),
+    store.reports.referrals(wallet),
+    store.reports.ledgerTotals(wallet, 'reward_claim')
+  ]);
+
+  const players = referrals.map(referral => ({
+    wallet: referral.wallet,
+    joined_at: referral.joined_at,
+    games: referral.games,
+    wagered: referral.wagered,
+    earned: referralEarned(referral)
+  }));
+
+  const referral = money.sum(players.map(p => p.earned));
+  const rakeback = rakebackEarned(volume);
+  const earned = money.sum([referral, rakeback]);
+
+  return {
+    wallet,
+    referral_code: await referralCode(player),
+    referred_by: player.referred_by || null,
+    referral: { share: REFERRAL_SHARE, cap: REFERRAL_CAP, earned: referral, players },
+    rakeback: { wagered: volume, earned: rakeback, ...tierProgress(volume) },
+    tiers: TIERS,
+    earned,
+    claimed: claims.total,
+    claims: claims.entries,
+    // A referral that wins back what it lost can take earnings below what was already claimed
+    claimable: Math.max(0, money.sum([earned, -claims.total]))
+  };
+}
+
+// --- Credit what is claimable; resolves to { claimed, balance } ---
+// Claims are numbered per wallet, so two at once collide on the ledger's unique (reason, ref)
+async function claim(wallet) {
+  const rewards = await summary(wallet);
+  if (!rewards || rewards.claimable <= 0) throw new RangeError('Nothing to claim yet');
+
+  const entry = await applyCredit(wallet, rewards.claimable, 'reward_claim', `${wallet}:${rewards.claims + 1}`);
+  return { claimed: rewards.claimable, balance: entry.balance };
+}
+
+// --- Routes ---
+const router = express.Router();
+
+router.post('/claim', requireAuth, async (req, res) => {
+  try {
+    if (await controls.isFrozen(req.wallet)) return res.status(403).json({ error: 'Wallet is frozen' });
+    res.json({ wallet: req.wallet, ...(await claim(req.wallet)) });
+  } catch (err) {
+    if (err instanceof RangeError) return res.status(400).json({ error: err.message });
+    if (err instanceof LedgerError && err.code === 'DUPLICATE_ENTRY') return res.status(409).json({ error: 'A claim is already in progress' });
+    res.status(500).json({ error: 'Failed to claim rewards', details: err.message });
+  }
+});
+
+router.get('/:wallet', requireAuth, async (req, res) => {
+  try {
+    const rewards = await summary(req.wallet);
+    if (!rewards) return res.status(404).json({ error: 'Player not found' });
+    res.json(rewards);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch rewards', details: err.message });
+  }
+});
+
+module.exports = { router, TIERS, REFERRAL_CAP, referralEarned, rakebackEarned, tierProgress, summary, claim };
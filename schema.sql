@@ -0,0 +1,388 @@
+-- schema.sql — Supabase (Postgres) tables used by server.js
+-- Run in the Supabase SQL editor. Statements are idempotent.
+
+create table if not exists players (
+  wallet      text primary key,
+  credits     numeric not null default 0,
+  created_at  timestamptz not null default now()
+);
+
+create table if not exists games (
+  game_id         uuid primary key,
+  wallet          text not null references players(wallet),
+  bet             numeric not null,
+  mine_positions  int[] not null,
+  revealed        int[] not null default '{}',
+  safe_clicks     int not null default 0,
+  multiplier      numeric not null default 1,
+  status          text not null default 'active',   -- opening | active | lost | cashedOut | expired | won (dice) | voided
+  created_at      timestamptz not null default now()
+);
+
+-- Deposits stay 'pending' until the transfer is found on chain and its block
+-- is irreversible; only then are they 'credited'. Bad txids become 'rejected'.
+create table if not exists pending_deposits (
+  id            bigserial primary key,
+  wallet        text not null references players(wallet),
+  sender        text,                               -- chain account that sent it (memo deposits)
+  txid          text not null unique,
+  kahel_amount  numeric not null,
+  credits       numeric,
+  status        text not null default 'pending',    -- pending | credited | rejected
+  verified      boolean not null default false,
+  credited      boolean not null default false,
+  block_num     bigint,
+  error         text,
+  created_at    timestamptz not null default now()
+);
+
+alter table pending_deposits add column if not exists credits numeric;
+alter table pending_deposits add column if not exists status text not null default 'pending';
+alter table pending_deposits add column if not exists block_num bigint;
+alter table pending_deposits add column if not exists error text;
+alter table pending_deposits add column if not exists sender text;
+create unique index if not exists pending_deposits_txid_key on pending_deposits (txid);
+-- Rows from the old instant-credit flow were already paid out
+update pending_deposits set status = 'credited' where credited and status = 'pending';
+
+-- tokens.js: any registered token, not just KAHEL. `amount` is in `token`;
+-- kahel_amount is only kept for rows written before it.
+alter table pending_deposits add column if not exists token text not null default 'KAHEL';
+alter table pending_deposits add column if not exists amount numeric;
+update pending_deposits set amount = kahel_amount where amount is null;
+alter table pending_deposits alter column amount set not null;
+alter table pending_deposits alter column kahel_amount drop not null;
+
+-- deposit-watcher.js: persisted cursor over APP_WALLET's action history
+create table if not exists watcher_state (
+  key         text primary key,
+  value       bigint not null,
+  updated_at  timestamptz not null default now()
+);
+
+-- Transfers to APP_WALLET that matched no player, for manual review
+create table if not exists unmatched_deposits (
+  txid                text primary key,
+  account_action_seq  bigint not null,
+  sender              text not null,
+  quantity            text not null,
+  memo                text,
+  block_num           bigint,
+  resolved            boolean not null default false,
+  created_at          timestamptz not null default now()
+);
+-- Set when the transfer matched `wallet` but was refused (token bounds, deposit
+-- limits, self-exclusion): `reason` says why, and it is owed back to `sender`
+alter table unmatched_deposits add column if not exists wallet text;
+alter table unmatched_deposits add column if not exists reason text;
+
+-- ledger.js: append-only record of every credit change. players.credits is a
+-- cache kept in step by apply_credit(); balances are read from the ledger.
+create table if not exists credit_ledger (
+  id          bigserial primary key,
+  wallet      text not null references players(wallet),
+  delta       numeric not null,
+  reason      text not null,       -- game_bet | game_refund | game_win | deposit | withdraw | withdraw_refund | opening_balance | admin_adjustment | reward_claim
+  ref         text,                -- gameId, txid or withdrawal id
+  balance     numeric not null check (balance >= 0),
+  created_at  timestamptz not null default now()
+);
+
+create index if not exists credit_ledger_wallet_idx on credit_ledger (wallet, id desc);
+-- The same game/deposit/withdrawal can't be settled twice for the same reason
+create unique index if not exists credit_ledger_reason_ref_key on credit_ledger (reason, ref) where ref is not null;
+
+-- Append-only: the service role may insert and read, nothing else
+revoke update, delete, truncate on credit_ledger from public, anon, authenticated, service_role;
+
+-- Atomic balance change: the row lock taken by UPDATE serialises concurrent
+-- calls for the same wallet, and the WHERE clause rejects overdrafts.
+create or replace function apply_credit(p_wallet text, p_delta numeric, p_reason text, p_ref text)
+returns credit_ledger
+language plpgsql
+as $$
+declare
+  new_balance numeric;
+  entry credit_ledger;
+begin
+  update players
+     set credits = credits + p_delta
+   where wallet = p_wallet
+     and credits + p_delta >= 0
+  returning credits into new_balance;
+
+  if not found then
+    if exists (select 1 from players where wallet = p_wallet) then
+      raise exception 'INSUFFICIENT_CREDITS';
+    end if;
+    raise exception 'PLAYER_NOT_FOUND';
+  end if;
+
+  insert into credit_ledger (wallet, delta, reason, ref, balance)
+  values (p_wallet, p_delta, p_reason, p_ref, new_balance)
+  returning * into entry;
+
+  return entry;
+end;
+$$;
+
+-- Opening entries for balances that predate the ledger
+insert into credit_ledger (wallet, delta, reason, balance)
+select p.wallet, p.credits, 'opening_balance', p.credits
+  from players p
+ where p.credits > 0
+   and not exists (select 1 from credit_ledger l where l.wallet = p.wallet);
+
+-- fairness.js: committed server seeds. The seed stays secret (only its hash is
+-- shown) while active; rotating reveals it so past games can be verified.
+create table if not exists server_seeds (
+  id                bigserial primary key,
+  wallet            text not null references players(wallet),
+  server_seed       text not null,
+  server_seed_hash  text not null,
+  client_seed       text not null,
+  nonce             int not null default 0,
+  active            boolean not null default true,
+  revealed_at       timestamptz,
+  created_at        timestamptz not null default now()
+);
+
+create unique index if not exists server_seeds_active_key on server_seeds (wallet) where active;
+
+alter table games add column if not exists server_seed_id bigint references server_seeds(id);
+alter table games add column if not exists server_seed_hash text;
+alter table games add column if not exists client_seed text;
+alter table games add column if not exists nonce int;
+
+-- withdrawals.js: queued withdrawals. txid + expires_at are stored before the
+-- transfer is pushed, so an interrupted broadcast can always be looked up.
+create table if not exists withdrawals (
+  id               uuid primary key,
+  wallet           text not null references players(wallet),
+  idempotency_key  text not null,
+  credits          numeric not null,
+  quantity         text not null,
+  status           text not null default 'requested',  -- debiting | requested | broadcasting | confirmed | failed | rejected
+  txid             text,
+  expires_at       timestamptz,
+  block_num        bigint,
+  attempts         int not null default 0,
+  error            text,
+  created_at       timestamptz not null default now(),
+  updated_at       timestamptz not null default now(),
+  unique (wallet, idempotency_key)
+);
+
+create index if not exists withdrawals_open_idx on withdrawals (status) where status in ('requested', 'broadcasting');
+-- Rows are inserted as 'debiting' and only queued once the ledger debit lands; the queue sweeps up interrupted ones
+create index if not exists withdrawals_debiting_idx on withdrawals (created_at) where status = 'debiting';
+
+-- tokens.js: which token a withdrawal sends; `quantity` is in it
+alter table withdrawals add column if not exists token text not null default 'KAHEL';
+
+-- mines.js: board size and house edge are fixed per game when it starts
+alter table games add column if not exists total_tiles int not null default 25;
+alter table games add column if not exists house_edge numeric not null default 0.035;
+
+-- game-expiry.js: games idle since last_action_at are cashed out automatically
+alter table games add column if not exists last_action_at timestamptz not null default now();
+create index if not exists games_active_idx on games (wallet, created_at) where status = 'active';
+create index if not exists games_idle_idx on games (last_action_at) where status = 'active';
+
+-- history.js: what a finished game paid out (0 when lost)
+alter table games add column if not exists payout numeric;
+create index if not exists games_wallet_created_idx on games (wallet, created_at desc);
+create index if not exists pending_deposits_wallet_created_idx on pending_deposits (wallet, created_at desc);
+create index if not exists withdrawals_wallet_created_idx on withdrawals (wallet, created_at desc);
+
+-- game-engine.js: every game shares the games table; `game` says which one and
+-- `details` holds whatever that game needs beyond the common columns
+alter table games add column if not exists game text not null default 'mines';
+alter table games add column if not exists details jsonb;
+alter table games alter column mine_positions drop not null;
+create index if not exists games_wallet_game_created_idx on games (wallet, game, created_at desc);
+
+-- admin.js / controls.js: operator tooling. Frozen players can't start games or
+-- withdraw; pauses are watcher_state rows (paused_games, paused_withdrawals = 1).
+alter table players add column if not exists frozen boolean not null default false;
+
+-- Every operator action, with the reason they had to give
+create table if not exists admin_audit (
+  id          bigserial primary key,
+  admin       text not null,
+  action      text not null,       -- adjust | freeze | unfreeze | pause | resume
+  wallet      text,
+  reason      text not null,
+  details     jsonb,
+  created_at  timestamptz not null default now()
+);
+
+create index if not exists admin_audit_created_idx on admin_audit (created_at desc);
+-- admin.js /adjust: the adjustment's ledger ref, so a retry can tell whether it was logged
+alter table admin_audit add column if not exists ref text;
+create unique index if not exists admin_audit_ref_key on admin_audit (ref) where ref is not null;
+
+-- Bankroll and GGR totals, summed here: PostgREST returns at most 1000 rows a
+-- query, so adding up fetched players or games would quietly come out short.
+create or replace function outstanding_credits()
+returns table (players bigint, credits numeric)
+language sql
+stable
+as $$
+  select count(*), coalesce(sum(credits), 0) from players;
+$$;
+
+-- Finished games per UTC day since `p_since`. A cashed-out game from before
+-- `payout` was stored paid bet x multiplier, cut to whole cents (money.payout).
+create or replace function daily_ggr(p_since timestamptz)
+returns table (date text, games bigint, bets numeric, payouts numeric)
+language sql
+stable
+as $$
+  select to_char(created_at at time zone 'UTC', 'YYYY-MM-DD'),
+         count(*),
+         sum(bet),
+         sum(coalesce(payout, case when status = 'cashedOut' then trunc(bet * multiplier, 2) else 0 end))
+    from games
+   where created_at >= p_since
+     and status <> 'active'
+   group by 1;
+$$;
+
+create index if not exists games_created_idx on games (created_at);
+
+-- game-engine.js payUnpaid(): games settled between `p_since` and `p_until`
+-- whose payout has no ledger entry (settling and crediting are two writes)
+create or replace function unpaid_games(p_since timestamptz, p_until timestamptz, p_limit int)
+returns setof games
+language sql
+stable
+as $$
+  select g.*
+    from games g
+   where g.status <> 'active'
+     and g.payout > 0
+     and g.last_action_at >= p_since
+     and g.last_action_at < p_until
+     and not exists (
+       select 1 from credit_ledger l
+        where l.ref = g.game_id::text
+          and l.reason in ('game_win', 'game_refund'))
+   order by g.last_action_at
+   limit p_limit;
+$$;
+
+create index if not exists games_paid_idx on games (last_action_at) where payout > 0;
+
+-- limits.js: responsible-gaming limits each player sets for themselves, all in
+-- credits (deposit caps count what deposits are worth, whatever the token; caps
+-- set in KAHEL before tokens.js now read as credits, only ever stricter). Null means no limit. Loosening
+-- a limit waits in `pending` ({ name: { value, effective_at } }) for the cooling-off.
+create table if not exists player_limits (
+  wallet            text primary key references players(wallet),
+  deposit_daily     numeric,
+  deposit_weekly    numeric,
+  deposit_monthly   numeric,
+  loss_daily        numeric,
+  loss_weekly       numeric,
+  loss_monthly      numeric,
+  max_bet           numeric,
+  reminder_minutes  int,
+  excluded_until    timestamptz,
+  pending           jsonb not null default '{}',
+  created_at        timestamptz not null default now(),
+  updated_at        timestamptz not null default now()
+);
+
+-- Credits `p_wallet` lost on games since `p_since`: bets less payouts, an
+-- unfinished game counting as lost until it pays out. Summed here rather than
+-- over fetched rows, which PostgREST caps at 1000.
+create or replace function player_losses(p_wallet text, p_since timestamptz)
+returns numeric
+language sql
+stable
+as $$
+  select coalesce(sum(bet - coalesce(payout, 0)), 0)
+    from games
+   where wallet = p_wallet
+     and created_at >= p_since;
+$$;
+
+-- announcements.js: operator posts. Markdown bodies; visible from publish_at
+-- until expires_at (null: no end). `banner` ones also show across every page.
+create table if not exists announcements (
+  id          bigserial primary key,
+  title       text not null,
+  body        text not null,
+  publish_at  timestamptz not null default now(),
+  expires_at  timestamptz,
+  pinned      boolean not null default false,
+  banner      boolean not null default false,
+  author      text,
+  created_at  timestamptz not null default now(),
+  updated_at  timestamptz not null default now()
+);
+
+create index if not exists announcements_publish_idx on announcements (publish_at desc);
+
+-- When each player last opened the announcements page, for the unread badge
+alter table players add column if not exists announcements_read_at timestamptz;
+
+-- rewards.js: every player's referral code (made on first visit to the rewards
+-- page) and who referred them, set once when their first login came through a
+-- referral link. Earnings are computed from games; claims are ledger entries
+-- (reason reward_claim, ref "<wallet>:<claim number>").
+alter table players add column if not exists referral_code text;
+alter table players add column if not exists referred_by text references players(wallet);
+create unique index if not exists players_referral_code_key on players (referral_code) where referral_code is not null;
+create index if not exists players_referred_by_idx on players (referred_by);
+
+-- Reward totals, summed here rather than over fetched rows (PostgREST stops at
+-- 1000). A game counts once it is over and a bet was at stake: a Mines game
+-- cashed out or expired before its first click only handed the bet back, and a
+-- voided game (its seed was rotated as it opened) was refunded.
+create or replace function wagered_volume(p_wallet text)
+returns numeric
+language sql
+stable
+as $$
+  select coalesce(sum(bet), 0)
+    from games
+   where wallet = p_wallet
+     and status not in ('opening', 'active', 'voided')
+     and (game <> 'mines' or status = 'lost' or safe_clicks > 0);
+$$;
+
+-- Every player `p_referrer` referred, newest first, with what they wagered and
+-- were paid on Mines. One row per player, so callers page through with range().
+create or replace function referral_totals(p_referrer text)
+returns table (wallet text, joined_at timestamptz, games bigint, wagered numeric, payouts numeric)
+language sql
+stable
+as $$
+  select p.wallet,
+         p.created_at,
+         count(g.game_id),
+         coalesce(sum(g.bet), 0),
+         coalesce(sum(coalesce(g.payout, case when g.status = 'cashedOut' then trunc(g.bet * g.multiplier, 2) else 0 end)), 0)
+    from players p
+    left join games g
+      on g.wallet = p.wallet
+     and g.game = 'mines'
+     and g.status not in ('opening', 'active', 'voided')
+     and (g.status = 'lost' or g.safe_clicks > 0)
+   where p.referred_by = p_referrer
+   group by p.wallet, p.created_at
+   order by p.created_at desc, p.wallet;
+$$;
+
+create or replace function ledger_totals(p_wallet text, p_reason text)
+returns table (entries bigint, total numeric)
+language sql
+stable
+as $$
+  select count(*), coalesce(sum(delta), 0)
+    from credit_ledger
+   where wallet = p_wallet
+     and reason = p_reason;
+$$;
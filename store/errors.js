@@ -0,0 +1,11 @@
+// store/errors.js — errors every store backend raises the same way
+
+// Balance change refused: PLAYER_NOT_FOUND | INSUFFICIENT_CREDITS | DUPLICATE_ENTRY
+class LedgerError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+module.exports = { LedgerError };
@@ -0,0 +1,29 @@
+// store/index.js — picks the data backend from env config
+//
+//   STORE=supabase  Supabase project from SUPABASE_URL / SUPABASE_SERVICE_KEY (default when set)
+//   STORE=memory    in-process tables, empty on every start; for offline runs and CI
+//
+// Every backend exposes the same repositories:
+//   players, games, deposits, unmatchedDeposits, withdrawals, seeds, audit, limits, announcements
+//     -> get / find / insert / update / remove
+//     find(match, { order, ascending, limit, offset }); match values may be a value, [values], null or { gt, gte, lte }
+//   ledger  -> apply(wallet, delta, reason, ref), balance(wallet), entries
+//   reports -> losses(wallet, since), outstanding(), dailyGgr(since), wagered(wallet),
+//              referrals(referrer), ledgerTotals(wallet, reason),
+//              unpaidGames(since, until, limit)
+//     totals worked out by the database rather than over find()'s rows
+//   state   -> get(key), set(key, value)
+const { STORE } = require('../config');
+const { createMemoryStore } = require('./memory');
+
+function createStore(kind = STORE) {
+  if (kind === 'memory') return createMemoryStore();
+  if (kind === 'supabase') {
+    const { createSupabaseStore } = require('./supabase');
+    return createSupabaseStore({ url: process.env.SUPABASE_URL, key: process.env.SUPABASE_SERVICE_KEY });
+  }
+  throw new Error(`Unknown STORE "${kind}" (expected supabase or memory)`);
+}
+
+module.exports = createStore();
+module.exports.createStore = createStore;
@@ -0,0 +1,212 @@
+// store/memory.js — in-memory backend for offline runs and tests
+//
+// Same contract as store/supabase.js. Every method does its check-and-write
+// without awaiting in between, so conditional updates are as atomic here as
+// the matching `update ... where` is in Postgres.
+const { LedgerError } = require('./errors');
+const money = require('../money');
+
+const clone = row => (row == null ? row : structuredClone(row));
+
+// --- Helper: does a row satisfy a { column: value | [values] | null | { gt, gte, lte } } match? ---
+function matches(row, match) {
+  return Object.entries(match).every(([column, value]) => {
+    if (Array.isArray(value)) return value.includes(row[column]);
+    if (value === null) return row[column] == null;
+    if (typeof value === 'object') {
+      if (value.gt !== undefined && !(row[column] > value.gt)) return false;
+      if (value.gte !== undefined && !(row[column] >= value.gte)) return false;
+      if (value.lte !== undefined && !(row[column] <= value.lte)) return false;
+      return true;
+    }
+    return row[column] === value;
+  });
+}
+
+class Table {
+  // `unique` lists extra constraints: { columns: [...], where?: row => bool }
+  constructor(key, { autoIncrement = false, unique = [] } = {}) {
+    this.key = key;
+    this.autoIncrement = autoIncrement;
+    this.unique = unique;
+    this.rows = new Map();
+    this.seq = 0;
+  }
+
+  conflicts(row, ignoreKey) {
+    if (ignoreKey === undefined && this.rows.has(row[this.key])) return true;
+    return this.unique.some(({ columns, where }) => {
+      if (where && !where(row)) return false;
+      return [...this.rows.values()].some(other =>
+        other[this.key] !== ignoreKey &&
+        (!where || where(other)) &&
+        columns.every(c => other[c] === row[c])
+      );
+    });
+  }
+
+  async get(id) {
+    return clone(this.rows.get(id));
+  }
+
+  async find(match, options) {
+    return this.findRows(match, options).map(clone);
+  }
+
+  async insert(fields) {
+    return clone(this.insertRow(fields));
+  }
+
+  async update(id, fields, expected) {
+    return clone(this.updateRow(id, fields, expected));
+  }
+
+  async remove(id) {
+    return this.rows.delete(id);
+  }
+
+  // --- Synchronous core, for callers that must not yield mid-operation ---
+  findRows(match = {}, { order, ascending = true, limit, offset = 0 } = {}) {
+    let rows = [...this.rows.values()].filter(row => matches(row, match));
+    if (order) {
+      rows.sort((a, b) => (a[order] < b[order] ? -1 : a[order] > b[order] ? 1 : 0) * (ascending ? 1 : -1));
+    }
+    if (offset) rows = rows.slice(offset);
+    if (limit) rows = rows.slice(0, limit);
+    return rows;
+  }
+
+  // The stored row, or null when a key/unique constraint is violated
+  insertRow(fields) {
+    const row = { created_at: new Date().toISOString(), ...clone(fields) };
+    if (this.autoIncrement && row[this.key] == null) row[this.key] = ++this.seq;
+    if (this.conflicts(row)) return null;
+
+    this.rows.set(row[this.key], row);
+    return row;
+  }
+
+  // The updated row, or null when the row is missing or `expected` doesn't match
+  updateRow(id, fields, expected = {}) {
+    const row = this.rows.get(id);
+    if (!row || !matches(row, expected)) return null;
+
+    const next = { ...row, ...clone(fields) };
+    if (this.conflicts(next, id)) return null;
+
+    this.rows.set(id, next);
+    return next;
+  }
+}
+
+function createMemoryStore() {
+  const players = new Table('wallet', { unique: [{ columns: ['referral_code'], where: row => row.referral_code != null }] });
+  const ledgerEntries = new Table('id', {
+    autoIncrement: true,
+    unique: [{ columns: ['reason', 'ref'], where: row => row.ref != null }]
+  });
+
+  // Mirrors apply_credit() in schema.sql; no await until the entry is written
+  async function apply(wallet, delta, reason, ref) {
+    const player = players.rows.get(wallet);
+    if (!player) throw new LedgerError('PLAYER_NOT_FOUND', 'Player not found');
+
+    const balance = money.sum([player.credits, delta]);
+    if (balance < 0) throw new LedgerError('INSUFFICIENT_CREDITS', 'Not enough credits');
+
+    const entry = ledgerEntries.insertRow({ wallet, delta, reason, ref, balance });
+    if (!entry) throw new LedgerError('DUPLICATE_ENTRY', `Ledger entry ${reason}/${ref} already exists`);
+
+    player.credits = balance;
+    return clone(entry);
+  }
+
+  async function balance(wallet) {
+    const [latest] = ledgerEntries.findRows({ wallet }, { order: 'id', ascending: false, limit: 1 });
+    return latest ? Number(latest.balance) : 0;
+  }
+
+  const watcherState = new Table('key');
+  const games = new Table('game_id');
+
+  // What a finished game paid; cashed-out games from before `payout` was stored paid bet x multiplier
+  const paid = game => (game.payout != null ? game.payout : game.status === 'cashedOut' ? money.payout(game.bet, game.multiplier) : 0);
+  // Over, with a bet at stake (wagered_volume in schema.sql)
+  const wagered = game => !['opening', 'active', 'voided'].includes(game.status) &&
+    (game.game !== 'mines' || game.status === 'lost' || game.safe_clicks > 0);
+
+  // Mirror the totals functions in schema.sql
+  const reports = {
+    async losses(wallet, since) {
+      return money.sum(games.findRows({ wallet, created_at: { gte: since } }).flatMap(g => [g.bet, -(g.payout || 0)]));
+    },
+    async outstanding() {
+      const rows = players.findRows();
+      return { players: rows.length, credits: money.sum(rows.map(p => p.credits)) };
+    },
+    async dailyGgr(since) {
+      const days = new Map();
+      for (const game of games.findRows({ created_at: { gte: since } })) {
+        if (game.status === 'active') continue;
+        const date = new Date(game.created_at).toISOString().slice(0, 10);
+        const day = days.get(date) || { date, games: 0, bets: 0, payouts: 0 };
+        days.set(date, { date, games: day.games + 1, bets: money.sum([day.bets, game.bet]), payouts: money.sum([day.payouts, paid(game)]) });
+      }
+      return [...days.values()];
+    },
+    async wagered(wallet) {
+      return money.sum(games.findRows({ wallet }).filter(wagered).map(game => game.bet));
+    },
+    async referrals(referrer) {
+      const referred = players.findRows({ referred_by: referrer }, { order: 'created_at', ascending: false });
+      return referred.map(player => {
+        const own = games.findRows({ wallet: player.wallet, game: 'mines' }).filter(wagered);
+        return {
+          wallet: player.wallet,
+          joined_at: player.created_at,
+          games: own.length,
+          wagered: money.sum(own.map(game => game.bet)),
+          payouts: money.sum(own.map(paid))
+        };
+      });
+    },
+    async ledgerTotals(wallet, reason) {
+      const entries = ledgerEntries.findRows({ wallet, reason });
+      return { entries: entries.length, total: money.sum(entries.map(entry => entry.delta)) };
+    },
+    async unpaidGames(since, until, limit) {
+      const credited = game => ledgerEntries.findRows({ ref: game.game_id }).some(e => e.reason === 'game_win' || e.reason === 'game_refund');
+      return games.findRows({ last_action_at: { gte: since } }, { order: 'last_action_at' })
+        .filter(game => game.status !== 'active' && game.payout > 0 && game.last_action_at < until && !credited(game))
+        .slice(0, limit)
+        .map(clone);
+    }
+  };
+
+  return {
+    name: 'memory',
+    players,
+    games,
+    deposits: new Table('txid'),
+    unmatchedDeposits: new Table('txid'),
+    withdrawals: new Table('id', { unique: [{ columns: ['wallet', 'idempotency_key'] }] }),
+    seeds: new Table('id', { autoIncrement: true, unique: [{ columns: ['wallet'], where: row => row.active }] }),
+    audit: new Table('id', { autoIncrement: true, unique: [{ columns: ['ref'], where: row => row.ref != null }] }),
+    limits: new Table('wallet'),
+    announcements: new Table('id', { autoIncrement: true }),
+    ledger: { apply, balance, entries: ledgerEntries },
+    reports,
+    state: {
+      async get(key) {
+        const row = await watcherState.get(key);
+        return row ? row.value : null;
+      },
+      async set(key, value) {
+        const fields = { value, updated_at: new Date().toISOString() };
+        if (!(await watcherState.update(key, fields))) await watcherState.insert({ key, ...fields });
+      }
+    }
+  };
+}
+
+module.exports = { createMemoryStore, Table };
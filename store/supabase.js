@@ -0,0 +1,176 @@
+// store/supabase.js — Supabase (Postgres) backend; tables are defined in schema.sql
+const { createClient } = require('@supabase/supabase-js');
+const { LedgerError } = require('./errors');
+
+const UNIQUE_VIOLATION = '23505';
+
+const PAGE_SIZE = 1000; // PostgREST's default max-rows
+
+// --- Helper: apply a { column: value | [values] | null | { gt, gte, lte } } match to a query ---
+function applyMatch(query, match) {
+  for (const [column, value] of Object.entries(match)) {
+    if (Array.isArray(value)) query = query.in(column, value);
+    else if (value === null) query = query.is(column, null);
+    else if (typeof value === 'object') {
+      if (value.gt !== undefined) query = query.gt(column, value.gt);
+      if (value.gte !== undefined) query = query.gte(column, value.gte);
+      if (value.lte !== undefined) query = query.lte(column, value.lte);
+    } else query = query.eq(column, value);
+  }
+  return query;
+}
+
+class Table {
+  constructor(supabase, name, key) {
+    this.supabase = supabase;
+    this.name = name;
+    this.key = key;
+  }
+
+  async get(id) {
+    const { data, error } = await this.supabase.from(this.name).select('*').eq(this.key, id).maybeSingle();
+    if (error) throw new Error(error.message);
+    return data;
+  }
+
+  async find(match = {}, { order, ascending = true, limit, offset = 0 } = {}) {
+    let query = applyMatch(this.supabase.from(this.name).select('*'), match);
+    if (order) query = query.order(order, { ascending });
+    if (limit) query = query.range(offset, offset + limit - 1);
+
+    const { data, error } = await query;
+    if (error) throw new Error(error.message);
+    return data;
+  }
+
+  // Resolves to the stored row, or null when a key/unique constraint is violated
+  async insert(fields) {
+    const { data, error } = await this.supabase.from(this.name).insert(fields).select().single();
+    if (error) {
+      if (error.code === UNIQUE_VIOLATION) return null;
+      throw new Error(error.message);
+    }
+    return data;
+  }
+
+  // Resolves to the updated row, or null when the row is missing or `expected` doesn't match
+  async update(id, fields, expected = {}) {
+    const query = this.supabase.from(this.name).update(fields);
+    const { data, error } = await applyMatch(query, { ...expected, [this.key]: id }).select();
+    if (error) {
+      if (error.code === UNIQUE_VIOLATION) return null;
+      throw new Error(error.message);
+    }
+    return data && data.length > 0 ? data[0] : null;
+  }
+
+  // Resolves to whether a row was deleted
+  async remove(id) {
+    const { data, error } = await this.supabase.from(this.name).delete().eq(this.key, id).select();
+    if (error) throw new Error(error.message);
+    return data.length > 0;
+  }
+}
+
+function createSupabaseStore({ url, key }) {
+  const supabase = createClient(url, key);
+  const ledgerEntries = new Table(supabase, 'credit_ledger', 'id');
+  const watcherState = new Table(supabase, 'watcher_state', 'key');
+
+  // Atomic balance change; see apply_credit() in schema.sql
+  async function apply(wallet, delta, reason, ref) {
+    const { data, error } = await supabase.rpc('apply_credit', {
+      p_wallet: wallet,
+      p_delta: delta,
+      p_reason: reason,
+      p_ref: ref
+    });
+
+    if (error) {
+      if (error.message.includes('INSUFFICIENT_CREDITS'))
+        throw new LedgerError('INSUFFICIENT_CREDITS', 'Not enough credits');
+      if (error.message.includes('PLAYER_NOT_FOUND'))
+        throw new LedgerError('PLAYER_NOT_FOUND', 'Player not found');
+      if (error.code === UNIQUE_VIOLATION)
+        throw new LedgerError('DUPLICATE_ENTRY', `Ledger entry ${reason}/${ref} already exists`);
+      throw new Error(error.message);
+    }
+    return data;
+  }
+
+  async function balance(wallet) {
+    const [latest] = await ledgerEntries.find({ wallet }, { order: 'id', ascending: false, limit: 1 });
+    return latest ? Number(latest.balance) : 0;
+  }
+
+  // Totals summed in Postgres (see schema.sql); find() would stop at 1000 rows
+  async function rpc(name, params) {
+    const { data, error } = await supabase.rpc(name, params);
+    if (error) throw new Error(error.message);
+    return data;
+  }
+
+  const reports = {
+    async losses(wallet, since) {
+      return Number(await rpc('player_losses', { p_wallet: wallet, p_since: since }));
+    },
+    async outstanding() {
+      const [row] = await rpc('outstanding_credits');
+      return { players: Number(row.players), credits: Number(row.credits) };
+    },
+    async dailyGgr(since) {
+      const rows = await rpc('daily_ggr', { p_since: since });
+      return rows.map(row => ({ date: row.date, games: Number(row.games), bets: Number(row.bets), payouts: Number(row.payouts) }));
+    },
+    async wagered(wallet) {
+      return Number(await rpc('wagered_volume', { p_wallet: wallet }));
+    },
+    // One row per referred player, however many there are
+    async referrals(referrer) {
+      const rows = [];
+      for (let offset = 0; ; offset += PAGE_SIZE) {
+        const { data, error } = await supabase.rpc('referral_totals', { p_referrer: referrer }).range(offset, offset + PAGE_SIZE - 1);
+        if (error) throw new Error(error.message);
+        rows.push(...data);
+        if (data.length < PAGE_SIZE) break;
+      }
+      return rows.map(row => ({
+        wallet: row.wallet, joined_at: row.joined_at, games: Number(row.games), wagered: Number(row.wagered), payouts: Number(row.payouts)
+      }));
+    },
+    async ledgerTotals(wallet, reason) {
+      const [row] = await rpc('ledger_totals', { p_wallet: wallet, p_reason: reason });
+      return { entries: Number(row.entries), total: Number(row.total) };
+    },
+    async unpaidGames(since, until, limit) {
+      return rpc('unpaid_games', { p_since: since, p_until: until, p_limit: limit });
+    }
+  };
+
+  return {
+    name: 'supabase',
+    players: new Table(supabase, 'players', 'wallet'),
+    games: new Table(supabase, 'games', 'game_id'),
+    deposits: new Table(supabase, 'pending_deposits', 'txid'),
+    unmatchedDeposits: new Table(supabase, 'unmatched_deposits', 'txid'),
+    withdrawals: new Table(supabase, 'withdrawals', 'id'),
+    seeds: new Table(supabase, 'server_seeds', 'id'),
+    audit: new Table(supabase, 'admin_audit', 'id'),
+    limits: new Table(supabase, 'player_limits', 'wallet'),
+    announcements: new Table(supabase, 'announcements', 'id'),
+    ledger: { apply, balance, entries: ledgerEntries },
+    reports,
+    state: {
+      async get(key) {
+        const row = await watcherState.get(key);
+        return row ? row.value : null;
+      },
+      async set(key, value) {
+        const { error } = await supabase.from('watcher_state').upsert({ key, value, updated_at: new Date().toISOString() });
+        if (error) throw new Error(error.message);
+      }
+    }
+  };
+}
+
+module.exports = { createSupabaseStore, Table };
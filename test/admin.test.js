@@ -0,0 +1,210 @@
+// test/admin.test.js — /admin/* for operators: bankroll, GGR, adjustments, freezes and pauses
+const ADMIN = 'houseadmin1';
+process.env.ADMIN_WALLETS = ADMIN;
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, request, login, createPlayer, store, chain } = require('./helpers');
+const withdrawals = require('../withdrawals');
+const controls = require('../controls');
+const money = require('../money');
+const tokens = require('../tokens');
+
+let server;
+let admin;
+before(async () => {
+  server = await startServer();
+  chain.createAccount(ADMIN);
+  admin = await login(server.url, ADMIN);
+});
+after(async () => {
+  await controls.setPaused('games', false);
+  await controls.setPaused('withdrawals', false);
+  server.close();
+});
+
+const get = path => request(server.url, path, { token: admin });
+const post = (path, body) => request(server.url, path, { token: admin, body });
+
+describe('admin access', () => {
+  it('is for ADMIN_WALLETS only', async () => {
+    const player = await createPlayer(server.url, 100);
+    assert.equal((await request(server.url, '/admin/overview')).status, 401);
+    assert.equal((await request(server.url, '/admin/overview', { token: player.token })).status, 403);
+    const adjust = await request(server.url, '/admin/adjust', {
+      token: player.token, body: { player: player.wallet, amount: 1000, reason: 'me' }
+    });
+    assert.equal(adjust.status, 403);
+    assert.equal((await get('/admin/me')).body.wallet, ADMIN);
+  });
+});
+
+describe('POST /admin/adjust', () => {
+  const adjust = (body, key = 'adjust-key') => request(server.url, '/admin/adjust', { token: admin, body, headers: { 'Idempotency-Key': key } });
+
+  it('needs a reason and writes the ledger and the audit log', async () => {
+    const player = await createPlayer(server.url, 100);
+
+    assert.equal((await adjust({ player: player.wallet, amount: 50 })).status, 400);
+    assert.equal((await adjust({ player: player.wallet, amount: 50, reason: '  ' })).status, 400);
+    assert.equal((await adjust({ player: player.wallet, amount: 0, reason: 'x' })).status, 400);
+    assert.equal((await post('/admin/adjust', { player: player.wallet, amount: 5, reason: 'x' })).status, 400); // no key
+    assert.equal((await adjust({ player: 'nosuchplayer', amount: 5, reason: 'x' })).status, 404);
+    assert.equal((await adjust({ player: player.wallet, amount: -500, reason: 'x' })).status, 400);
+
+    const res = await adjust({ player: player.wallet, amount: 50, reason: 'Lost deposit, ticket 42' }, 'ticket-42');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.balance, 150);
+
+    const [entry] = await store.ledger.entries.find({ wallet: player.wallet, reason: 'admin_adjustment' });
+    assert.equal(Number(entry.delta), 50);
+
+    const { body: { entries } } = await get('/admin/audit?limit=10');
+    const logged = entries.find(e => e.id === res.body.audit_id);
+    assert.equal(logged.action, 'adjust');
+    assert.equal(logged.admin, ADMIN);
+    assert.equal(logged.wallet, player.wallet);
+    assert.equal(logged.reason, 'Lost deposit, ticket 42');
+    assert.equal(logged.details.amount, 50);
+  });
+
+  it('applies a resubmitted adjustment once', async () => {
+    const player = await createPlayer(server.url, 100);
+    const body = { player: player.wallet, amount: 25, reason: 'Goodwill' };
+
+    const results = await Promise.all([adjust(body, 'goodwill'), adjust(body, 'goodwill')]);
+    assert.deepEqual(results.map(r => r.status), [200, 200]);
+    assert.equal((await adjust(body, 'goodwill')).body.balance, 125);
+    assert.equal((await store.ledger.entries.find({ wallet: player.wallet, reason: 'admin_adjustment' })).length, 1);
+    assert.equal((await request(server.url, `/credits/${player.wallet}`, { token: player.token })).body.credits, 125);
+
+    const { body: { entries } } = await get('/admin/audit?limit=50');
+    assert.equal(entries.filter(e => e.wallet === player.wallet && e.action === 'adjust').length, 1);
+
+    // The same key for a different adjustment is a mistake, not a retry
+    assert.equal((await adjust({ ...body, amount: 30 }, 'goodwill')).status, 409);
+  });
+
+  it('writes the audit row on a retry when the first attempt stopped before it', async () => {
+    const player = await createPlayer(server.url, 100);
+    const body = { player: player.wallet, amount: 10, reason: 'Bonus, ticket 7' };
+
+    const insert = store.audit.insert;
+    store.audit.insert = async () => { throw new Error('audit unavailable'); };
+    try {
+      assert.equal((await adjust(body, 'ticket-7')).status, 500);
+    } finally {
+      store.audit.insert = insert;
+    }
+    assert.equal((await request(server.url, `/credits/${player.wallet}`, { token: player.token })).body.credits, 110);
+
+    const retry = await adjust(body, 'ticket-7');
+    assert.equal(retry.status, 200);
+    assert.equal(retry.body.duplicate, true);
+    assert.equal(retry.body.balance, 110);
+    const { body: { entries } } = await get('/admin/audit?limit=50');
+    const logged = entries.filter(e => e.wallet === player.wallet);
+    assert.deepEqual(logged.map(e => [e.id, e.action, e.reason]), [[retry.body.audit_id, 'adjust', 'Bonus, ticket 7']]);
+  });
+});
+
+describe('POST /admin/freeze', () => {
+  it('stops games and withdrawals for that wallet until unfrozen', async () => {
+    const player = await createPlayer(server.url, 100);
+    assert.equal((await post('/admin/freeze', { player: player.wallet })).status, 400);
+    assert.equal((await post('/admin/freeze', { player: player.wallet, reason: 'Chargeback' })).body.frozen, true);
+
+    const start = await request(server.url, '/game/start', { token: player.token, body: { bet_amount: 10, bombCount: 3 } });
+    assert.equal(start.status, 403);
+    const withdraw = await request(server.url, '/convert/withdraw', {
+      token: player.token, body: { wallet: player.wallet, credits_to_use: 10, idempotency_key: 'frozen' }
+    });
+    assert.equal(withdraw.status, 403);
+    assert.equal((await request(server.url, `/credits/${player.wallet}`, { token: player.token })).body.credits, 100);
+    assert.ok((await get('/admin/overview')).body.bankroll.frozen_players.includes(player.wallet));
+
+    await post('/admin/freeze', { player: player.wallet, frozen: false, reason: 'Resolved' });
+    const again = await request(server.url, '/game/start', { token: player.token, body: { bet_amount: 10, bombCount: 3 } });
+    assert.equal(again.status, 200);
+
+    const { body: { entries } } = await get('/admin/audit');
+    assert.deepEqual(entries.filter(e => e.wallet === player.wallet).map(e => e.action), ['unfreeze', 'freeze']);
+  });
+});
+
+describe('POST /admin/pause', () => {
+  it('pauses games for everyone', async () => {
+    const player = await createPlayer(server.url, 100);
+    assert.equal((await post('/admin/pause', { reason: 'x' })).status, 400);
+    assert.deepEqual((await post('/admin/pause', { games: true, reason: 'Maintenance' })).body.paused, { games: true, withdrawals: false });
+
+    const start = await request(server.url, '/game/start', { token: player.token, body: { bet_amount: 10, bombCount: 3 } });
+    assert.equal(start.status, 503);
+    assert.equal((await request(server.url, '/game/dice/roll', { token: player.token, body: { bet_amount: 10, target: 50 } })).status, 503);
+
+    await post('/admin/pause', { games: false, reason: 'Done' });
+    assert.equal((await request(server.url, '/game/start', { token: player.token, body: { bet_amount: 10, bombCount: 3 } })).status, 200);
+  });
+
+  it('holds withdrawals in the queue until resumed', async () => {
+    const player = await createPlayer(server.url, 100);
+    const { withdrawal } = await withdrawals.requestWithdrawal(player.wallet, tokens.get('KAHEL'), 40, 'queued-before-pause');
+
+    await post('/admin/pause', { withdrawals: true, reason: 'Hot wallet rotation' });
+    const refused = await request(server.url, '/convert/withdraw', {
+      token: player.token, body: { wallet: player.wallet, credits_to_use: 10, idempotency_key: 'while-paused' }
+    });
+    assert.equal(refused.status, 503);
+
+    await withdrawals.processQueue();
+    assert.equal((await store.withdrawals.get(withdrawal.id)).status, 'requested');
+
+    await post('/admin/pause', { withdrawals: false, reason: 'Done' });
+    await withdrawals.processQueue();
+    assert.notEqual((await store.withdrawals.get(withdrawal.id)).status, 'requested');
+  });
+});
+
+describe('GET /admin/overview and /admin/ggr', () => {
+  it('reports the bankroll against outstanding credits', async () => {
+    const { body: { bankroll } } = await get('/admin/overview');
+    const players = await store.players.find({});
+    const credits = players.reduce((sum, p) => sum + Number(p.credits), 0);
+    assert.equal(bankroll.outstanding_credits, credits);
+    assert.ok(bankroll.tokens.find(t => t.symbol === 'KAHEL').chain_balance > 0);
+    assert.equal(bankroll.chain_credits, money.sum(bankroll.tokens.map(t => t.value_credits)));
+    assert.equal(bankroll.surplus_credits, money.sum([bankroll.chain_credits, -bankroll.outstanding_credits, -bankroll.in_flight_withdrawals_credits]));
+  });
+
+  it('sums bets and payouts of finished games per day', async () => {
+    const before = (await get('/admin/ggr?days=1')).body.total;
+
+    const player = await createPlayer(server.url, 100);
+    const { body: game } = await request(server.url, '/game/start', { token: player.token, body: { bet_amount: 20, bombCount: 3 } });
+    // Still active: not counted yet
+    assert.deepEqual((await get('/admin/ggr?days=1')).body.total, before);
+    await request(server.url, '/game/cashout', { token: player.token, body: { gameId: game.gameId } });
+
+    const { body } = await get('/admin/ggr?days=1');
+    assert.equal(body.daily.length, 1);
+    assert.equal(body.total.games, before.games + 1);
+    assert.equal(body.total.bets, before.bets + 20);
+    assert.equal(body.total.payouts, before.payouts + 20); // cashed out before revealing anything: ×1
+    assert.equal(body.total.ggr, before.ggr);
+
+    assert.equal((await get('/admin/ggr?days=0')).status, 400);
+    assert.equal((await get('/admin/ggr?days=7')).body.daily.length, 7);
+  });
+
+  it('lists unverified deposits and failed withdrawals', async () => {
+    const player = await createPlayer(server.url);
+    await store.deposits.insert({
+      wallet: player.wallet, sender: player.wallet, txid: 'f'.repeat(64), token: 'KAHEL', amount: 3, status: 'pending', credited: false, verified: false
+    });
+    const { body: { deposits } } = await get('/admin/deposits/pending');
+    assert.ok(deposits.some(d => d.txid === 'f'.repeat(64) && d.wallet === player.wallet));
+
+    const { body } = await get('/admin/withdrawals/failed');
+    assert.ok(Array.isArray(body.withdrawals));
+  });
+});
@@ -0,0 +1,116 @@
+// test/announcements.test.js — /announcements, /admin/announcements and the unread badge
+const ADMIN = 'newsadmin123';
+process.env.ADMIN_WALLETS = ADMIN;
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, request, login, createPlayer, chain } = require('./helpers');
+const controls = require('../controls');
+
+let server;
+let admin;
+before(async () => {
+  server = await startServer();
+  chain.createAccount(ADMIN);
+  admin = await login(server.url, ADMIN);
+});
+after(() => server.close());
+
+const HOUR = 60 * 60 * 1000;
+const inHours = hours => new Date(Date.now() + hours * HOUR).toISOString();
+const publish = (body, token = admin) => request(server.url, '/admin/announcements', { token, body });
+const edit = (id, body) => request(server.url, `/admin/announcements/${id}`, { method: 'PUT', token: admin, body });
+const remove = id => request(server.url, `/admin/announcements/${id}`, { method: 'DELETE', token: admin });
+const visible = token => request(server.url, '/announcements', { token });
+
+describe('managing announcements', () => {
+  it('is for admins, with validated fields', async () => {
+    const player = await createPlayer(server.url);
+    assert.equal((await publish({ title: 'Hi', body: 'x' }, player.token)).status, 403);
+    assert.equal((await request(server.url, '/admin/announcements/1', { method: 'DELETE', token: player.token })).status, 403);
+
+    assert.equal((await publish({ body: 'no title' })).status, 400);
+    assert.equal((await publish({ title: 'No body' })).status, 400);
+    assert.equal((await publish({ title: 'Bad date', body: 'x', publish_at: 'soon' })).status, 400);
+    assert.equal((await publish({ title: 'Backwards', body: 'x', publish_at: inHours(2), expires_at: inHours(1) })).status, 400);
+    assert.equal((await publish({ title: 'Flag', body: 'x', pinned: 'yes' })).status, 400);
+  });
+
+  it('creates, edits and deletes posts', async () => {
+    const created = await publish({ title: 'Dice is live', body: '**New game!**' });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.author, ADMIN);
+    assert.equal(created.body.pinned, false);
+    assert.ok(created.body.publish_at);
+
+    const edited = await edit(created.body.id, { title: 'Dice is live!', pinned: true });
+    assert.equal(edited.status, 200);
+    assert.equal(edited.body.title, 'Dice is live!');
+    assert.equal(edited.body.body, '**New game!**');
+    assert.equal(edited.body.pinned, true);
+    assert.equal((await edit(created.body.id, { expires_at: new Date(0).toISOString() })).status, 400);
+    assert.equal((await edit(999999, { title: 'Nope' })).status, 404);
+
+    const { body: { announcements } } = await request(server.url, '/admin/announcements', { token: admin });
+    assert.ok(announcements.some(post => post.id === created.body.id));
+
+    assert.equal((await remove(created.body.id)).status, 200);
+    assert.equal((await remove(created.body.id)).status, 404);
+    assert.ok(!(await visible()).body.announcements.some(post => post.id === created.body.id));
+  });
+});
+
+describe('GET /announcements', () => {
+  it('shows published, unexpired posts with pinned ones first', async () => {
+    const old = await publish({ title: 'Older', body: 'x', publish_at: inHours(-3) });
+    const pinned = await publish({ title: 'Pinned', body: 'x', publish_at: inHours(-5), pinned: true });
+    const latest = await publish({ title: 'Latest', body: 'x' });
+    const scheduled = await publish({ title: 'Tomorrow', body: 'x', publish_at: inHours(24) });
+    const expired = await publish({ title: 'Gone', body: 'x', publish_at: inHours(-3), expires_at: inHours(-1) });
+
+    const ids = (await visible()).body.announcements.map(post => post.id);
+    assert.ok(!ids.includes(scheduled.body.id));
+    assert.ok(!ids.includes(expired.body.id));
+    assert.equal(ids[0], pinned.body.id);
+    assert.ok(ids.indexOf(latest.body.id) < ids.indexOf(old.body.id));
+
+    for (const post of [old, pinned, latest, scheduled, expired]) await remove(post.body.id);
+  });
+
+  it('counts unread posts per wallet until they are read', async () => {
+    const player = await createPlayer(server.url);
+    const other = await createPlayer(server.url);
+    assert.equal((await visible()).body.unread, null);
+
+    const first = await publish({ title: 'One', body: 'x' });
+    const second = await publish({ title: 'Two', body: 'x' });
+    const before = (await visible(player.token)).body.unread;
+    assert.ok(before >= 2);
+
+    await request(server.url, '/announcements/read', { method: 'POST', token: player.token });
+    assert.equal((await visible(player.token)).body.unread, 0);
+    assert.equal((await visible(other.token)).body.unread, before);
+
+    const third = await publish({ title: 'Three', body: 'x' });
+    assert.equal((await visible(player.token)).body.unread, 1);
+
+    for (const post of [first, second, third]) await remove(post.body.id);
+  });
+
+  it('puts banner posts and pause notices on every page', async () => {
+    const banner = await publish({ title: 'Maintenance at 02:00 UTC', body: 'Short downtime', banner: true });
+    const plain = await publish({ title: 'Not a banner', body: 'x' });
+
+    await request(server.url, '/admin/pause', { token: admin, body: { withdrawals: true, reason: 'Node upgrade' } });
+    try {
+      const { banners } = (await visible()).body;
+      assert.deepEqual(banners.map(b => b.title), ['Withdrawals are paused', 'Maintenance at 02:00 UTC']);
+      assert.equal(banners[0].system, true);
+    } finally {
+      await controls.setPaused('withdrawals', false);
+    }
+    assert.deepEqual((await visible()).body.banners.map(b => b.id), [banner.body.id]);
+
+    for (const post of [banner, plain]) await remove(post.body.id);
+  });
+});
@@ -0,0 +1,41 @@
+// test/chain.test.js — chain/wax.js answers from the history node, against a stubbed fetch
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createWaxChain } = require('../chain/wax');
+
+const realFetch = globalThis.fetch;
+after(() => { globalThis.fetch = realFetch; });
+
+// A WAX chain whose RPC node answers every call with `reply()`
+function chainAnswering(reply) {
+  globalThis.fetch = async () => reply();
+  const chain = createWaxChain({ endpoint: 'http://history.invalid' });
+  globalThis.fetch = realFetch;
+  return chain;
+}
+
+const json = (status, body) => new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+
+describe('getTransaction', () => {
+  it('returns null only when the node says the transaction is unknown', async () => {
+    const nodeos = chainAnswering(() => json(500, {
+      code: 500, message: 'Internal Service Error',
+      error: { code: 3040011, name: 'tx_not_found', what: 'The transaction can not be found', details: [] }
+    }));
+    assert.equal(await nodeos.getTransaction('a'.repeat(64)), null);
+
+    const hyperion = chainAnswering(() => json(404, { code: 404, message: 'Transaction not found' }));
+    assert.equal(await hyperion.getTransaction('a'.repeat(64)), null);
+  });
+
+  it('throws when the node cannot answer', async () => {
+    const down = chainAnswering(() => { throw new TypeError('fetch failed'); });
+    await assert.rejects(down.getTransaction('a'.repeat(64)), /fetch failed/);
+
+    const broken = chainAnswering(() => json(500, { code: 500, message: 'Internal Service Error', error: { code: 3010000, name: 'database_exception', details: [] } }));
+    await assert.rejects(broken.getTransaction('a'.repeat(64)));
+
+    const gateway = chainAnswering(() => new Response('<html>Bad Gateway</html>', { status: 502 }));
+    await assert.rejects(gateway.getTransaction('a'.repeat(64)));
+  });
+});
@@ -0,0 +1,135 @@
+// test/client.test.js — client.js (the pages' API client and wallet login) against a live server
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createPlayer, randomWallet } = require('./helpers');
+const {
+  ApiError, AuthError, NetworkError, WalletError, formatCredits, creditsHtml, formatKahel, renderMarkdown, createClient
+} = require('../client');
+const { APP_WALLET, RATE } = require('../config');
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server.close());
+
+// sessionStorage stand-in
+function memoryStorage(entries = {}) {
+  const items = new Map(Object.entries(entries));
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key),
+    items
+  };
+}
+
+const client = (options = {}) => createClient({ baseUrl: server.url, storage: memoryStorage(), ...options });
+
+describe('formatting', () => {
+  it('shows credits with two decimals and KAHEL at the token precision', () => {
+    assert.equal(formatCredits(12.5), '12.50');
+    assert.equal(formatCredits(null), '0.00');
+    assert.equal(creditsHtml(3.456), '3.<span style="font-size:0.7em;">46</span>');
+    assert.equal(formatKahel(1.5, { symbol: 'KAHEL', precision: 2 }), '1.50 KAHEL');
+  });
+
+  it('renders announcement markdown without letting HTML through', () => {
+    assert.equal(
+      renderMarkdown('# Dice\n\nNow **live**, *enjoy*\nsee `/game/dice`\n\n- one\n- [rules](https://example.com/rules)'),
+      '<h3>Dice</h3>\n<p>Now <strong>live</strong>, <em>enjoy</em><br>see <code>/game/dice</code></p>\n' +
+        '<ul><li>one</li><li><a href="https://example.com/rules" target="_blank" rel="noopener">rules</a></li></ul>'
+    );
+    assert.equal(renderMarkdown('<img src=x onerror=alert(1)>'), '<p>&lt;img src=x onerror=alert(1)&gt;</p>');
+    assert.equal(renderMarkdown('[x](javascript:alert(1))'), '<p>[x](javascript:alert(1))</p>');
+  });
+});
+
+describe('session', () => {
+  it('restores a saved session only while its token is valid', async () => {
+    const player = await createPlayer(server.url, 40);
+    const saved = { sessionToken: player.token, waxUser: player.wallet, usingAnchor: '1' };
+
+    const restored = createClient({ baseUrl: server.url, storage: memoryStorage({ ...saved, sessionExpires: String(Date.now() + 60000) }) });
+    assert.equal(restored.session.wallet, player.wallet);
+    assert.equal(restored.session.walletType, 'anchor'); // set by pages from before walletType
+    assert.deepEqual(await restored.api.get(`/credits/${player.wallet}`), { wallet: player.wallet, credits: 40 });
+
+    const storage = memoryStorage({ ...saved, sessionExpires: String(Date.now() - 1) });
+    const expired = createClient({ baseUrl: server.url, storage });
+    assert.equal(expired.session.wallet, null);
+    assert.equal(storage.items.size, 0);
+  });
+});
+
+describe('api', () => {
+  it('throws typed errors', async () => {
+    const player = await createPlayer(server.url);
+    const { api, session } = client({ storage: memoryStorage({
+      sessionToken: player.token, sessionExpires: String(Date.now() + 60000), waxUser: player.wallet
+    }) });
+
+    const badRequest = await api.post('/game/start', {}).catch(err => err);
+    assert.ok(badRequest instanceof ApiError);
+    assert.ok(!(badRequest instanceof AuthError));
+    assert.equal(badRequest.status, 400);
+    assert.equal(badRequest.message, 'Missing parameters');
+
+    const forbidden = await api.get(`/credits/${randomWallet()}`).catch(err => err);
+    assert.equal(forbidden.status, 403);
+    assert.equal(session.wallet, player.wallet);
+
+    const offline = await createClient({ baseUrl: 'http://127.0.0.1:1', storage: memoryStorage() }).api.get('/chain/config').catch(err => err);
+    assert.ok(offline instanceof NetworkError);
+  });
+
+  it('logs out when the server no longer accepts the token', async () => {
+    const player = await createPlayer(server.url);
+    const { api, session } = client({ storage: memoryStorage({
+      sessionToken: `${player.token}x`, sessionExpires: String(Date.now() + 60000), waxUser: player.wallet
+    }) });
+    const changes = [];
+    session.onChange(s => changes.push(s.wallet));
+
+    const err = await api.get(`/credits/${player.wallet}`).catch(e => e);
+    assert.ok(err instanceof AuthError);
+    assert.equal(err.status, 401);
+    assert.equal(session.wallet, null);
+    assert.deepEqual(changes, [null]);
+  });
+});
+
+describe('dev chain wallet', () => {
+  it('logs in, deposits with a signed transfer and logs out', async () => {
+    const account = randomWallet();
+    const storage = memoryStorage();
+    const fourleaf = client({ storage, devChain: true, prompt: () => account });
+    assert.deepEqual(fourleaf.walletTypes(), ['dev']);
+    await assert.rejects(fourleaf.login('cloud'), WalletError);
+
+    assert.equal(await fourleaf.login('dev'), account);
+    assert.equal(fourleaf.session.wallet, account);
+    assert.equal(fourleaf.session.walletType, 'dev');
+    assert.equal(storage.getItem('waxUser'), account);
+
+    const { app_wallet, token } = await fourleaf.chainConfig();
+    assert.equal(app_wallet, APP_WALLET);
+    assert.deepEqual(await fourleaf.api.get(`/credits/${account}`), { wallet: account, credits: 0 });
+    const txid = await fourleaf.transfer({ to: app_wallet, quantity: formatKahel(2, token), memo: `deposit:${account}` });
+    assert.equal(typeof txid, 'string');
+
+    const deposit = await fourleaf.api.post('/convert/deposit', { kahel_amount: '2.00', txid });
+    assert.equal(deposit.status, 'credited');
+    assert.equal((await fourleaf.api.get(`/credits/${account}`)).credits, 2 * RATE);
+    await assert.rejects(fourleaf.transact([{ name: 'buyram', data: {} }]), WalletError);
+
+    fourleaf.logout();
+    assert.equal(fourleaf.session.wallet, null);
+    assert.equal(storage.items.size, 0);
+    await assert.rejects(fourleaf.api.get(`/credits/${account}`), AuthError);
+  });
+
+  it('stops when the account prompt is cancelled', async () => {
+    const fourleaf = client({ devChain: true, prompt: () => null });
+    await assert.rejects(fourleaf.login('dev'), { name: 'WalletError', message: 'Login cancelled' });
+    assert.equal(fourleaf.session.wallet, null);
+  });
+});
@@ -0,0 +1,383 @@
+// test/convert.test.js — /convert/* against the mock chain
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, request, createPlayer, store, chain } = require('./helpers');
+const crypto = require('crypto');
+const { getBalance, applyCredit } = require('../ledger');
+const withdrawals = require('../withdrawals');
+const watcher = require('../deposit-watcher');
+const deposits = require('../deposits');
+const { APP_WALLET, KAHEL_CONTRACT, RATE } = require('../config');
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server.close());
+
+const send = (from, quantity) =>
+  chain.transfer({ contract: KAHEL_CONTRACT, from, to: APP_WALLET, quantity, memo: `deposit:${from}` }).transaction_id;
+
+async function waitFor(check, timeoutMs = 3000) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await check();
+    if (value || Date.now() > deadline) return value;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+}
+
+describe('GET /credits/:wallet', () => {
+  it('requires the session\'s own wallet', async () => {
+    const player = await createPlayer(server.url, 25);
+    const other = await createPlayer(server.url);
+
+    assert.equal((await request(server.url, `/credits/${player.wallet}`)).status, 401);
+    assert.equal((await request(server.url, `/credits/${player.wallet}`, { token: other.token })).status, 403);
+
+    const res = await request(server.url, `/credits/${player.wallet}`, { token: player.token });
+    assert.deepEqual(res.body, { wallet: player.wallet, credits: 25 });
+  });
+});
+
+describe('POST /convert/deposit', () => {
+  it('credits an irreversible transfer once', async () => {
+    const player = await createPlayer(server.url);
+    const txid = send(player.wallet, '3.50 KAHEL');
+
+    const res = await request(server.url, '/convert/deposit', { token: player.token, body: { kahel_amount: '3.50', txid } });
+    assert.equal(res.status, 202);
+    assert.equal(res.body.status, 'credited');
+    assert.equal(res.body.added_credits, 3.5 * RATE);
+
+    const again = await request(server.url, '/convert/deposit', { token: player.token, body: { kahel_amount: '3.50', txid } });
+    assert.equal(again.status, 202);
+    assert.equal(await getBalance(player.wallet), 3.5 * RATE);
+
+    const status = await request(server.url, `/convert/deposit/${txid}`, { token: player.token });
+    assert.equal(status.body.status, 'credited');
+  });
+
+  it('will not let a second wallet claim the same txid', async () => {
+    const player = await createPlayer(server.url);
+    const thief = await createPlayer(server.url);
+    const txid = send(player.wallet, '1.00 KAHEL');
+    await request(server.url, '/convert/deposit', { token: player.token, body: { kahel_amount: 1, txid } });
+
+    const res = await request(server.url, '/convert/deposit', { token: thief.token, body: { kahel_amount: 1, txid } });
+    assert.equal(res.status, 409);
+    assert.equal(await getBalance(thief.wallet), 0);
+    assert.equal((await request(server.url, `/convert/deposit/${txid}`, { token: thief.token })).status, 404);
+  });
+
+  it('will not let a wallet claim a txid it did not send', async () => {
+    const victim = await createPlayer(server.url);
+    const attacker = await createPlayer(server.url);
+    const txid = send(victim.wallet, '2.00 KAHEL');
+
+    const squat = await request(server.url, '/convert/deposit', { token: attacker.token, body: { amount: 2, txid } });
+    assert.equal(squat.status, 400);
+    assert.equal(await store.deposits.get(txid), undefined);
+
+    const res = await request(server.url, '/convert/deposit', { token: victim.token, body: { amount: 2, txid } });
+    assert.equal(res.status, 202);
+    assert.ok(await waitFor(async () => (await getBalance(victim.wallet)) === 2 * RATE));
+    assert.equal(await getBalance(attacker.wallet), 0);
+  });
+
+  it('hands a squatted txid to its real sender once the squat is rejected', async () => {
+    const squat = async (attacker, txid) => {
+      // As if posted before the transaction reached history, when it couldn't be checked
+      await store.deposits.insert({
+        wallet: attacker.wallet, sender: attacker.wallet, txid, token: 'KAHEL', amount: 2, status: 'pending', credited: false, verified: false
+      });
+    };
+    const attacker = await createPlayer(server.url);
+
+    // The victim posts it themselves
+    const victim = await createPlayer(server.url);
+    const txid = send(victim.wallet, '2.00 KAHEL');
+    await squat(attacker, txid);
+    assert.equal((await request(server.url, '/convert/deposit', { token: victim.token, body: { amount: 2, txid } })).status, 409);
+    await request(server.url, `/convert/deposit/${txid}`, { token: attacker.token }); // verification rejects it
+    assert.equal((await store.deposits.get(txid)).status, 'rejected');
+    const res = await request(server.url, '/convert/deposit', { token: victim.token, body: { amount: 2, txid } });
+    assert.equal(res.status, 202);
+    assert.ok(await waitFor(async () => (await getBalance(victim.wallet)) === 2 * RATE));
+
+    // The watcher finds it
+    const quiet = await createPlayer(server.url);
+    const unseen = send(quiet.wallet, '2.00 KAHEL');
+    await squat(attacker, unseen);
+    await watcher.poll();
+    assert.equal((await store.deposits.get(unseen)).wallet, quiet.wallet);
+    assert.equal(await getBalance(quiet.wallet), 2 * RATE);
+    assert.equal(await getBalance(attacker.wallet), 0);
+  });
+
+  it('rejects a transfer that does not match the claimed amount', async () => {
+    const player = await createPlayer(server.url);
+    const txid = send(player.wallet, '1.00 KAHEL');
+
+    const res = await request(server.url, '/convert/deposit', { token: player.token, body: { kahel_amount: 100, txid } });
+    assert.equal(res.body.status, 'rejected');
+    assert.equal(await getBalance(player.wallet), 0);
+  });
+
+  it('keeps an unknown txid pending', async () => {
+    const player = await createPlayer(server.url);
+    const res = await request(server.url, '/convert/deposit', { token: player.token, body: { kahel_amount: 1, txid: 'f'.repeat(64) } });
+    assert.equal(res.status, 202);
+    assert.equal(res.body.status, 'pending');
+    assert.equal(res.body.verified, false);
+  });
+
+  it('never times a deposit out while chain history is unreachable', async () => {
+    const player = await createPlayer(server.url);
+    const txid = 'e'.repeat(64);
+    const longAgo = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+    await store.deposits.insert({
+      wallet: player.wallet, sender: player.wallet, txid, token: 'KAHEL', amount: 1, status: 'pending', credited: false, verified: false, created_at: longAgo
+    });
+
+    const getTransaction = chain.getTransaction;
+    chain.getTransaction = async () => { throw new Error('history node down'); };
+    try {
+      await deposits.processPendingDeposits();
+    } finally {
+      chain.getTransaction = getTransaction;
+    }
+    assert.equal((await store.deposits.get(txid)).status, 'pending');
+
+    // A definite "not found" still times it out
+    await deposits.processPendingDeposits();
+    assert.equal((await store.deposits.get(txid)).status, 'rejected');
+  });
+
+  it('leaves a deposit pending until its credit is in the ledger', async () => {
+    const player = await createPlayer(server.url);
+    const pending = txid => store.deposits.insert({
+      wallet: player.wallet, sender: player.wallet, txid, token: 'KAHEL', amount: 1, status: 'pending', credited: false, verified: false
+    });
+    const failed = send(player.wallet, '1.00 KAHEL');
+    await pending(failed);
+
+    const apply = store.ledger.apply;
+    store.ledger.apply = async () => { throw new Error('ledger unavailable'); };
+    try {
+      await deposits.processPendingDeposits();
+    } finally {
+      store.ledger.apply = apply;
+    }
+    assert.equal((await store.deposits.get(failed)).status, 'pending');
+    assert.equal(await getBalance(player.wallet), 0);
+
+    // Credited before a crash kept the row from being marked: finished without paying twice
+    const interrupted = send(player.wallet, '1.00 KAHEL');
+    await pending(interrupted);
+    await applyCredit(player.wallet, RATE, 'deposit', interrupted);
+
+    await deposits.processPendingDeposits();
+    assert.equal((await store.deposits.get(failed)).status, 'credited');
+    assert.equal((await store.deposits.get(interrupted)).status, 'credited');
+    assert.equal(await getBalance(player.wallet), 2 * RATE);
+  });
+
+  it('validates its input', async () => {
+    const player = await createPlayer(server.url);
+    assert.equal((await request(server.url, '/convert/deposit', { token: player.token, body: { txid: 'abc' } })).status, 400);
+    assert.equal((await request(server.url, '/convert/deposit', { token: player.token, body: { kahel_amount: -1, txid: 'abc' } })).status, 400);
+    // Finer than the token's precision
+    assert.equal((await request(server.url, '/convert/deposit', { token: player.token, body: { kahel_amount: 1.005, txid: 'abc' } })).status, 400);
+  });
+
+  it('credits the amount the server quoted', async () => {
+    const player = await createPlayer(server.url);
+    const quote = await request(server.url, '/convert/quote?token=KAHEL&amount=1.23');
+    assert.equal(quote.body.credits, 1.23 * RATE);
+
+    const txid = send(player.wallet, quote.body.quantity);
+    await request(server.url, '/convert/deposit', { token: player.token, body: { token: 'KAHEL', amount: quote.body.amount, txid } });
+    assert.ok(await waitFor(async () => (await getBalance(player.wallet)) === quote.body.credits));
+  });
+});
+
+describe('GET /convert/quote', () => {
+  const quote = query => request(server.url, `/convert/quote?${query}`);
+
+  it('quotes a deposit at the configured rate', async () => {
+    const res = await quote('token=KAHEL&amount=1.5');
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, {
+      type: 'deposit',
+      rate: RATE,
+      token: { contract: KAHEL_CONTRACT, symbol: 'KAHEL', precision: 2 },
+      amount: 1.5,
+      quantity: '1.50 KAHEL',
+      credits: 1.5 * RATE
+    });
+  });
+
+  it('rounds a withdrawal down to whole KAHEL units and charges only those', async () => {
+    const res = await quote(`credits=${2 * RATE + 0.37}`);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.type, 'withdraw');
+    assert.equal(res.body.credits_requested, 2 * RATE + 0.37);
+    assert.equal(res.body.amount, 2);
+    assert.equal(res.body.quantity, '2.00 KAHEL');
+    assert.equal(res.body.credits, 2 * RATE);
+  });
+
+  it('needs exactly one valid amount', async () => {
+    assert.equal((await quote('')).status, 400);
+    assert.equal((await quote('amount=1&credits=100')).status, 400);
+    assert.equal((await quote('amount=0.001')).status, 400);
+    assert.equal((await quote('token=NOPE&amount=1')).status, 400);
+    assert.equal((await quote('credits=1.001')).status, 400);
+    assert.equal((await quote('credits=abc')).status, 400);
+  });
+});
+
+describe('POST /convert/withdraw', () => {
+  const withdraw = (player, credits, key) => request(server.url, '/convert/withdraw', {
+    token: player.token,
+    headers: key ? { 'Idempotency-Key': key } : {},
+    body: { credits_to_use: credits }
+  });
+
+  it('requires an idempotency key and enough credits', async () => {
+    const player = await createPlayer(server.url, 100);
+    assert.equal((await withdraw(player, 100)).status, 400);
+    assert.equal((await withdraw(player, 0, 'k')).status, 400);
+
+    const res = await withdraw(player, 500, 'too-much');
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, 'Not enough credits');
+    assert.equal(await getBalance(player.wallet), 100);
+  });
+
+  it('queues once per key and sends the KAHEL on chain', async () => {
+    const player = await createPlayer(server.url, 300);
+    const before = await chain.getBalance(KAHEL_CONTRACT, player.wallet, 'KAHEL');
+
+    const first = await withdraw(player, 250, 'withdraw-1');
+    assert.equal(first.status, 202);
+    assert.equal(first.body.quantity, '2.50 KAHEL');
+
+    const retry = await withdraw(player, 250, 'withdraw-1');
+    assert.equal(retry.status, 200);
+    assert.equal(retry.body.id, first.body.id);
+    assert.equal(await getBalance(player.wallet), 50);
+
+    const confirmed = await waitFor(async () => {
+      const res = await request(server.url, `/withdrawals/${player.wallet}`, { token: player.token });
+      const row = res.body.withdrawals.find(w => w.id === first.body.id);
+      if (row && row.status === 'broadcasting') await withdrawals.processQueue();
+      return row && row.status === 'confirmed' && row;
+    });
+    assert.ok(confirmed, 'withdrawal was not confirmed');
+    assert.equal(await chain.getBalance(KAHEL_CONTRACT, player.wallet, 'KAHEL'), `${(parseFloat(before) + 2.5).toFixed(2)} KAHEL`);
+  });
+
+  it('never sends more KAHEL than the credits cover', async () => {
+    const player = await createPlayer(server.url, 100);
+
+    // 0.999 KAHEL worth used to round up to 1.00 KAHEL
+    const res = await withdraw(player, RATE - 0.01, 'round-down');
+    assert.equal(res.status, 202);
+    assert.equal(res.body.quantity, '0.99 KAHEL');
+    assert.equal(res.body.credits, 0.99 * RATE);
+    assert.equal(await getBalance(player.wallet), 100 - 0.99 * RATE);
+
+    const dust = await withdraw(player, 0.5, 'dust');
+    assert.equal(dust.status, 400);
+    assert.equal((await withdraw(player, 1.001, 'cents')).status, 400);
+  });
+
+  it('never sends a withdrawal whose debit did not go through', async () => {
+    const player = await createPlayer(server.url, 100);
+    const row = (id, minutesAgo) => store.withdrawals.insert({
+      id, wallet: player.wallet, idempotency_key: id, token: 'KAHEL', credits: 100, quantity: '1.00 KAHEL',
+      status: 'debiting', attempts: 0, created_at: new Date(Date.now() - minutesAgo * 60000).toISOString()
+    });
+
+    // Mid-request: the worker leaves it alone
+    const fresh = crypto.randomUUID();
+    await row(fresh, 0);
+    await withdrawals.processQueue();
+    assert.equal((await store.withdrawals.get(fresh)).status, 'debiting');
+
+    // Interrupted before the debit: rejected, never sent
+    const unpaid = crypto.randomUUID();
+    await row(unpaid, 5);
+    await withdrawals.processQueue();
+    const rejected = await store.withdrawals.get(unpaid);
+    assert.equal(rejected.status, 'rejected');
+    assert.equal(rejected.txid, undefined);
+
+    // Interrupted after the debit: queued and sent
+    const paid = crypto.randomUUID();
+    await row(paid, 5);
+    await applyCredit(player.wallet, -100, 'withdraw', paid);
+    await withdrawals.processQueue();
+    assert.equal((await store.withdrawals.get(paid)).status, 'requested');
+    await withdrawals.processQueue();
+    assert.ok((await store.withdrawals.get(paid)).txid);
+  });
+
+  it('does not refund while chain history is unreachable', async () => {
+    const player = await createPlayer(server.url, 100);
+    // Pushed long ago, well past its expiration and the grace period
+    const id = crypto.randomUUID();
+    await applyCredit(player.wallet, -100, 'withdraw', id);
+    await store.withdrawals.insert({
+      id, wallet: player.wallet, idempotency_key: id, token: 'KAHEL', credits: 100, quantity: '1.00 KAHEL', status: 'broadcasting',
+      attempts: 1, txid: 'd'.repeat(64), expires_at: new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString()
+    });
+
+    const getTransaction = chain.getTransaction;
+    chain.getTransaction = async () => { throw new Error('history node down'); };
+    try {
+      await withdrawals.processQueue();
+    } finally {
+      chain.getTransaction = getTransaction;
+    }
+    assert.equal((await store.withdrawals.get(id)).status, 'broadcasting');
+    assert.equal(await getBalance(player.wallet), 0);
+
+    // Once history answers that it never landed, the credits come back
+    await withdrawals.processQueue();
+    assert.equal((await store.withdrawals.get(id)).status, 'failed');
+    assert.equal(await getBalance(player.wallet), 100);
+  });
+
+  it('keeps an expired withdrawal open until its refund is in the ledger', async () => {
+    const player = await createPlayer(server.url, 100);
+    const expired = async () => {
+      const id = crypto.randomUUID();
+      await applyCredit(player.wallet, -50, 'withdraw', id);
+      await store.withdrawals.insert({
+        id, wallet: player.wallet, idempotency_key: id, token: 'KAHEL', credits: 50, quantity: '0.50 KAHEL', status: 'broadcasting',
+        attempts: 1, txid: crypto.randomBytes(32).toString('hex'), expires_at: new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString()
+      });
+      return id;
+    };
+    const failed = await expired();
+
+    const apply = store.ledger.apply;
+    store.ledger.apply = async () => { throw new Error('ledger unavailable'); };
+    try {
+      await withdrawals.processQueue();
+    } finally {
+      store.ledger.apply = apply;
+    }
+    assert.equal((await store.withdrawals.get(failed)).status, 'broadcasting');
+
+    // Refunded before a crash kept the row from being marked: finished without paying twice
+    const interrupted = await expired();
+    await applyCredit(player.wallet, 50, 'withdraw_refund', interrupted);
+
+    await withdrawals.processQueue();
+    assert.equal((await store.withdrawals.get(failed)).status, 'failed');
+    assert.equal((await store.withdrawals.get(interrupted)).status, 'failed');
+    assert.equal(await getBalance(player.wallet), 100);
+  });
+});
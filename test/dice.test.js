@@ -0,0 +1,166 @@
+// test/dice.test.js — /game/dice/config, /game/dice/roll and /game/dice/verify
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, request, createPlayer, store } = require('./helpers');
+const dice = require('../dice');
+const fairness = require('../fairness');
+const { deriveDiceRoll } = require('../provably-fair');
+const { getBalance } = require('../ledger');
+const money = require('../money');
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server.close());
+
+const post = (path, body, token) => request(server.url, path, { body, token });
+const roll = (player, body) => post('/game/dice/roll', { bet_amount: 10, ...body }, player.token);
+
+// The roll the player's next game will get
+async function nextRoll(player) {
+  const seed = await fairness.getActiveSeed(player.wallet);
+  return deriveDiceRoll(seed.server_seed, seed.client_seed, seed.nonce + 1);
+}
+
+// A 97.99% bet that wins on `rolled`, or a 2% bet that loses on it
+function targetFor(rolled, win) {
+  if (win) return rolled < 98 ? { target: 98, direction: 'under' } : { target: 2, direction: 'over' };
+  return rolled <= 98 ? { target: 98, direction: 'over' } : { target: 2, direction: 'under' };
+}
+
+describe('GET /game/dice/config', () => {
+  it('lists the win chance range, house edge and payout cap', async () => {
+    const res = await request(server.url, '/game/dice/config');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.house_edge, 0.01);
+    assert.equal(res.body.min_chance, 0.01);
+    assert.equal(res.body.max_chance, 0.98);
+    assert.deepEqual(res.body.directions, ['over', 'under']);
+  });
+});
+
+describe('dice odds', () => {
+  it('pays the inverse of the win chance less the house edge', () => {
+    for (const [target, direction, winning] of [[50, 'over', 5000], [50, 'under', 5000], [2, 'over', 9800], [1.5, 'under', 150], [98.5, 'over', 150]]) {
+      const { winChance, multiplier } = dice.odds(target, direction);
+      assert.equal(winChance, winning / 10001);
+      // Rounded to 4 decimals, so the return to player is 99% to within that rounding
+      assert.ok(Math.abs(winChance * multiplier - 0.99) < 0.0001 * winChance + 1e-12, `${direction} ${target}`);
+    }
+  });
+
+  it('compares whole hundredths, so the target itself never wins', () => {
+    assert.equal(dice.isWin(50, 50, 'over'), false);
+    assert.equal(dice.isWin(50.01, 50, 'over'), true);
+    assert.equal(dice.isWin(50, 50, 'under'), false);
+    assert.equal(dice.isWin(49.99, 50, 'under'), true);
+  });
+});
+
+describe('POST /game/dice/roll', () => {
+  it('requires a session', async () => {
+    const res = await post('/game/dice/roll', { bet_amount: 10, target: 50 });
+    assert.equal(res.status, 401);
+  });
+
+  it('rejects bad targets, directions and bets without touching the balance', async () => {
+    const player = await createPlayer(server.url, 100);
+    const cases = [
+      { target: undefined },
+      { target: 50, direction: 'sideways' },
+      { target: 100.01 },
+      { target: 50.005 },
+      { target: 1, direction: 'over' },
+      { target: 0.5, direction: 'under' },
+      { target: 50, bet_amount: -1 },
+      { target: 50, bet_amount: 'ten' },
+      { target: 98.5, direction: 'over', bet_amount: 20000 },
+      { target: 50, bet_amount: 500 }
+    ];
+    for (const body of cases) {
+      const res = await roll(player, body);
+      assert.equal(res.status, 400, JSON.stringify(body));
+    }
+    assert.equal(await getBalance(player.wallet), 100);
+    assert.deepEqual(await store.games.find({ wallet: player.wallet }), []);
+  });
+
+  it('pays bet x multiplier on a winning roll', async () => {
+    const player = await createPlayer(server.url, 100);
+    const rolled = await nextRoll(player);
+    const { target, direction } = targetFor(rolled, true);
+
+    const res = await roll(player, { target, direction });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.equal(res.body.roll, rolled);
+    assert.equal(res.body.won, true);
+    const { multiplier } = dice.odds(target, direction);
+    assert.equal(res.body.multiplier, multiplier);
+    // bet x multiplier, rounded down to the cent
+    const paid = money.payout(10, multiplier);
+    assert.ok(paid <= 10 * multiplier && paid > 10 * multiplier - 0.01);
+    assert.equal(res.body.payout, paid);
+    assert.equal(res.body.totalCredits, money.sum([90, paid]));
+    assert.equal(await getBalance(player.wallet), money.sum([90, paid]));
+    assert.match(res.body.server_seed_hash, /^[0-9a-f]{64}$/);
+
+    const game = await store.games.get(res.body.gameId);
+    assert.equal(game.game, 'dice');
+    assert.equal(game.status, 'won');
+    assert.equal(game.payout, paid);
+  });
+
+  it('keeps the bet on a losing roll', async () => {
+    const player = await createPlayer(server.url, 100);
+    const rolled = await nextRoll(player);
+
+    const res = await roll(player, targetFor(rolled, false));
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.equal(res.body.roll, rolled);
+    assert.equal(res.body.won, false);
+    assert.equal(res.body.payout, 0);
+    assert.equal(await getBalance(player.wallet), 90);
+    assert.equal((await store.games.get(res.body.gameId)).status, 'lost');
+  });
+
+  it('shows up in game history next to Mines', async () => {
+    const player = await createPlayer(server.url, 100);
+    await post('/game/start', { bet_amount: 10, bombCount: 3 }, player.token);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const rolled = await nextRoll(player);
+    const { body } = await roll(player, targetFor(rolled, true));
+
+    const all = await request(server.url, `/history/games/${player.wallet}`, { token: player.token });
+    assert.deepEqual(all.body.items.map(g => g.game), ['dice', 'mines']);
+
+    const only = await request(server.url, `/history/games/${player.wallet}?game=dice&status=won`, { token: player.token });
+    assert.equal(only.body.items.length, 1);
+    const [entry] = only.body.items;
+    assert.equal(entry.gameId, body.gameId);
+    assert.equal(entry.roll, rolled);
+    assert.equal(entry.profit, money.sum([body.payout, -10]));
+
+    const bad = await request(server.url, `/history/games/${player.wallet}?game=poker`, { token: player.token });
+    assert.equal(bad.status, 400);
+  });
+});
+
+describe('POST /game/dice/verify', () => {
+  it('recomputes a roll once its server seed is revealed', async () => {
+    const player = await createPlayer(server.url, 100);
+    const { body } = await roll(player, { target: 50 });
+
+    const early = await post('/game/dice/verify', { gameId: body.gameId });
+    assert.equal(early.status, 400);
+
+    const rotated = await post('/fairness/rotate', {}, player.token);
+    assert.equal(rotated.status, 200);
+
+    const res = await post('/game/dice/verify', { gameId: body.gameId });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.valid, true);
+    assert.equal(res.body.roll, body.roll);
+
+    // Mines verification doesn't apply to dice games
+    assert.equal((await post('/fairness/verify', { gameId: body.gameId })).status, 400);
+  });
+});
@@ -0,0 +1,584 @@
+// test/game.test.js — /game/start, /game/click, /game/cashout and /game/auto
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startServer, request, createPlayer, store } = require('./helpers');
+const mines = require('../mines');
+const gameExpiry = require('../game-expiry');
+const engine = require('../game-engine');
+const fairness = require('../fairness');
+const { deriveMinePositions } = require('../provably-fair');
+const { applyCredit, getBalance } = require('../ledger');
+const money = require('../money');
+const { GAME_IDLE_TIMEOUT_MS } = require('../config');
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server.close());
+
+const post = (path, body, token) => request(server.url, path, { body, token });
+
+async function startGame(player, bet = 10, bombCount = 3, boardSize = 5) {
+  const res = await post('/game/start', { bet_amount: bet, bombCount, boardSize }, player.token);
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  return store.games.get(res.body.gameId);
+}
+
+function safeTiles(game) {
+  return Array.from({ length: game.total_tiles }, (_, i) => i).filter(i => !game.mine_positions.includes(i));
+}
+
+// Independent of mines.js: C(tiles, k) / C(tiles - bombs, k), less the edge, in cents.
+// Float error can tip an exact half cent either way, so results may differ by one cent.
+function expectedMultiplier(bombs, safeClicks, tiles = 25) {
+  const choose = (n, k) => {
+    let result = 1;
+    for (let i = 0; i < k; i++) result = result * (n - i) / (i + 1);
+    return result;
+  };
+  const fair = Math.min(choose(tiles, safeClicks) / choose(tiles - bombs, safeClicks), 1e12);
+  return Number((fair * 0.965).toFixed(2));
+}
+
+describe('GET /game/config', () => {
+  it('lists board sizes with their bomb limits and the payout caps', async () => {
+    const res = await request(server.url, '/game/config');
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.board_sizes.map(b => b.size), [3, 4, 5, 6, 7, 8]);
+    assert.deepEqual(res.body.board_sizes.find(b => b.size === 8), { size: 8, tiles: 64, min_bombs: 1, max_bombs: 63 });
+    assert.equal(res.body.default_size, 5);
+    assert.equal(res.body.house_edge, 0.035);
+    assert.equal(res.body.max_payout, mines.MAX_PAYOUT);
+  });
+});
+
+describe('POST /game/start', () => {
+  it('requires a session', async () => {
+    const res = await post('/game/start', { bet_amount: 10, bombCount: 3 });
+    assert.equal(res.status, 401);
+  });
+
+  it('accepts 1 to 24 bombs only', async () => {
+    const player = await createPlayer(server.url, 1000);
+    for (const bombCount of [0, 25, 30, -1, 2.5, 'x']) {
+      const res = await post('/game/start', { bet_amount: 1, bombCount }, player.token);
+      assert.equal(res.status, 400, `bombCount ${bombCount}`);
+    }
+    for (const bombCount of [1, 24]) {
+      const res = await post('/game/start', { bet_amount: 1, bombCount }, player.token);
+      assert.equal(res.status, 200, `bombCount ${bombCount}`);
+      const game = await store.games.get(res.body.gameId);
+      assert.equal(game.mine_positions.length, bombCount);
+    }
+  });
+
+  it('plays on any configured board size', async () => {
+    const player = await createPlayer(server.url, 1000);
+    for (const boardSize of [0, 2, 9, 'big']) {
+      const res = await post('/game/start', { bet_amount: 1, bombCount: 1, boardSize }, player.token);
+      assert.equal(res.status, 400, `boardSize ${boardSize}`);
+    }
+    assert.equal((await post('/game/start', { bet_amount: 1, bombCount: 9, boardSize: 3 }, player.token)).status, 400);
+
+    const res = await post('/game/start', { bet_amount: 1, bombCount: 63, boardSize: 8 }, player.token);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.total_tiles, 64);
+    const game = await store.games.get(res.body.gameId);
+    assert.equal(game.mine_positions.length, 63);
+    assert.ok(game.mine_positions.every(i => i >= 0 && i < 64));
+  });
+
+  it('rejects bets that could never be paid under the payout cap', async () => {
+    const player = await createPlayer(server.url, mines.MAX_PAYOUT);
+    const res = await post('/game/start', { bet_amount: mines.MAX_PAYOUT, bombCount: 1 }, player.token);
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, 'Bet exceeds the maximum payout');
+  });
+
+  it('rejects bets that are not positive numbers', async () => {
+    const player = await createPlayer(server.url, 1000);
+    for (const bet_amount of [0, -5, 'abc', null]) {
+      const res = await post('/game/start', { bet_amount, bombCount: 3 }, player.token);
+      assert.equal(res.status, 400, `bet ${bet_amount}`);
+    }
+    assert.equal(await getBalance(player.wallet), 1000);
+  });
+
+  it('rejects bets above the balance without touching it', async () => {
+    const player = await createPlayer(server.url, 50);
+    const res = await post('/game/start', { bet_amount: 51, bombCount: 3 }, player.token);
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, 'Not enough credits');
+    assert.equal(await getBalance(player.wallet), 50);
+  });
+
+  it('escrows the bet and commits to the seed', async () => {
+    const player = await createPlayer(server.url, 100);
+    const res = await post('/game/start', { bet_amount: 40, bombCount: 3 }, player.token);
+    assert.equal(res.status, 200);
+    assert.match(res.body.server_seed_hash, /^[0-9a-f]{64}$/);
+    assert.equal(await getBalance(player.wallet), 60);
+  });
+});
+
+describe('POST /game/click', () => {
+  it('only lets the owner click', async () => {
+    const owner = await createPlayer(server.url, 100);
+    const other = await createPlayer(server.url, 100);
+    const game = await startGame(owner);
+
+    const res = await post('/game/click', { gameId: game.game_id, tileIndex: safeTiles(game)[0] }, other.token);
+    assert.equal(res.status, 403);
+  });
+
+  it('rejects out-of-range and already revealed tiles', async () => {
+    const player = await createPlayer(server.url, 100);
+    const game = await startGame(player);
+    const tile = safeTiles(game)[0];
+
+    for (const tileIndex of [-1, 25, 1.5]) {
+      const res = await post('/game/click', { gameId: game.game_id, tileIndex }, player.token);
+      assert.equal(res.status, 400, `tileIndex ${tileIndex}`);
+    }
+
+    assert.equal((await post('/game/click', { gameId: game.game_id, tileIndex: tile }, player.token)).status, 200);
+    const again = await post('/game/click', { gameId: game.game_id, tileIndex: tile }, player.token);
+    assert.equal(again.status, 400);
+    assert.equal(again.body.error, 'Tile already revealed');
+  });
+
+  it('ends the game on a mine and reveals the board', async () => {
+    const player = await createPlayer(server.url, 100);
+    const game = await startGame(player);
+
+    const res = await post('/game/click', { gameId: game.game_id, tileIndex: game.mine_positions[0] }, player.token);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.result, 'mine');
+    assert.equal(res.body.gameOver, true);
+    assert.deepEqual(res.body.mine_positions, game.mine_positions);
+    assert.equal((await store.games.get(game.game_id)).status, 'lost');
+
+    const after = await post('/game/click', { gameId: game.game_id, tileIndex: safeTiles(game)[0] }, player.token);
+    assert.equal(after.status, 400);
+    assert.equal(await getBalance(player.wallet), 90);
+  });
+
+  it('pays the expected multiplier on smaller and larger boards', async () => {
+    const player = await createPlayer(server.url, 1000);
+
+    for (const [boardSize, bombs] of [[3, 2], [8, 10]]) {
+      const game = await startGame(player, 1, bombs, boardSize);
+      const tiles = safeTiles(game).slice(0, 5);
+      for (let i = 0; i < tiles.length; i++) {
+        const res = await post('/game/click', { gameId: game.game_id, tileIndex: tiles[i] }, player.token);
+        const expected = expectedMultiplier(bombs, i + 1, boardSize * boardSize);
+        assert.ok(Math.abs(res.body.multiplier - expected) <= 0.0100001, `${boardSize}x${boardSize}: ${res.body.multiplier} vs ${expected}`);
+      }
+    }
+  });
+
+  it('stops a pick that would push the payout over the cap', async () => {
+    const bet = Math.floor(mines.MAX_PAYOUT / 10);
+    const player = await createPlayer(server.url, bet);
+    const game = await startGame(player, bet, 24);
+
+    // One safe tile on a 24-bomb board pays ~24x
+    const res = await post('/game/click', { gameId: game.game_id, tileIndex: safeTiles(game)[0] }, player.token);
+    assert.equal(res.status, 400);
+    assert.equal((await store.games.get(game.game_id)).revealed.length, 0);
+  });
+
+  it('pays the expected multiplier after every safe click, for every bomb count', async () => {
+    const player = await createPlayer(server.url, 1000);
+
+    for (let bombs = 1; bombs <= 24; bombs++) {
+      const game = await startGame(player, 1, bombs);
+      let clicks = 0;
+      for (const tileIndex of safeTiles(game)) {
+        const res = await post('/game/click', { gameId: game.game_id, tileIndex }, player.token);
+        clicks++;
+        const expected = expectedMultiplier(bombs, clicks);
+        // Mid-board payouts on busy boards pass the cap even for a 1 credit bet
+        if (expected > mines.MAX_PAYOUT) {
+          assert.equal(res.status, 400, `${bombs} bombs, ${clicks} clicks should hit the payout cap`);
+          break;
+        }
+        assert.equal(res.body.result, 'safe');
+        assert.ok(Math.abs(res.body.multiplier - expected) <= 0.0100001,
+          `${bombs} bombs, ${clicks} clicks: ${res.body.multiplier} vs ${expected}`);
+      }
+    }
+  });
+});
+
+describe('GET /game/active/:wallet', () => {
+  it('returns the running game without its mines', async () => {
+    const player = await createPlayer(server.url, 100);
+    assert.deepEqual((await request(server.url, `/game/active/${player.wallet}`, { token: player.token })).body, { game: null });
+
+    const game = await startGame(player, 10, 3, 6);
+    const tile = safeTiles(game)[0];
+    await post('/game/click', { gameId: game.game_id, tileIndex: tile }, player.token);
+
+    const res = await request(server.url, `/game/active/${player.wallet}`, { token: player.token });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.game.gameId, game.game_id);
+    assert.deepEqual(res.body.game.revealed, [tile]);
+    assert.equal(res.body.game.board_size, 6);
+    assert.equal(res.body.game.bombs, 3);
+    assert.equal(res.body.game.multiplier, mines.multiplier(3, 1, { totalTiles: 36 }));
+    assert.equal(res.body.game.next_multiplier, mines.multiplier(3, 2, { totalTiles: 36 }));
+    assert.equal(res.body.game.mine_positions, undefined);
+    assert.ok(!JSON.stringify(res.body).includes('mine_positions'));
+  });
+
+  it('is private to the session\'s wallet', async () => {
+    const player = await createPlayer(server.url, 100);
+    const other = await createPlayer(server.url);
+    await startGame(player);
+    const res = await request(server.url, `/game/active/${player.wallet}`, { token: other.token });
+    assert.equal(res.status, 403);
+  });
+
+  it('lets the game continue and cash out after a resume', async () => {
+    const player = await createPlayer(server.url, 100);
+    const game = await startGame(player, 10, 3);
+    const { body } = await request(server.url, `/game/active/${player.wallet}`, { token: player.token });
+
+    const click = await post('/game/click', { gameId: body.game.gameId, tileIndex: safeTiles(game)[0] }, player.token);
+    assert.equal(click.body.result, 'safe');
+    const cashout = await post('/game/cashout', { gameId: body.game.gameId }, player.token);
+    assert.equal(cashout.status, 200);
+  });
+});
+
+describe('seed rotation while a game opens', () => {
+  it('voids and refunds a game stored after its seed was revealed', async () => {
+    const player = await createPlayer(server.url, 100);
+    const insert = store.games.insert;
+    let rotated;
+    store.games.insert = async fields => {
+      store.games.insert = insert;
+      rotated = await post('/fairness/rotate', {}, player.token);
+      return insert.call(store.games, fields);
+    };
+    let res;
+    try {
+      res = await post('/game/start', { bet_amount: 10, bombCount: 3 }, player.token);
+    } finally {
+      store.games.insert = insert;
+    }
+
+    assert.equal(rotated.status, 200);
+    assert.equal(res.status, 409);
+    const [game] = await store.games.find({ wallet: player.wallet });
+    assert.equal(game.status, 'voided');
+    assert.equal(game.server_seed_hash, rotated.body.previous.server_seed_hash);
+    assert.equal(await getBalance(player.wallet), 100);
+    assert.equal((await request(server.url, `/game/active/${player.wallet}`, { token: player.token })).body.game, null);
+  });
+
+  it('voids a game the rotation finds still opening', async () => {
+    const player = await createPlayer(server.url, 100);
+    const seed = await fairness.nextRound(player.wallet);
+    const gameId = crypto.randomUUID();
+    await applyCredit(player.wallet, -10, 'game_bet', gameId);
+    await store.games.insert({
+      game_id: gameId, game: 'mines', wallet: player.wallet, bet: 10, status: 'opening', server_seed_id: seed.id, nonce: seed.nonce
+    });
+
+    assert.equal((await post('/fairness/rotate', {}, player.token)).status, 200);
+    assert.equal((await store.games.get(gameId)).status, 'voided');
+    assert.equal(await getBalance(player.wallet), 100);
+  });
+});
+
+describe('idle game expiry', () => {
+  it('cashes out idle games at their multiplier and refunds untouched ones', async () => {
+    const player = await createPlayer(server.url, 100);
+    const played = await startGame(player, 10, 3);
+    await post('/game/click', { gameId: played.game_id, tileIndex: safeTiles(played)[0] }, player.token);
+    const untouched = await startGame(player, 20, 3);
+    assert.equal(await getBalance(player.wallet), 70);
+
+    // Not idle yet
+    await gameExpiry.sweep(Date.now());
+    assert.equal((await store.games.get(played.game_id)).status, 'active');
+
+    await gameExpiry.sweep(Date.now() + GAME_IDLE_TIMEOUT_MS + 1000);
+    assert.equal((await store.games.get(played.game_id)).status, 'expired');
+    assert.equal((await store.games.get(untouched.game_id)).status, 'expired');
+    assert.equal(await getBalance(player.wallet), 70 + 10 * mines.multiplier(3, 1) + 20);
+
+    // Settled once; the games are closed to further play
+    await gameExpiry.sweep(Date.now() + GAME_IDLE_TIMEOUT_MS + 1000);
+    assert.equal(await getBalance(player.wallet), 70 + 10 * mines.multiplier(3, 1) + 20);
+    assert.equal((await post('/game/cashout', { gameId: played.game_id }, player.token)).status, 400);
+  });
+
+  it('works through more idle games than one query returns', async () => {
+    const player = await createPlayer(server.url, 250);
+    const idleSince = new Date(Date.now() - GAME_IDLE_TIMEOUT_MS - 1000).toISOString();
+    for (let i = 0; i < 250; i++) {
+      const gameId = crypto.randomUUID();
+      await applyCredit(player.wallet, -1, 'game_bet', gameId);
+      await store.games.insert({
+        game_id: gameId, game: 'mines', wallet: player.wallet, bet: 1, status: 'active', safe_clicks: 0, last_action_at: idleSince
+      });
+    }
+
+    await gameExpiry.sweep();
+    assert.deepEqual(await store.games.find({ wallet: player.wallet, status: 'active' }), []);
+    assert.equal(await getBalance(player.wallet), 250);
+  });
+});
+
+describe('POST /game/cashout', () => {
+  it('pays bet x multiplier exactly once', async () => {
+    const player = await createPlayer(server.url, 100);
+    const game = await startGame(player, 10, 3);
+    const tiles = safeTiles(game);
+    await post('/game/click', { gameId: game.game_id, tileIndex: tiles[0] }, player.token);
+    await post('/game/click', { gameId: game.game_id, tileIndex: tiles[1] }, player.token);
+
+    const [first, second] = await Promise.all([
+      post('/game/cashout', { gameId: game.game_id }, player.token),
+      post('/game/cashout', { gameId: game.game_id }, player.token)
+    ]);
+    const statuses = [first.status, second.status].sort();
+    assert.deepEqual(statuses, [200, 400]);
+
+    const paid = first.status === 200 ? first.body : second.body;
+    assert.equal(paid.winnings, money.payout(10, mines.multiplier(3, 2)));
+    assert.equal(await getBalance(player.wallet), money.sum([90, paid.winnings]));
+
+    const late = await post('/game/cashout', { gameId: game.game_id }, player.token);
+    assert.equal(late.status, 400);
+  });
+
+  it('pays a cash-out whose credit failed on a later pass, once', async () => {
+    const player = await createPlayer(server.url, 100);
+    const game = await startGame(player, 10, 3);
+    await post('/game/click', { gameId: game.game_id, tileIndex: safeTiles(game)[0] }, player.token);
+
+    const apply = store.ledger.apply;
+    store.ledger.apply = async () => { throw new Error('ledger unavailable'); };
+    try {
+      assert.equal((await post('/game/cashout', { gameId: game.game_id }, player.token)).status, 500);
+    } finally {
+      store.ledger.apply = apply;
+    }
+    assert.equal((await store.games.get(game.game_id)).status, 'cashedOut');
+    assert.equal(await getBalance(player.wallet), 90);
+
+    // Left to settle()'s own credit for a minute, then swept
+    await engine.payUnpaid(Date.now());
+    assert.equal(await getBalance(player.wallet), 90);
+    await engine.payUnpaid(Date.now() + 2 * 60 * 1000);
+    await engine.payUnpaid(Date.now() + 2 * 60 * 1000);
+    assert.equal(await getBalance(player.wallet), money.sum([90, money.payout(10, mines.multiplier(3, 1))]));
+  });
+
+  it('opens only once the multiplier reaches the minimum', async () => {
+    // One mine on 8x8: ×0.98 and ×1.00 after the first two safe tiles, ×1.01 after the third
+    const player = await createPlayer(server.url, 100);
+    const game = await startGame(player, 10, 1, 8);
+    const tiles = safeTiles(game);
+
+    for (const tile of tiles.slice(0, 2)) {
+      await post('/game/click', { gameId: game.game_id, tileIndex: tile }, player.token);
+      const early = await post('/game/cashout', { gameId: game.game_id }, player.token);
+      assert.equal(early.status, 400);
+      assert.equal(early.body.min_multiplier, mines.MIN_MULTIPLIER);
+    }
+    await post('/game/click', { gameId: game.game_id, tileIndex: tiles[2] }, player.token);
+    const res = await post('/game/cashout', { gameId: game.game_id }, player.token);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.winnings, 10.1);
+  });
+
+  it('refuses winnings above the payout cap', async () => {
+    const player = await createPlayer(server.url, 100);
+    const game = await startGame(player, 10, 3);
+    // As if operators lowered MINES_MAX_PAYOUT while the game was running
+    await store.games.update(game.game_id, { multiplier: mines.MAX_PAYOUT });
+
+    const res = await post('/game/cashout', { gameId: game.game_id }, player.token);
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, 'Winnings exceed the maximum payout');
+    assert.equal(await getBalance(player.wallet), 90);
+  });
+
+  it('refuses to cash out someone else\'s or a lost game', async () => {
+    const owner = await createPlayer(server.url, 100);
+    const other = await createPlayer(server.url, 100);
+    const game = await startGame(owner);
+
+    assert.equal((await post('/game/cashout', { gameId: game.game_id }, other.token)).status, 400);
+
+    await post('/game/click', { gameId: game.game_id, tileIndex: game.mine_positions[0] }, owner.token);
+    assert.equal((await post('/game/cashout', { gameId: game.game_id }, owner.token)).status, 400);
+    assert.equal(await getBalance(owner.wallet), 90);
+  });
+});
+
+describe('POST /game/auto', () => {
+  const auto = (player, body) => post('/game/auto', { bet_amount: 10, bombCount: 3, ...body }, player.token);
+
+  // Mine positions of the player's next `rounds` games on a 5x5 board
+  async function upcomingMines(player, bombs, rounds) {
+    const seed = await fairness.getActiveSeed(player.wallet);
+    return Promise.all(Array.from({ length: rounds }, (_, i) =>
+      deriveMinePositions(seed.server_seed, seed.client_seed, seed.nonce + 1 + i, bombs)));
+  }
+
+  // A tile that is (or isn't) a mine on each of the given boards
+  function tileWhere(boards, isMine) {
+    return Array.from({ length: 25 }, (_, i) => i).find(i => boards.every(b => b.includes(i) === isMine));
+  }
+
+  // Every round must match its own board, and the balance must match the summary
+  async function assertConsistent(player, startCredits, body) {
+    for (const round of body.rounds) {
+      const game = await store.games.get(round.gameId);
+      assert.equal(game.status, round.result === 'won' ? 'cashedOut' : 'lost');
+      assert.equal(Number(game.bet), round.bet);
+      const hitMine = round.revealed.some(i => round.mine_positions.includes(i));
+      assert.equal(hitMine, round.result === 'lost');
+      if (round.result === 'won') assert.equal(round.payout, money.payout(round.bet, round.multiplier));
+    }
+    const profit = money.sum(body.rounds.flatMap(r => [r.payout, -r.bet]));
+    assert.equal(body.profit, profit);
+    assert.equal(await getBalance(player.wallet), money.sum([startCredits, profit]));
+    assert.equal(body.balance, await getBalance(player.wallet));
+  }
+
+  it('validates picks, rounds, targets and bet adjustments', async () => {
+    const player = await createPlayer(server.url, 100);
+    const cases = [
+      {},
+      { tiles: [] },
+      { tiles: [0, 0] },
+      { tiles: [25] },
+      { tiles: Array.from({ length: 23 }, (_, i) => i) },
+      { pick_count: 0 },
+      { pick_count: 23 },
+      { pick_count: 2, rounds: 0 },
+      { pick_count: 2, rounds: 1000 },
+      { pick_count: 2, target_multiplier: 1 },
+      { pick_count: 2, stop_on_loss: -5 },
+      { pick_count: 2, on_win: { action: 'double' } },
+      { pick_count: 2, on_loss: { action: 'increase', percent: -10 } },
+      { bombCount: 1, boardSize: 8, pick_count: 2 } // cash-out opens after 3 safe tiles
+    ];
+    for (const body of cases) {
+      const res = await auto(player, body);
+      assert.equal(res.status, 400, JSON.stringify(body));
+    }
+    assert.equal(await getBalance(player.wallet), 100);
+    assert.deepEqual(await store.games.find({ wallet: player.wallet }), []);
+  });
+
+  it('reveals the chosen tiles in order and cashes out at the target', async () => {
+    const player = await createPlayer(server.url, 1000);
+    const res = await auto(player, { bombCount: 1, tiles: [0, 1, 2, 3, 4], target_multiplier: 1.05, rounds: 5 });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.equal(res.body.rounds.length, 5);
+    assert.equal(res.body.stopped, 'completed');
+
+    for (const round of res.body.rounds) {
+      // One bomb: 1.01 after the first pick, 1.05 after the second
+      const picked = round.result === 'won' ? [0, 1] : [0, 1].slice(0, round.revealed.length);
+      assert.deepEqual(round.revealed, picked);
+      if (round.result === 'won') assert.equal(round.multiplier, mines.multiplier(1, 2));
+    }
+    await assertConsistent(player, 1000, res.body);
+  });
+
+  it('reveals N random tiles on the chosen board size', async () => {
+    const player = await createPlayer(server.url, 1000);
+    const res = await auto(player, { bombCount: 1, boardSize: 3, pick_count: 3, rounds: 10 });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.equal(res.body.rounds.length, 10);
+
+    for (const round of res.body.rounds) {
+      assert.ok(round.revealed.every(i => i >= 0 && i < 9));
+      assert.equal(new Set(round.revealed).size, round.revealed.length);
+      if (round.result === 'won') {
+        assert.equal(round.revealed.length, 3);
+        assert.equal(round.multiplier, mines.multiplier(1, 3, { totalTiles: 9 }));
+      }
+    }
+    await assertConsistent(player, 1000, res.body);
+  });
+
+  it('stops at the loss limit and at the profit target', async () => {
+    // Three losses in a row reach a 25 credit loss limit
+    const loser = await createPlayer(server.url, 1000);
+    const mined = tileWhere(await upcomingMines(loser, 24, 3), true);
+    const lost = await auto(loser, { bombCount: 24, tiles: [mined], rounds: 50, stop_on_loss: 25 });
+    assert.equal(lost.status, 200);
+    assert.equal(lost.body.stopped, 'loss_limit');
+    assert.equal(lost.body.rounds.length, 3);
+    assert.equal(lost.body.profit, -30);
+    await assertConsistent(loser, 1000, lost.body);
+
+    // Three 1.01x wins reach a 0.25 credit profit target
+    const winner = await createPlayer(server.url, 1000);
+    const safe = tileWhere(await upcomingMines(winner, 1, 3), false);
+    const won = await auto(winner, { bombCount: 1, tiles: [safe], rounds: 50, stop_on_profit: 0.25 });
+    assert.equal(won.status, 200);
+    assert.equal(won.body.stopped, 'profit_target');
+    assert.equal(won.body.rounds.length, 3);
+    assert.ok(won.body.rounds.every(r => r.result === 'won'));
+    await assertConsistent(winner, 1000, won.body);
+  });
+
+  it('raises the bet after a loss and resets it after a win', async () => {
+    const player = await createPlayer(server.url, 100000);
+    const res = await auto(player, {
+      bombCount: 12,
+      pick_count: 1,
+      rounds: 8,
+      on_loss: { action: 'increase', percent: 50 },
+      on_win: { action: 'reset' }
+    });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+
+    const rounds = res.body.rounds;
+    assert.equal(rounds[0].bet, 10);
+    for (let i = 1; i < rounds.length; i++) {
+      // Raised bets are rounded to the cent
+      const expected = rounds[i - 1].result === 'won' ? 10 : money.fromUnits(money.toUnits(rounds[i - 1].bet * 1.5));
+      assert.equal(rounds[i].bet, expected);
+    }
+    await assertConsistent(player, 100000, res.body);
+  });
+
+  it('ends the run when the balance can no longer cover the bet', async () => {
+    const player = await createPlayer(server.url, 25);
+    const mined = tileWhere(await upcomingMines(player, 24, 2), true);
+    const res = await auto(player, { bombCount: 24, tiles: [mined], rounds: 10 });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.rounds.length, 2);
+    assert.equal(res.body.stopped, 'insufficient_credits');
+    await assertConsistent(player, 25, res.body);
+
+    const broke = await createPlayer(server.url, 5);
+    const refused = await auto(broke, { pick_count: 1 });
+    assert.equal(refused.status, 400);
+    assert.equal(refused.body.error, 'Not enough credits');
+    assert.equal(refused.body.code, 'INSUFFICIENT_CREDITS');
+  });
+
+  it('ends the run when a raised bet would break the payout cap', async () => {
+    const player = await createPlayer(server.url, mines.MAX_PAYOUT);
+    const bet = money.payout(mines.MAX_PAYOUT, 0.6);
+    const mined = tileWhere(await upcomingMines(player, 3, 1), true);
+    const res = await auto(player, { bet_amount: bet, bombCount: 3, tiles: [mined], rounds: 5, on_loss: { action: 'increase', percent: 100 } });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.equal(res.body.rounds.length, 1);
+    assert.equal(res.body.stopped, 'bet_limit');
+    await assertConsistent(player, mines.MAX_PAYOUT, res.body);
+  });
+});
@@ -0,0 +1,67 @@
+// test/helpers.js — boots app.js on the memory store and mock chain for the API tests
+process.env.STORE = 'memory';
+process.env.CHAIN = 'mock';
+process.env.MOCK_CHAIN_LAG = '0'; // every mock transaction is irreversible right away
+process.env.SESSION_SECRET = 'test-secret';
+process.env.RATE_LIMIT = process.env.RATE_LIMIT || 'off'; // rate-limit.test.js turns them on
+
+const crypto = require('crypto');
+const app = require('../app');
+const store = require('../store');
+const chain = require('../chain');
+const { applyCredit } = require('../ledger');
+
+// --- Listen on a free port; resolves to { url, close } ---
+function startServer() {
+  return new Promise(resolve => {
+    const server = app.listen(0, () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        close() {
+          server.closeAllConnections();
+          server.close();
+        }
+      });
+    });
+  });
+}
+
+// --- JSON request; resolves to { status, body } ---
+async function request(url, path, { method, body, token, headers = {} } = {}) {
+  const res = await fetch(url + path, {
+    method: method || (body ? 'POST' : 'GET'),
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      ...headers
+    },
+    body: body && JSON.stringify(body)
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+// Random valid WAX name, so tests never share a player
+function randomWallet() {
+  const chars = 'abcdefghijklmnopqrstuvwxyz12345';
+  return 't' + Array.from(crypto.randomBytes(11), b => chars[b % chars.length]).join('');
+}
+
+// --- Log a mock-chain account in through /auth; resolves to its session token ---
+async function login(url, wallet) {
+  const { body: { nonce } } = await request(url, '/auth/challenge', { method: 'POST' });
+  const signature = chain.signMessage(wallet, nonce);
+  const { body } = await request(url, '/auth/login', { body: { wallet, type: 'cloud', nonce, signature } });
+  return body.token;
+}
+
+// --- New mock-chain account, logged in through /auth and holding `credits` ---
+async function createPlayer(url, credits = 0) {
+  const wallet = randomWallet();
+  chain.createAccount(wallet);
+  const token = await login(url, wallet);
+
+  if (credits > 0) await applyCredit(wallet, credits, 'deposit', `test-${crypto.randomUUID()}`);
+  return { wallet, token };
+}
+
+module.exports = { startServer, request, login, createPlayer, randomWallet, store, chain };
@@ -0,0 +1,136 @@
+// test/history.test.js — /history/games and /history/transactions
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startServer, request, createPlayer, store, chain } = require('./helpers');
+const mines = require('../mines');
+const { APP_WALLET, KAHEL_CONTRACT } = require('../config');
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server.close());
+
+const post = (path, body, token) => request(server.url, path, { body, token });
+const get = (path, token) => request(server.url, path, { token });
+
+async function playGame(player, outcome) {
+  // Distinct created_at timestamps keep "newest first" unambiguous
+  await new Promise(resolve => setTimeout(resolve, 5));
+  const { body } = await post('/game/start', { bet_amount: 10, bombCount: 3 }, player.token);
+  const game = await store.games.get(body.gameId);
+  const safe = Array.from({ length: 25 }, (_, i) => i).find(i => !game.mine_positions.includes(i));
+
+  if (outcome === 'lost') await post('/game/click', { gameId: game.game_id, tileIndex: game.mine_positions[0] }, player.token);
+  if (outcome === 'cashedOut') {
+    await post('/game/click', { gameId: game.game_id, tileIndex: safe }, player.token);
+    await post('/game/cashout', { gameId: game.game_id }, player.token);
+  }
+  return game;
+}
+
+describe('GET /history/games/:wallet', () => {
+  it('lists games newest first with payout, board and filters', async () => {
+    const player = await createPlayer(server.url, 1000);
+    const lost = await playGame(player, 'lost');
+    const won = await playGame(player, 'cashedOut');
+    const active = await playGame(player, 'active');
+
+    const all = await get(`/history/games/${player.wallet}`, player.token);
+    assert.equal(all.status, 200);
+    assert.deepEqual(all.body.items.map(g => g.gameId), [active.game_id, won.game_id, lost.game_id]);
+
+    const [activeEntry, wonEntry, lostEntry] = all.body.items;
+    assert.equal(activeEntry.mine_positions, null);
+    assert.equal(activeEntry.payout, null);
+
+    assert.equal(wonEntry.status, 'cashedOut');
+    assert.equal(wonEntry.bombs, 3);
+    assert.equal(wonEntry.payout, 10 * mines.multiplier(3, 1));
+    assert.equal(wonEntry.revealed.length, 1);
+    assert.deepEqual(wonEntry.mine_positions, won.mine_positions);
+
+    assert.equal(lostEntry.payout, 0);
+    assert.equal(lostEntry.profit, -10);
+
+    const onlyLost = await get(`/history/games/${player.wallet}?status=lost`, player.token);
+    assert.deepEqual(onlyLost.body.items.map(g => g.gameId), [lost.game_id]);
+    const onlyWon = await get(`/history/games/${player.wallet}?status=won`, player.token);
+    assert.deepEqual(onlyWon.body.items.map(g => g.gameId), [won.game_id]);
+  });
+
+  it('files games that only handed the bet back under refunded, not won', async () => {
+    const player = await createPlayer(server.url, 1000);
+    const won = await playGame(player, 'cashedOut');
+    // As game-expiry.js leaves them: untouched, and one click short of the first cash-out point
+    const expired = (multiplier, safe_clicks) => store.games.insert({
+      game_id: crypto.randomUUID(), game: 'mines', wallet: player.wallet, bet: 10, status: 'expired', multiplier, safe_clicks,
+      payout: Math.floor(10 * multiplier * 100) / 100, mine_positions: [0], revealed: [], total_tiles: 64
+    });
+    const untouched = await expired(1, 0);
+    const short = await expired(0.98, 1);
+
+    const onlyWon = await get(`/history/games/${player.wallet}?status=won`, player.token);
+    assert.deepEqual(onlyWon.body.items.map(g => g.gameId), [won.game_id]);
+    const refunded = await get(`/history/games/${player.wallet}?status=refunded`, player.token);
+    assert.deepEqual(refunded.body.items.map(g => g.gameId), [untouched.game_id]);
+    const allExpired = await get(`/history/games/${player.wallet}?status=expired`, player.token);
+    assert.deepEqual(allExpired.body.items.map(g => g.gameId).sort(), [untouched.game_id, short.game_id].sort());
+  });
+
+  it('pages with limit and offset', async () => {
+    const player = await createPlayer(server.url, 1000);
+    for (let i = 0; i < 5; i++) await playGame(player, 'lost');
+
+    const first = await get(`/history/games/${player.wallet}?limit=2`, player.token);
+    const third = await get(`/history/games/${player.wallet}?limit=2&offset=4`, player.token);
+    assert.equal(first.body.items.length, 2);
+    assert.equal(first.body.has_more, true);
+    assert.equal(third.body.items.length, 1);
+    assert.equal(third.body.has_more, false);
+  });
+
+  it('filters by date range', async () => {
+    const player = await createPlayer(server.url, 1000);
+    await playGame(player, 'lost');
+    const today = new Date().toISOString().slice(0, 10);
+
+    assert.equal((await get(`/history/games/${player.wallet}?from=${today}&to=${today}`, player.token)).body.items.length, 1);
+    assert.equal((await get(`/history/games/${player.wallet}?to=2000-01-01`, player.token)).body.items.length, 0);
+    assert.equal((await get(`/history/games/${player.wallet}?from=2999-01-01`, player.token)).body.items.length, 0);
+  });
+
+  it('rejects bad filters and other wallets', async () => {
+    const player = await createPlayer(server.url);
+    const other = await createPlayer(server.url);
+    assert.equal((await get(`/history/games/${player.wallet}?status=bogus`, player.token)).status, 400);
+    assert.equal((await get(`/history/games/${player.wallet}?limit=1000`, player.token)).status, 400);
+    assert.equal((await get(`/history/games/${player.wallet}?from=yesterday`, player.token)).status, 400);
+    assert.equal((await get(`/history/games/${player.wallet}`, other.token)).status, 403);
+  });
+});
+
+describe('GET /history/transactions/:wallet', () => {
+  it('merges deposits and withdrawals and filters by type', async () => {
+    const player = await createPlayer(server.url);
+    const txid = chain.transfer({ contract: KAHEL_CONTRACT, from: player.wallet, to: APP_WALLET, quantity: '2.00 KAHEL', memo: '' }).transaction_id;
+    await post('/convert/deposit', { kahel_amount: 2, txid }, player.token);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await request(server.url, '/convert/withdraw', {
+      token: player.token, headers: { 'Idempotency-Key': 'history-1' }, body: { credits_to_use: 100 }
+    });
+
+    const all = await get(`/history/transactions/${player.wallet}`, player.token);
+    assert.equal(all.status, 200);
+    assert.deepEqual(all.body.items.map(t => t.type), ['withdraw', 'deposit']);
+    assert.equal(all.body.items[1].txid, txid);
+    assert.equal(all.body.items[1].status, 'credited');
+    assert.equal(all.body.items[0].credits, 100);
+
+    const deposits = await get(`/history/transactions/${player.wallet}?type=deposit`, player.token);
+    assert.deepEqual(deposits.body.items.map(t => t.type), ['deposit']);
+    const page = await get(`/history/transactions/${player.wallet}?limit=1&offset=1`, player.token);
+    assert.deepEqual(page.body.items.map(t => t.type), ['deposit']);
+    assert.equal(page.body.has_more, false);
+    assert.equal((await get(`/history/transactions/${player.wallet}?type=game`, player.token)).status, 400);
+  });
+});
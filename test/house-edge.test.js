@@ -0,0 +1,65 @@
+// test/house-edge.test.js — the Mines payout table keeps the configured house edge
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mines = require('../mines');
+const { deriveMinePositions } = require('../provably-fair');
+
+const RTP = 1 - mines.HOUSE_EDGE;
+// Multipliers are rounded to cents, which moves a ~1.0x payout by up to half a percent
+const ROUNDING = 0.005;
+
+// Chance that the first `clicks` picks on a fresh board all miss the mines
+function survival(tiles, bombs, clicks) {
+  let p = 1;
+  for (let i = 0; i < clicks; i++) p *= (tiles - bombs - i) / (tiles - i);
+  return p;
+}
+
+describe('house edge', () => {
+  it('is configured at 3.5%', () => {
+    assert.equal(mines.HOUSE_EDGE, 0.035);
+  });
+
+  it('holds for every board size, bomb count and cash-out point below the multiplier cap', () => {
+    for (const size of mines.BOARD_SIZES) {
+      const tiles = size * size;
+      for (let bombs = 1; bombs < tiles; bombs++) {
+        for (let clicks = 1; clicks <= tiles - bombs; clicks++) {
+          const mult = mines.multiplier(bombs, clicks, { totalTiles: tiles });
+          if (mult >= mines.MAX_MULTIPLIER) continue; // capped payouts only favour the house
+          const expectedReturn = survival(tiles, bombs, clicks) * mult;
+          assert.ok(Math.abs(expectedReturn - RTP) <= ROUNDING,
+            `${size}x${size}, ${bombs} bombs, ${clicks} clicks: return ${expectedReturn.toFixed(4)}`);
+        }
+      }
+    }
+  });
+
+  it('opens cash-out only from the minimum multiplier up', () => {
+    // 8x8 with one mine: 64/63 x 0.965 = 0.98 after the first click, 0.996 after the second
+    assert.equal(mines.multiplier(1, 1, { totalTiles: 64 }), 0.98);
+    assert.equal(mines.canCashOut(mines.multiplier(1, 2, { totalTiles: 64 })), false);
+    assert.deepEqual(mines.firstCashOut(1, { totalTiles: 64 }), { clicks: 3, multiplier: 1.01 });
+    assert.deepEqual(mines.firstCashOut(3), { clicks: 1, multiplier: mines.multiplier(3, 1) });
+  });
+
+  it('shows up over many simulated games on provably fair boards', async () => {
+    const GAMES = 60000;
+    let wagered = 0;
+    let paid = 0;
+
+    // Fixed seeds keep the run deterministic; strategies cycle through 1-3 bombs x 1-3 clicks
+    for (let nonce = 0; nonce < GAMES; nonce++) {
+      const bombs = 1 + (nonce % 3);
+      const clicks = 1 + (Math.floor(nonce / 3) % 3);
+      const positions = await deriveMinePositions('house-edge-server-seed', 'house-edge-client-seed', nonce, bombs);
+
+      wagered += 1;
+      const picks = Array.from({ length: clicks }, (_, i) => i);
+      if (!picks.some(tile => positions.includes(tile))) paid += mines.multiplier(bombs, clicks);
+    }
+
+    const edge = 1 - paid / wagered;
+    assert.ok(Math.abs(edge - mines.HOUSE_EDGE) < 0.01, `simulated edge ${(edge * 100).toFixed(2)}%`);
+  });
+});
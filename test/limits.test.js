@@ -0,0 +1,170 @@
+// test/limits.test.js — responsible-gaming limits, cooling-off and self-exclusion
+process.env.LIMIT_COOLING_OFF_MS = '300';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, request, createPlayer, store, chain } = require('./helpers');
+const { getBalance } = require('../ledger');
+const watcher = require('../deposit-watcher');
+const { APP_WALLET, KAHEL_CONTRACT, RATE } = require('../config');
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server.close());
+
+const setLimits = (player, body) => request(server.url, '/limits', { token: player.token, body });
+const getLimits = player => request(server.url, `/limits/${player.wallet}`, { token: player.token });
+const start = (player, bet) => request(server.url, '/game/start', { token: player.token, body: { bet_amount: bet, bombCount: 3 } });
+const cashOut = (player, gameId) => request(server.url, '/game/cashout', { token: player.token, body: { gameId } });
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('setting limits', () => {
+  it('applies decreases at once and increases after the cooling-off', async () => {
+    const player = await createPlayer(server.url);
+
+    let res = await setLimits(player, { max_bet: 50, deposit_daily: 100 });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.limits.max_bet, 50);
+    assert.equal(res.body.limits.deposit_daily, 100);
+    assert.equal(res.body.limits.loss_daily, null);
+
+    res = await setLimits(player, { max_bet: 20 });
+    assert.equal(res.body.limits.max_bet, 20);
+
+    res = await setLimits(player, { max_bet: 80, deposit_daily: null });
+    assert.equal(res.body.limits.max_bet, 20);
+    assert.equal(res.body.limits.deposit_daily, 100);
+    assert.equal(res.body.pending.max_bet.value, 80);
+    assert.equal(res.body.pending.deposit_daily.value, null);
+
+    await sleep(350);
+    res = await getLimits(player);
+    assert.equal(res.body.limits.max_bet, 80);
+    assert.equal(res.body.limits.deposit_daily, null);
+    assert.deepEqual(res.body.pending, {});
+  });
+
+  it('drops a queued increase when the limit is lowered again', async () => {
+    const player = await createPlayer(server.url);
+    await setLimits(player, { loss_weekly: 100 });
+    await setLimits(player, { loss_weekly: 500 });
+    const res = await setLimits(player, { loss_weekly: 60 });
+    assert.equal(res.body.limits.loss_weekly, 60);
+    assert.deepEqual(res.body.pending, {});
+  });
+
+  it('validates values and needs the session\'s own wallet', async () => {
+    const player = await createPlayer(server.url);
+    const other = await createPlayer(server.url);
+    assert.equal((await setLimits(player, {})).status, 400);
+    assert.equal((await setLimits(player, { max_bet: -5 })).status, 400);
+    assert.equal((await setLimits(player, { reminder_minutes: 1.5 })).status, 400);
+    assert.equal((await request(server.url, `/limits/${other.wallet}`, { token: player.token })).status, 403);
+  });
+});
+
+describe('bet limits', () => {
+  it('refuses bets over max_bet', async () => {
+    const player = await createPlayer(server.url, 100);
+    await setLimits(player, { max_bet: 10 });
+
+    const res = await start(player, 11);
+    assert.equal(res.status, 403);
+    assert.equal(res.body.code, 'MAX_BET');
+    assert.equal((await start(player, 10)).status, 200);
+
+    const dice = await request(server.url, '/game/dice/roll', { token: player.token, body: { bet_amount: 20, target: 50 } });
+    assert.equal(dice.status, 403);
+  });
+
+  it('refuses bets that could pass a loss limit, counting open games as lost', async () => {
+    const player = await createPlayer(server.url, 100);
+    await setLimits(player, { loss_daily: 30 });
+
+    const first = await start(player, 20);
+    assert.equal(first.status, 200);
+    const refused = await start(player, 15);
+    assert.equal(refused.status, 403);
+    assert.equal(refused.body.code, 'LOSS_LIMIT');
+    assert.equal(refused.body.limit, 'loss_daily');
+    assert.equal(refused.body.remaining, 10);
+
+    // Cashing out at ×1 gives the bet back, and with it the room to play
+    await cashOut(player, first.body.gameId);
+    assert.equal((await start(player, 15)).status, 200);
+    assert.equal((await getLimits(player)).body.usage.losses.daily, 15);
+  });
+});
+
+const send = (from, quantity) =>
+  chain.transfer({ contract: KAHEL_CONTRACT, from, to: APP_WALLET, quantity, memo: `deposit:${from}` }).transaction_id;
+
+describe('deposit limits', () => {
+  it('caps deposits per window in credits, checked before and after signing', async () => {
+    const player = await createPlayer(server.url);
+    await setLimits(player, { deposit_weekly: 5 * RATE });
+
+    const check = amount => request(server.url, `/limits/${player.wallet}/deposit?token=KAHEL&amount=${amount}`, { token: player.token });
+    assert.equal((await check(3)).status, 200);
+
+    const txid = send(player.wallet, '3.00 KAHEL');
+    const ok = await request(server.url, '/convert/deposit', { token: player.token, body: { token: 'KAHEL', amount: 3, txid } });
+    assert.equal(ok.status, 202);
+
+    const over = await check(3);
+    assert.equal(over.status, 403);
+    assert.equal(over.body.code, 'DEPOSIT_LIMIT');
+    assert.equal(over.body.remaining, 2 * RATE);
+
+    const late = send(player.wallet, '3.00 KAHEL');
+    const refused = await request(server.url, '/convert/deposit', { token: player.token, body: { kahel_amount: 3, txid: late } });
+    assert.equal(refused.status, 403);
+    assert.equal(refused.body.limit, 'deposit_weekly');
+
+    // Asking about a deposit already on record still answers with its status
+    assert.equal((await request(server.url, '/convert/deposit', { token: player.token, body: { kahel_amount: 3, txid } })).status, 202);
+
+    // The watcher sees both transfers: the accepted one is credited, the refused one held for a refund
+    await watcher.poll();
+    assert.equal(await getBalance(player.wallet), 3 * RATE);
+    assert.ok(!(await store.deposits.get(late)));
+    const held = await store.unmatchedDeposits.get(late);
+    assert.equal(held.wallet, player.wallet);
+    assert.equal(held.reason, 'Deposit would pass your weekly deposit limit');
+  });
+});
+
+describe('self-exclusion', () => {
+  it('blocks games and deposits and can only be extended', async () => {
+    const player = await createPlayer(server.url, 100);
+    assert.equal((await request(server.url, '/limits/exclude', { token: player.token, body: { days: 0 } })).status, 400);
+
+    const res = await request(server.url, '/limits/exclude', { token: player.token, body: { days: 7 } });
+    assert.equal(res.status, 200);
+    const until = res.body.excluded_until;
+    assert.ok(new Date(until) > new Date(Date.now() + 6 * 24 * 60 * 60 * 1000));
+
+    const game = await start(player, 5);
+    assert.equal(game.status, 403);
+    assert.equal(game.body.code, 'SELF_EXCLUDED');
+    const deposit = await request(server.url, `/limits/${player.wallet}/deposit?kahel_amount=1`, { token: player.token });
+    assert.equal(deposit.body.code, 'SELF_EXCLUDED');
+
+    // Sending the tokens anyway does not fund the account
+    const txid = send(player.wallet, '1.00 KAHEL');
+    await watcher.poll();
+    assert.equal(await getBalance(player.wallet), 100);
+    assert.match((await store.unmatchedDeposits.get(txid)).reason, /^Self-excluded until /);
+
+    const shorter = await request(server.url, '/limits/exclude', { token: player.token, body: { days: 1 } });
+    assert.equal(shorter.body.excluded_until, until);
+    const longer = await request(server.url, '/limits/exclude', { token: player.token, body: { days: 30 } });
+    assert.ok(new Date(longer.body.excluded_until) > new Date(until));
+
+    // Withdrawals still work
+    const withdraw = await request(server.url, '/convert/withdraw', {
+      token: player.token, body: { credits_to_use: 10, idempotency_key: 'excluded' }
+    });
+    assert.equal(withdraw.status, 202);
+  });
+});
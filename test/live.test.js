@@ -0,0 +1,180 @@
+// test/live.test.js — /live/stream and /live/big-wins
+process.env.LIVE_BIG_WIN_MIN_MULTIPLIER = '1.5'; // an even-odds dice win counts as big
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, request, createPlayer, store, chain } = require('./helpers');
+const fairness = require('../fairness');
+const withdrawals = require('../withdrawals');
+const announcements = require('../announcements');
+const { deriveDiceRoll } = require('../provably-fair');
+const { APP_WALLET, KAHEL_CONTRACT, RATE } = require('../config');
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server.close());
+
+const post = (path, body, token) => request(server.url, path, { body, token });
+
+async function waitFor(check, timeoutMs = 3000) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await check();
+    if (value || Date.now() > deadline) return value;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+// --- Open /live/stream; every parsed event lands in `events` as { type, data } ---
+async function openStream(token) {
+  const controller = new AbortController();
+  const res = await fetch(`${server.url}/live/stream${token ? `?token=${token}` : ''}`, { signal: controller.signal });
+  const stream = {
+    status: res.status,
+    events: [],
+    of: type => stream.events.filter(e => e.type === type).map(e => e.data),
+    next: (type, match = () => true) => waitFor(() => stream.of(type).find(match)),
+    close: () => controller.abort()
+  };
+  if (res.status !== 200) return stream;
+
+  (async () => {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    try {
+      for await (const chunk of res.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        let end;
+        while ((end = buffer.indexOf('\n\n')) >= 0) {
+          const block = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+          const type = /^event: (.*)$/m.exec(block);
+          const data = /^data: (.*)$/m.exec(block);
+          if (type && data) stream.events.push({ type: type[1], data: JSON.parse(data[1]) });
+        }
+      }
+    } catch {
+      // aborted by close()
+    }
+  })();
+  await stream.next('hello');
+  return stream;
+}
+
+describe('GET /live/stream', () => {
+  it('refuses a bad token but lets anyone follow the big wins', async () => {
+    const bad = await openStream('not-a-token');
+    assert.equal(bad.status, 401);
+
+    const anonymous = await openStream();
+    assert.equal(anonymous.status, 200);
+    const [hello] = anonymous.of('hello');
+    assert.equal(hello.wallet, null);
+    assert.ok(Array.isArray(hello.big_wins));
+    anonymous.close();
+  });
+
+  it('pushes balance changes and game settlements to the player\'s own sessions only', async () => {
+    const player = await createPlayer(server.url, 100);
+    const other = await createPlayer(server.url, 100);
+    const tabA = await openStream(player.token);
+    const tabB = await openStream(player.token);
+    const otherTab = await openStream(other.token);
+    assert.equal(tabA.of('hello')[0].balance, 100);
+
+    const { body } = await post('/game/start', { bet_amount: 10, bombCount: 3 }, player.token);
+    const game = await store.games.get(body.gameId);
+    await post('/game/click', { gameId: game.game_id, tileIndex: game.mine_positions[0] }, player.token);
+
+    for (const tab of [tabA, tabB]) {
+      const bet = await tab.next('balance', b => b.reason === 'game_bet');
+      assert.deepEqual(bet, { balance: 90, delta: -10, reason: 'game_bet', ref: game.game_id });
+      const settled = await tab.next('game', g => g.gameId === game.game_id);
+      assert.equal(settled.status, 'lost');
+      assert.equal(settled.payout, 0);
+    }
+    assert.deepEqual(otherTab.of('balance'), []);
+    assert.deepEqual(otherTab.of('game'), []);
+
+    for (const tab of [tabA, tabB, otherTab]) tab.close();
+  });
+
+  it('follows a deposit from pending to credited', async () => {
+    const player = await createPlayer(server.url);
+    const stream = await openStream(player.token);
+    const txid = chain.transfer({
+      contract: KAHEL_CONTRACT, from: player.wallet, to: APP_WALLET, quantity: '2.00 KAHEL', memo: `deposit:${player.wallet}`
+    }).transaction_id;
+
+    await post('/convert/deposit', { kahel_amount: '2.00', txid }, player.token);
+    const credited = await stream.next('deposit', d => d.status === 'credited');
+    assert.equal(credited.added_credits, 2 * RATE);
+    assert.deepEqual(stream.of('deposit').map(d => d.status), ['pending', 'credited']);
+    assert.equal((await stream.next('balance', b => b.reason === 'deposit')).balance, 2 * RATE);
+    stream.close();
+  });
+
+  it('follows a withdrawal until it is confirmed', async () => {
+    const player = await createPlayer(server.url, 300);
+    const stream = await openStream(player.token);
+
+    const res = await request(server.url, '/convert/withdraw', {
+      token: player.token, body: { credits_to_use: 200 }, headers: { 'Idempotency-Key': 'live-1' }
+    });
+    assert.equal(res.status, 202);
+
+    const confirmed = await waitFor(async () => {
+      const latest = stream.of('withdrawal').at(-1);
+      if (latest && latest.status === 'broadcasting') await withdrawals.processQueue();
+      return latest && latest.status === 'confirmed' && latest;
+    });
+    assert.ok(confirmed, 'withdrawal was not confirmed');
+    assert.equal(confirmed.id, res.body.id);
+    assert.deepEqual(stream.of('withdrawal').map(w => w.status), ['requested', 'broadcasting', 'confirmed']);
+    stream.close();
+  });
+});
+
+describe('big wins feed', () => {
+  it('broadcasts big wins to every stream and keeps the latest', async () => {
+    const watcher = await openStream();
+    const player = await createPlayer(server.url, 100);
+
+    // A small Mines cash-out is no big win
+    const { body } = await post('/game/start', { bet_amount: 10, bombCount: 1 }, player.token);
+    const game = await store.games.get(body.gameId);
+    const safe = Array.from({ length: 25 }, (_, i) => i).find(i => !game.mine_positions.includes(i));
+    await post('/game/click', { gameId: game.game_id, tileIndex: safe }, player.token);
+    await post('/game/cashout', { gameId: game.game_id }, player.token);
+
+    // An even-odds dice win pays x1.98, over the 1.5 threshold set above
+    const seed = await fairness.getActiveSeed(player.wallet);
+    const rolled = await deriveDiceRoll(seed.server_seed, seed.client_seed, seed.nonce + 1);
+    const bet = rolled > 49.99 ? { target: 49.99, direction: 'over' } : { target: 50.01, direction: 'under' };
+    const won = await post('/game/dice/roll', { bet_amount: 10, ...bet }, player.token);
+    assert.equal(won.body.won, true);
+
+    const win = await watcher.next('big_win', w => w.wallet === player.wallet);
+    assert.equal(win.game, 'dice');
+    assert.equal(win.payout, won.body.payout);
+    assert.equal(watcher.of('big_win').filter(w => w.wallet === player.wallet).length, 1);
+
+    const feed = await request(server.url, '/live/big-wins');
+    assert.equal(feed.body.big_wins[0].wallet, player.wallet);
+    watcher.close();
+  });
+});
+
+describe('announcements', () => {
+  it('tells every stream, logged in or not, that announcements changed', async () => {
+    const anonymous = await openStream();
+    const player = await createPlayer(server.url);
+    const own = await openStream(player.token);
+
+    announcements.changed();
+    assert.ok(await anonymous.next('announcement'));
+    assert.ok(await own.next('announcement'));
+    anonymous.close();
+    own.close();
+  });
+});
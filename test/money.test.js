@@ -0,0 +1,86 @@
+// test/money.test.js — exact minor-unit arithmetic and its rounding directions
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const money = require('../money');
+
+const token = (precision, rate) => ({ symbol: 'TEST', precision, rate });
+const kahel = { symbol: 'KAHEL', precision: 2, rate: 100 };
+
+describe('amounts', () => {
+  it('adds in cents, without float drift', () => {
+    assert.equal(money.sum([0.1, 0.2]), 0.3);
+    assert.equal(money.sum([100, -99.99]), 0.01);
+    assert.equal(money.sum([]), 0);
+    assert.equal(money.sum([1.2345, 1], 4), 2.2345);
+  });
+
+  it('parses positive amounts with at most the allowed decimals', () => {
+    assert.equal(money.parseAmount('2.50'), 2.5);
+    assert.equal(money.parseAmount(12), 12);
+    assert.equal(money.parseAmount(1.2345, 4), 1.2345);
+    for (const bad of ['1.005', 0.1 + 0.2, 0, -1, '', ' ', 'abc', '1e3', '0x10', null, undefined, NaN, Infinity, true])
+      assert.equal(money.parseAmount(bad), null, String(bad));
+  });
+
+  it('formats units with string math', () => {
+    assert.equal(money.formatUnits(150n), '1.50');
+    assert.equal(money.formatUnits(-5n), '-0.05');
+    assert.equal(money.formatUnits(7n, 4), '0.0007');
+    assert.equal(money.formatUnits(12n, 0), '12');
+    assert.equal(money.toUnits(19.99), 1999n);
+  });
+});
+
+describe('payouts', () => {
+  it('round down to the cent', () => {
+    assert.equal(money.payout(10, 1.13), 11.3); // 10 * 1.13 is 11.299999999999999 in floats
+    assert.equal(money.payout(10, 1.9798), 19.79);
+    assert.equal(money.payout(0.01, 1.5), 0.01);
+    assert.equal(money.payout(0.01, 0.99), 0);
+    assert.equal(money.payout(3, 1e12), 3e12);
+  });
+});
+
+describe('conversions', () => {
+  it('turns tokens into credits, rounding down', () => {
+    assert.equal(money.tokenToCredits(1.5, token(2, 100)), 150);
+    assert.equal(money.tokenToCredits(0.0001, token(4, 33.33)), 0);
+    assert.equal(money.tokenToCredits(1.0003, token(4, 33.33)), 33.33);
+  });
+
+  it('sends only whole token units on a withdrawal and debits exactly what they cost', () => {
+    assert.deepEqual(money.creditsToToken(150.37, token(2, 100)), { amount: 1.5, quantity: '1.50 TEST', credits: 150 });
+    assert.deepEqual(money.creditsToToken(1, token(4, 3)), { amount: 0.3333, quantity: '0.3333 TEST', credits: 1 });
+    assert.deepEqual(money.creditsToToken(0.5, token(2, 100)), { amount: 0, quantity: '0.00 TEST', credits: 0 });
+
+    // Never sends more than the credits cover, for any amount
+    for (let cents = 1; cents <= 1000; cents += 7) {
+      const credits = cents / 100;
+      const quote = money.creditsToToken(credits, token(4, 3.33));
+      assert.ok(quote.credits <= credits, `${credits}`);
+      assert.ok(money.tokenToCredits(quote.amount, token(4, 3.33)) <= quote.credits, `${credits}`);
+    }
+  });
+
+  it('refuses rates finer than a cent', () => {
+    assert.throws(() => money.tokenToCredits(1, token(2, 33.333)), RangeError);
+    assert.throws(() => money.creditsToToken(1, token(2, 0)), RangeError);
+  });
+});
+
+describe('asset strings', () => {
+  it('parses chain quantities, checking symbol and precision', () => {
+    assert.deepEqual(money.parseAsset('1.50 KAHEL'), { amount: 1.5, units: 150n, symbol: 'KAHEL' });
+    assert.deepEqual(money.parseAsset('1.50 KAHEL', kahel), { amount: 1.5, units: 150n, symbol: 'KAHEL' });
+    assert.equal(money.parseAsset('1.5 KAHEL', kahel), null);
+    assert.equal(money.parseAsset('1.50 WAX', kahel), null);
+    assert.equal(money.parseAsset('-1.50 KAHEL'), null);
+    assert.equal(money.parseAsset('KAHEL'), null);
+  });
+
+  it('formats amounts at the token precision', () => {
+    assert.equal(money.formatAsset(3, kahel), '3.00 KAHEL');
+    assert.equal(money.formatAsset(0.1 + 0.2, kahel), '0.30 KAHEL');
+    assert.equal(money.formatAsset(1.5, token(4, 1)), '1.5000 TEST');
+  });
+});
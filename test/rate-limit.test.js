@@ -0,0 +1,132 @@
+// test/rate-limit.test.js — rate limits, wallet name checks, player creation and body size limits
+process.env.RATE_LIMIT = 'on';
+process.env.RATE_LIMIT_GAME = '3/60000';
+process.env.RATE_LIMIT_AUTH = '4/60000';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, request, createPlayer, randomWallet, store, chain } = require('./helpers');
+const rateLimit = require('../rate-limit');
+const { createClient, RateLimitError } = require('../client');
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server.close());
+beforeEach(() => rateLimit.reset());
+
+const click = token => request(server.url, '/game/click', { token, body: { gameId: 'nope', tileIndex: 0 } });
+
+describe('rate limits', () => {
+  it('limits game moves per wallet with a structured 429', async () => {
+    const player = await createPlayer(server.url);
+    const other = await createPlayer(server.url);
+
+    for (let i = 0; i < 3; i++) assert.equal((await click(player.token)).status, 404);
+
+    const res = await fetch(`${server.url}/game/click`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${player.token}` },
+      body: JSON.stringify({ gameId: 'nope', tileIndex: 0 })
+    });
+    assert.equal(res.status, 429);
+    assert.ok(Number(res.headers.get('Retry-After')) > 0);
+    const body = await res.json();
+    assert.equal(body.code, 'RATE_LIMITED');
+    assert.equal(body.limit, 'game');
+    assert.equal(body.max, 3);
+    assert.ok(body.retry_after_ms > 0 && body.retry_after_ms <= 60000);
+
+    // Another wallet on the same IP has its own budget
+    assert.equal((await click(other.token)).status, 404);
+  });
+
+  it('limits login attempts per IP', async () => {
+    for (let i = 0; i < 4; i++) assert.equal((await request(server.url, '/auth/challenge', { method: 'POST' })).status, 200);
+    const res = await request(server.url, '/auth/challenge', { method: 'POST' });
+    assert.equal(res.status, 429);
+    assert.equal(res.body.limit, 'auth');
+
+    // The pages' client turns it into a RateLimitError they can show as a notice
+    const storage = { getItem: () => null, setItem() {}, removeItem() {} };
+    const err = await createClient({ baseUrl: server.url, storage }).api.post('/auth/challenge').catch(e => e);
+    assert.ok(err instanceof RateLimitError);
+    assert.ok(err.retryAfter >= 1 && err.retryAfter <= 60);
+    assert.match(err.message, /^Too many requests, try again in \d+s$/);
+  });
+});
+
+describe('proxy hops', () => {
+  // config.js as it loads with `env` on top of the current environment
+  function configWith(env) {
+    const path = require.resolve('../config');
+    const saved = { ...process.env };
+    const cached = require.cache[path];
+    Object.assign(process.env, env);
+    for (const [name, value] of Object.entries(env)) if (value === undefined) delete process.env[name];
+    delete require.cache[path];
+    try {
+      return require('../config');
+    } finally {
+      require.cache[path] = cached;
+      for (const name of Object.keys(process.env)) if (!(name in saved)) delete process.env[name];
+      Object.assign(process.env, saved);
+    }
+  }
+
+  it('trusts the one proxy Render puts in front unless told otherwise', () => {
+    assert.equal(configWith({ RENDER: undefined, TRUST_PROXY: undefined }).TRUST_PROXY, 0);
+    assert.equal(configWith({ RENDER: 'true', TRUST_PROXY: undefined }).TRUST_PROXY, 1);
+    assert.equal(configWith({ RENDER: 'true', TRUST_PROXY: '0' }).TRUST_PROXY, 0);
+    assert.equal(configWith({ TRUST_PROXY: '2' }).TRUST_PROXY, 2);
+    assert.throws(() => configWith({ TRUST_PROXY: 'yes' }), /Invalid TRUST_PROXY/);
+  });
+});
+
+describe('wallet names', () => {
+  it('refuses names that are not WAX accounts', async () => {
+    const { body: { nonce } } = await request(server.url, '/auth/challenge', { method: 'POST' });
+    const login = await request(server.url, '/auth/login', { body: { wallet: 'Not.A.Wallet', type: 'cloud', nonce, signature: 'x' } });
+    assert.equal(login.status, 400);
+    assert.equal(login.body.error, 'Invalid wallet name');
+
+    const player = await createPlayer(server.url);
+    for (const name of ['UPPER', 'toolongname123', 'endsindot.', 'bad_chars']) {
+      const res = await request(server.url, `/credits/${name}`, { token: player.token });
+      assert.equal(res.status, 400, name);
+    }
+  });
+});
+
+describe('player creation', () => {
+  it('happens at login and never from a lookup', async () => {
+    const wallet = randomWallet();
+    chain.createAccount(wallet);
+    const { body: { nonce } } = await request(server.url, '/auth/challenge', { method: 'POST' });
+    const { body } = await request(server.url, '/auth/login', {
+      body: { wallet, type: 'cloud', nonce, signature: chain.signMessage(wallet, nonce) }
+    });
+    assert.ok(await store.players.get(wallet));
+
+    const stranger = randomWallet();
+    assert.equal((await request(server.url, `/credits/${stranger}`)).status, 401);
+    assert.equal((await request(server.url, `/credits/${stranger}`, { token: body.token })).status, 403);
+    assert.ok(!(await store.players.get(stranger)));
+  });
+});
+
+describe('request size', () => {
+  it('answers oversized and malformed bodies with JSON errors', async () => {
+    const player = await createPlayer(server.url);
+    const big = await request(server.url, '/game/start', { token: player.token, body: { padding: 'x'.repeat(20 * 1024) } });
+    assert.equal(big.status, 413);
+    assert.equal(big.body.error, 'Request body too large');
+
+    const res = await fetch(`${server.url}/game/start`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${player.token}` },
+      body: '{"bet_amount":'
+    });
+    assert.equal(res.status, 400);
+    assert.equal((await res.json()).error, 'Invalid JSON body');
+  });
+});
@@ -0,0 +1,185 @@
+// test/rewards.test.js — referral codes, referral commission, rakeback tiers and /rewards/claim
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startServer, request, createPlayer, randomWallet, store, chain } = require('./helpers');
+const { getBalance } = require('../ledger');
+const controls = require('../controls');
+const rewards = require('../rewards');
+const mines = require('../mines');
+const dice = require('../dice');
+const { REFERRAL_SHARE, REWARDS_MAX_EDGE_SHARE } = require('../config');
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server.close());
+
+const get = player => request(server.url, `/rewards/${player.wallet}`, { token: player.token });
+const claim = player => request(server.url, '/rewards/claim', { method: 'POST', token: player.token });
+
+// First login through a referral link
+async function signUp(referral_code) {
+  const wallet = randomWallet();
+  chain.createAccount(wallet);
+  const { body: { nonce } } = await request(server.url, '/auth/challenge', { method: 'POST' });
+  const signature = chain.signMessage(wallet, nonce);
+  const { body } = await request(server.url, '/auth/login', { body: { wallet, type: 'cloud', nonce, signature, referral_code } });
+  return { wallet, token: body.token };
+}
+
+// A settled game, as the engines store it
+const played = (wallet, fields) => store.games.insert({
+  game_id: crypto.randomUUID(), game: 'mines', wallet, bet: 100, house_edge: 0.035, status: 'lost', safe_clicks: 0, payout: 0, ...fields
+});
+
+const cents = amount => Math.floor(amount * 100) / 100;
+
+describe('what counts', () => {
+  it('counts finished games where a bet was at stake', async () => {
+    const player = await createPlayer(server.url);
+    await played(player.wallet, { bet: 1, status: 'active', safe_clicks: 3, payout: null });
+    await played(player.wallet, { bet: 2, status: 'opening', payout: null });
+    await played(player.wallet, { bet: 4, status: 'cashedOut', safe_clicks: 0, payout: 4 });
+    await played(player.wallet, { bet: 8, status: 'expired', safe_clicks: 0, payout: 8 });
+    await played(player.wallet, { bet: 16, status: 'voided', safe_clicks: 2, payout: 16 });
+    await played(player.wallet, { bet: 32, status: 'lost', safe_clicks: 0 });
+    await played(player.wallet, { bet: 64, status: 'cashedOut', safe_clicks: 2, payout: 80 });
+    await played(player.wallet, { bet: 128, status: 'expired', safe_clicks: 1, payout: 130 });
+    await played(player.wallet, { game: 'dice', bet: 256, status: 'won', payout: 500 });
+
+    assert.equal(await store.reports.wagered(player.wallet), 32 + 64 + 128 + 256);
+    assert.equal((await get(player)).body.rakeback.wagered, 32 + 64 + 128 + 256);
+  });
+
+  it('pays each tier its rate on the volume within it', () => {
+    assert.equal(rewards.rakebackEarned(0), 0);
+    assert.equal(rewards.rakebackEarned(5000), 5);
+    assert.equal(rewards.rakebackEarned(15000), 17.5); // 10000 at 0.1% + 5000 at 0.15%
+    assert.equal(rewards.rakebackEarned(0.99), 0);
+
+    assert.deepEqual(rewards.tierProgress(15000), {
+      tier: { name: 'Silver', min_wagered: 10000, rate: 0.0015 },
+      next_tier: { name: 'Gold', min_wagered: 100000, rate: 0.002 },
+      to_next_tier: 85000
+    });
+    assert.equal(rewards.tierProgress(2e6).next_tier, null);
+  });
+
+  it('keeps top-tier rakeback plus referral within the share of each edge', () => {
+    const top = Math.max(...rewards.TIERS.map(tier => tier.rate));
+    assert.ok(rewards.REFERRAL_CAP > 0);
+    assert.ok(top + rewards.REFERRAL_CAP <= mines.MIN_REAL_EDGE * REWARDS_MAX_EDGE_SHARE);
+    assert.ok(top <= dice.MIN_REAL_EDGE * REWARDS_MAX_EDGE_SHARE);
+  });
+
+  it('pays referrals on what was lost, up to the cap', () => {
+    assert.equal(rewards.referralEarned({ wagered: 1000, payouts: 1200 }), 0);
+    assert.equal(rewards.referralEarned({ wagered: 1000, payouts: 980 }), cents(20 * REFERRAL_SHARE));
+    assert.equal(rewards.referralEarned({ wagered: 1000, payouts: 0 }), cents(1000 * rewards.REFERRAL_CAP));
+  });
+});
+
+describe('referrals', () => {
+  it('gives every wallet a code that ties new players to it', async () => {
+    const referrer = await createPlayer(server.url);
+    const first = await get(referrer);
+    assert.equal(first.status, 200);
+    assert.match(first.body.referral_code, /^[A-Z2-9]{8}$/);
+    assert.equal((await get(referrer)).body.referral_code, first.body.referral_code);
+
+    const referred = await signUp(first.body.referral_code.toLowerCase());
+    assert.equal((await store.players.get(referred.wallet)).referred_by, referrer.wallet);
+
+    // Only a first login counts, and unknown codes are ignored
+    const existing = await createPlayer(server.url);
+    const again = await request(server.url, '/auth/challenge', { method: 'POST' });
+    await request(server.url, '/auth/login', {
+      body: { wallet: existing.wallet, type: 'cloud', nonce: again.body.nonce, signature: chain.signMessage(existing.wallet, again.body.nonce), referral_code: first.body.referral_code }
+    });
+    assert.equal((await store.players.get(existing.wallet)).referred_by, undefined);
+    const stranger = await signUp('NOSUCHCODE');
+    assert.ok(stranger.token);
+    assert.equal((await store.players.get(stranger.wallet)).referred_by, undefined);
+  });
+
+  it('earns the referrer a share of what their players lose on Mines', async () => {
+    const referrer = await createPlayer(server.url);
+    const referred = await signUp((await get(referrer)).body.referral_code);
+
+    await played(referred.wallet, { bet: 100 });
+    await played(referred.wallet, { bet: 50, status: 'cashedOut', safe_clicks: 2, payout: 140 });
+    await played(referred.wallet, { bet: 500, status: 'cashedOut', safe_clicks: 0, payout: 500 }); // bet handed back
+    await played(referred.wallet, { bet: 400, status: 'active', payout: null });
+    await played(referred.wallet, { game: 'dice', bet: 1000, house_edge: 0.01, status: 'won', payout: 0 }); // Mines only
+
+    const { body } = await get(referrer);
+    const earned = Math.min(cents((150 - 140) * REFERRAL_SHARE), cents(150 * rewards.REFERRAL_CAP));
+    assert.ok(earned > 0);
+    assert.equal(body.referral.earned, earned);
+    assert.deepEqual(body.referral.players.map(p => [p.wallet, p.games, p.wagered, p.earned]), [[referred.wallet, 2, 150, earned]]);
+    assert.equal(body.rakeback.wagered, 0);
+    assert.equal(body.claimable, earned);
+
+    // The referred player's own volume earns them rakeback, dice included
+    const own = (await get(referred)).body;
+    assert.equal(own.referred_by, referrer.wallet);
+    assert.equal(own.rakeback.wagered, 1150);
+    assert.equal(own.rakeback.earned, 1.15);
+    assert.equal(own.rakeback.tier.name, 'Bronze');
+    assert.equal(own.rakeback.to_next_tier, 10000 - 1150);
+  });
+
+  it('earns nothing on a referred player who is ahead', async () => {
+    const referrer = await createPlayer(server.url);
+    const referred = await signUp((await get(referrer)).body.referral_code);
+
+    await played(referred.wallet, { bet: 100 });
+    await played(referred.wallet, { bet: 100, status: 'cashedOut', safe_clicks: 5, payout: 300 });
+
+    const { body } = await get(referrer);
+    assert.equal(body.referral.earned, 0);
+    assert.deepEqual(body.referral.players.map(p => [p.games, p.wagered, p.earned]), [[2, 200, 0]]);
+    assert.equal(body.claimable, 0);
+  });
+});
+
+describe('POST /rewards/claim', () => {
+  it('credits what was earned once', async () => {
+    const player = await createPlayer(server.url);
+    assert.equal((await claim(player)).status, 400);
+
+    await played(player.wallet, { game: 'dice', bet: 2000, status: 'lost' });
+    const res = await claim(player);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.claimed, 2);
+    assert.equal(await getBalance(player.wallet), 2);
+
+    const after = (await get(player)).body;
+    assert.equal(after.claimed, 2);
+    assert.equal(after.claimable, 0);
+    assert.equal((await claim(player)).status, 400);
+
+    // More play, more to claim
+    await played(player.wallet, { game: 'dice', bet: 1000, status: 'won' });
+    assert.equal((await claim(player)).body.claimed, 1);
+    assert.equal(await getBalance(player.wallet), 3);
+  });
+
+  it('pays out only once when claims race', async () => {
+    const player = await createPlayer(server.url);
+    await played(player.wallet, { game: 'dice', bet: 5000, status: 'lost' });
+
+    const results = await Promise.all([claim(player), claim(player), claim(player)]);
+    assert.equal(results.filter(r => r.status === 200).length, 1);
+    assert.ok(results.every(r => [200, 400, 409].includes(r.status)));
+    assert.equal(await getBalance(player.wallet), 5);
+  });
+
+  it('is refused for frozen wallets', async () => {
+    const player = await createPlayer(server.url);
+    await played(player.wallet, { game: 'dice', bet: 1000, status: 'lost' });
+    await controls.setFrozen(player.wallet, true);
+    assert.equal((await claim(player)).status, 403);
+    assert.equal(await getBalance(player.wallet), 0);
+  });
+});
@@ -0,0 +1,127 @@
+// test/tokens.test.js — the token registry: GET /tokens and WAX alongside KAHEL
+process.env.WAX_CONVERSION_RATE = '10';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, request, createPlayer, store, chain } = require('./helpers');
+const { getBalance } = require('../ledger');
+const withdrawals = require('../withdrawals');
+const watcher = require('../deposit-watcher');
+const { APP_WALLET } = require('../config');
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server.close());
+
+const sendWax = (from, quantity, memo = `deposit:${from}`) =>
+  chain.transfer({ contract: 'eosio.token', from, to: APP_WALLET, quantity, memo }).transaction_id;
+
+async function waitFor(check, timeoutMs = 3000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const result = await check();
+    if (result) return result;
+    await new Promise(r => setTimeout(r, 25));
+  }
+  return false;
+}
+
+describe('GET /tokens', () => {
+  it('lists the enabled tokens with their rates and bounds', async () => {
+    const res = await request(server.url, '/tokens');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.default, 'KAHEL');
+    assert.deepEqual(res.body.tokens.map(t => t.symbol), ['KAHEL', 'WAX']);
+    const wax = res.body.tokens.find(t => t.symbol === 'WAX');
+    assert.equal(wax.contract, 'eosio.token');
+    assert.equal(wax.precision, 8);
+    assert.equal(wax.rate, 10);
+    assert.equal(wax.min_deposit, 1);
+    assert.equal(wax.max_deposit, null);
+  });
+});
+
+describe('WAX conversions', () => {
+  it('quotes at the WAX rate and precision', async () => {
+    const res = await request(server.url, '/convert/quote?token=WAX&amount=2.5');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.quantity, '2.50000000 WAX');
+    assert.equal(res.body.credits, 25);
+
+    const below = await request(server.url, '/convert/quote?token=WAX&amount=0.5');
+    assert.equal(below.status, 400);
+    assert.equal(below.body.error, 'Minimum deposit is 1.00000000 WAX');
+  });
+
+  it('credits a WAX deposit at its own rate', async () => {
+    const player = await createPlayer(server.url);
+    const txid = sendWax(player.wallet, '2.00000000 WAX');
+    const res = await request(server.url, '/convert/deposit', { token: player.token, body: { token: 'WAX', amount: 2, txid } });
+    assert.equal(res.status, 202);
+    assert.equal(res.body.token, 'WAX');
+    assert.ok(await waitFor(async () => (await getBalance(player.wallet)) === 20));
+  });
+
+  it('refuses a deposit claimed in the wrong token', async () => {
+    const player = await createPlayer(server.url);
+    const txid = sendWax(player.wallet, '2.00000000 WAX');
+    const res = await request(server.url, '/convert/deposit', { token: player.token, body: { token: 'KAHEL', amount: 2, txid } });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, `Transaction has no KAHEL transfer from ${player.wallet} to ${APP_WALLET}`);
+    assert.equal(await getBalance(player.wallet), 0);
+  });
+
+  it('sends WAX on a withdrawal, within the bounds', async () => {
+    const player = await createPlayer(server.url, 50);
+    const before = await chain.getBalance('eosio.token', player.wallet, 'WAX');
+    const withdraw = (credits, key) => request(server.url, '/convert/withdraw', {
+      token: player.token,
+      headers: { 'Idempotency-Key': key },
+      body: { token: 'WAX', credits_to_use: credits }
+    });
+
+    assert.equal((await withdraw(5, 'too-small')).status, 400);
+
+    const res = await withdraw(25, 'wax-1');
+    assert.equal(res.status, 202);
+    assert.equal(res.body.token, 'WAX');
+    assert.equal(res.body.quantity, '2.50000000 WAX');
+    assert.equal(await getBalance(player.wallet), 25);
+
+    assert.ok(await waitFor(async () => {
+      await withdrawals.processQueue();
+      return (await chain.getBalance('eosio.token', player.wallet, 'WAX')) !== before;
+    }), 'WAX was not sent');
+    assert.equal(await chain.getBalance('eosio.token', player.wallet, 'WAX'), `${(parseFloat(before) + 2.5).toFixed(8)} WAX`);
+  });
+
+  it('refuses unknown tokens', async () => {
+    const player = await createPlayer(server.url, 50);
+    const res = await request(server.url, '/convert/withdraw', {
+      token: player.token,
+      headers: { 'Idempotency-Key': 'nope' },
+      body: { token: 'NOPE', credits_to_use: 10 }
+    });
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body.tokens, ['KAHEL', 'WAX']);
+  });
+});
+
+describe('deposit watcher', () => {
+  it('credits WAX sent with a deposit memo', async () => {
+    const player = await createPlayer(server.url);
+    sendWax(player.wallet, '1.50000000 WAX');
+    await watcher.poll();
+    assert.equal(await getBalance(player.wallet), 15);
+  });
+
+  it('holds a transfer below the minimum deposit instead of crediting it', async () => {
+    const player = await createPlayer(server.url);
+    const txid = sendWax(player.wallet, '0.50000000 WAX');
+    await watcher.poll();
+    assert.equal(await getBalance(player.wallet), 0);
+    const held = await store.unmatchedDeposits.get(txid);
+    assert.equal(held.wallet, player.wallet);
+    assert.equal(held.reason, 'Minimum deposit is 1.00000000 WAX');
+  });
+});
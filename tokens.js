@@ -0,0 +1,96 @@
+// tokens.js — the registry of tokens players can convert to and from credits
+//
+//   GET /tokens   enabled tokens with their rate and deposit/withdraw bounds (public)
+//
+// Entries come from TOKENS in config.js: { contract, symbol, precision, rate,
+// min_deposit, max_deposit, min_withdraw, max_withdraw, enabled }. `rate` is
+// credits per whole token and the bounds are token amounts, null for none.
+// A disabled token stays in the registry so deposits and withdrawals made while it
+// was on still verify, confirm and refund; it just takes no new ones.
+const express = require('express');
+const money = require('./money');
+const { TOKENS, APP_WALLET } = require('./config');
+
+const BOUNDS = ['min_deposit', 'max_deposit', 'min_withdraw', 'max_withdraw'];
+
+function normalize(entry) {
+  const token = {
+    contract: entry.contract,
+    symbol: entry.symbol,
+    precision: Number(entry.precision),
+    rate: entry.rate == null ? null : Number(entry.rate),
+    enabled: entry.enabled !== false
+  };
+  for (const name of BOUNDS) token[name] = entry[name] == null ? null : Number(entry[name]);
+  return token;
+}
+
+// Refuse to boot on an entry that could misprice a token or send it from the wrong contract
+function validate(token, seen) {
+  const name = `Token ${token.symbol}`;
+  if (typeof token.symbol !== 'string' || !/^[A-Z]{1,7}$/.test(token.symbol)) throw new Error(`Invalid token symbol "${token.symbol}"`);
+  if (seen.has(token.symbol)) throw new Error(`${name} is listed twice`);
+  if (typeof token.contract !== 'string' || !/^[a-z1-5.]{1,12}$/.test(token.contract)) throw new Error(`${name}: invalid contract "${token.contract}"`);
+  if (!Number.isInteger(token.precision) || token.precision < 0 || token.precision > 18) throw new Error(`${name}: precision must be 0-18`);
+  if (token.enabled) money.tokenToCredits(1, token); // throws RangeError on a missing or sub-cent rate
+  for (const bound of BOUNDS) {
+    if (token[bound] !== null && !(token[bound] >= 0)) throw new Error(`${name}: ${bound} must be a non-negative amount or null`);
+  }
+  for (const kind of ['deposit', 'withdraw']) {
+    const min = token[`min_${kind}`];
+    const max = token[`max_${kind}`];
+    if (min !== null && max !== null && min > max) throw new Error(`${name}: min_${kind} is above max_${kind}`);
+  }
+}
+
+const registry = new Map();
+for (const entry of TOKENS) {
+  const token = normalize(entry);
+  validate(token, registry);
+  registry.set(token.symbol, Object.freeze(token));
+}
+if (!registry.size) throw new Error('TOKENS lists no tokens');
+
+// Requests that name no token mean this one (KAHEL unless TOKENS says otherwise)
+const DEFAULT_SYMBOL = registry.keys().next().value;
+
+function list() {
+  return [...registry.values()];
+}
+
+// The token for `symbol` (the default when omitted), enabled or not; null if unknown
+function get(symbol = DEFAULT_SYMBOL) {
+  return registry.get(symbol) || null;
+}
+
+function byContract(contract, symbol) {
+  const token = registry.get(symbol);
+  return token && token.contract === contract ? token : null;
+}
+
+// --- Per-token bounds: null when `amount` (in the token) fits, else the 400 body ---
+function outOfBounds(token, kind, amount) {
+  const min = token[`min_${kind}`];
+  const max = token[`max_${kind}`];
+  if (min !== null && amount < min) return { error: `Minimum ${kind} is ${money.formatAsset(min, token)}`, min, max };
+  if (max !== null && amount > max) return { error: `Maximum ${kind} is ${money.formatAsset(max, token)}`, min, max };
+  return null;
+}
+
+function publicToken(token) {
+  const { contract, symbol, precision, rate } = token;
+  return { contract, symbol, precision, rate, ...Object.fromEntries(BOUNDS.map(name => [name, token[name]])) };
+}
+
+// --- Routes ---
+const router = express.Router();
+
+router.get('/', (req, res) => {
+  res.json({
+    app_wallet: APP_WALLET,
+    default: DEFAULT_SYMBOL,
+    tokens: list().filter(token => token.enabled).map(publicToken)
+  });
+});
+
+module.exports = { router, DEFAULT_SYMBOL, list, get, byContract, outOfBounds, publicToken };
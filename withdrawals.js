@@ -0,0 +1,234 @@
+// withdrawals.js — queued token withdrawals: debiting -> requested -> broadcasting -> confirmed | failed
+//
+// Credits are debited when the request is queued: the row is inserted as
+// `debiting`, which the worker never touches, and only becomes `requested` once
+// the ledger debit (ref = withdrawal id) has gone through. The worker signs the transfer
+// first and stores its txid and expiration *before* pushing it, so after a crash
+// or an RPC timeout it can always ask the chain what happened. Credits are only
+// refunded once the transaction has expired without ever appearing in history.
+const express = require('express');
+const crypto = require('crypto');
+const store = require('./store');
+const chain = require('./chain');
+const { requireAuth } = require('./auth');
+const { applyCredit, LedgerError } = require('./ledger');
+const events = require('./events');
+const controls = require('./controls');
+const money = require('./money');
+const tokens = require('./tokens');
+const {
+  APP_WALLET,
+  WITHDRAW_INTERVAL_MS, WITHDRAW_EXPIRE_SECONDS, WITHDRAW_CONFIRM_GRACE_MS
+} = require('./config');
+
+// A `debiting` row this old was interrupted mid-request; the ledger says whether it was paid for
+const DEBIT_STALE_MS = 60 * 1000;
+
+let timer = null;
+
+// --- Queue a withdrawal of `credits` paid out in `token` (a tokens.js entry) ---
+// The same (wallet, idempotency key) always maps to one row. Resolves to
+// { withdrawal, created }. Throws LedgerError when credits don't cover it, and
+// RangeError when the amount is below one token unit or outside the token's bounds.
+// The tokens sent round down and only what they cost is debited (money.creditsToToken),
+// so asking for 150.37 credits at 100 per KAHEL sends 1.50 KAHEL for 150 credits.
+async function requestWithdrawal(wallet, token, credits, idempotencyKey) {
+  const existing = await findByKey(wallet, idempotencyKey);
+  if (existing) return { withdrawal: existing, created: false };
+
+  const quote = money.creditsToToken(credits, token);
+  if (!(quote.amount > 0)) throw new RangeError(`${credits} credits is less than the smallest ${token.symbol} amount`);
+  const bounds = tokens.outOfBounds(token, 'withdraw', quote.amount);
+  if (bounds) throw new RangeError(bounds.error);
+
+  const id = crypto.randomUUID();
+  const inserted = await store.withdrawals.insert({
+    id,
+    wallet,
+    idempotency_key: idempotencyKey,
+    token: token.symbol,
+    credits: quote.credits,
+    quantity: quote.quantity,
+    status: 'debiting',
+    attempts: 0
+  });
+
+  // Unique (wallet, idempotency_key): a retry of the same request raced us
+  if (!inserted) {
+    const raced = await findByKey(wallet, idempotencyKey);
+    if (!raced) throw new Error('Failed to queue withdrawal');
+    return { withdrawal: raced, created: false };
+  }
+
+  try {
+    await applyCredit(wallet, -quote.credits, 'withdraw', id);
+  } catch (err) {
+    // Never debited, so nothing to refund
+    await update(inserted, 'debiting', { status: 'rejected', error: err.message });
+    throw err;
+  }
+
+  const queued = await update(inserted, 'debiting', { status: 'requested' });
+  if (queued) return { withdrawal: queued, created: true };
+
+  // The stale-row sweep got here first; it either queued it too or rejected it
+  const current = await store.withdrawals.get(id);
+  if (current.status === 'rejected') {
+    await applyCredit(wallet, quote.credits, 'withdraw_refund', id);
+    throw new Error('Withdrawal was interrupted; credits refunded');
+  }
+  return { withdrawal: current, created: true };
+}
+
+// --- A `debiting` row left behind by a crash: queue it if the debit landed, else reject it ---
+async function settleDebit(withdrawal) {
+  if (Date.now() - new Date(withdrawal.created_at).getTime() < DEBIT_STALE_MS) return;
+  const [debit] = await store.ledger.entries.find({ reason: 'withdraw', ref: withdrawal.id }, { limit: 1 });
+  if (debit) await update(withdrawal, 'debiting', { status: 'requested' });
+  else await update(withdrawal, 'debiting', { status: 'rejected', error: 'Interrupted before the credits were debited' });
+}
+
+async function findByKey(wallet, idempotencyKey) {
+  const [found] = await store.withdrawals.find({ wallet, idempotency_key: idempotencyKey });
+  return found || null;
+}
+
+// Conditional status change; null if someone else moved it first
+async function update(withdrawal, fromStatus, fields) {
+  const updated = await store.withdrawals.update(withdrawal.id, { ...fields, updated_at: new Date().toISOString() }, { status: fromStatus });
+  if (updated && updated.status !== fromStatus) notify(updated);
+  return updated;
+}
+
+function notify(withdrawal) {
+  events.publish(withdrawal.wallet, 'withdrawal', withdrawalStatus(withdrawal));
+}
+
+// --- requested -> broadcasting: sign, persist txid, then push ---
+// Waits in `requested` while an operator has withdrawals paused.
+async function broadcast(withdrawal) {
+  if (await controls.isPaused('withdrawals')) return;
+  const claimed = await update(withdrawal, 'requested', { status: 'broadcasting' });
+  if (!claimed) return; // another worker has it
+
+  const { txid, expiresAt, signed } = await chain.signTransfer({
+    contract: tokens.get(withdrawal.token).contract,
+    from: APP_WALLET,
+    to: withdrawal.wallet,
+    quantity: withdrawal.quantity,
+    memo: 'In-game withdrawal',
+    expireSeconds: WITHDRAW_EXPIRE_SECONDS
+  });
+
+  await store.withdrawals.update(withdrawal.id, {
+    txid,
+    expires_at: expiresAt,
+    attempts: (withdrawal.attempts || 0) + 1,
+    updated_at: new Date().toISOString()
+  });
+
+  try {
+    await chain.pushSigned(signed);
+  } catch (err) {
+    // The push may have reached a producer anyway; confirm() decides later
+    await store.withdrawals.update(withdrawal.id, { error: err.message });
+  }
+}
+
+// --- broadcasting -> confirmed | failed, decided only by what the chain says ---
+async function confirm(withdrawal) {
+  // Crashed after claiming but before signing: nothing was ever pushed
+  if (!withdrawal.txid) {
+    await update(withdrawal, 'broadcasting', { status: 'requested' });
+    return;
+  }
+
+  // null only when history definitely doesn't have it (yet); an unreachable node
+  // throws, leaving the row in `broadcasting` for the next pass
+  const tx = await chain.getTransaction(withdrawal.txid);
+  if (tx) {
+    if (tx.irreversible)
+      await update(withdrawal, 'broadcasting', { status: 'confirmed', block_num: tx.block_num, error: null });
+    return;
+  }
+
+  const deadline = new Date(withdrawal.expires_at).getTime() + WITHDRAW_CONFIRM_GRACE_MS;
+  if (Date.now() < deadline) return;
+
+  // Expired and never included: safe to give the credits back. Refunded before the
+  // row leaves `broadcasting`, so a failure in between is retried on the next pass;
+  // the ledger's unique (reason, ref) keeps the refund to one.
+  try {
+    await applyCredit(withdrawal.wallet, Number(withdrawal.credits), 'withdraw_refund', withdrawal.id);
+  } catch (err) {
+    if (!(err instanceof LedgerError && err.code === 'DUPLICATE_ENTRY')) throw err;
+  }
+  await update(withdrawal, 'broadcasting', { status: 'failed', error: withdrawal.error || 'Transfer expired without being included' });
+}
+
+async function processWithdrawal(withdrawal) {
+  if (withdrawal.status === 'debiting') return settleDebit(withdrawal);
+  if (withdrawal.status === 'requested') return broadcast(withdrawal);
+  if (withdrawal.status === 'broadcasting') return confirm(withdrawal);
+}
+
+// --- Drive every unfinished withdrawal forward; also the startup reconciliation ---
+async function processQueue() {
+  const open = await store.withdrawals.find({ status: ['debiting', 'requested', 'broadcasting'] }, { order: 'created_at' });
+
+  for (const withdrawal of open) {
+    try {
+      await processWithdrawal(withdrawal);
+    } catch (err) {
+      console.error(`Withdrawal ${withdrawal.id} failed to process:`, err.message);
+    }
+  }
+}
+
+async function tick() {
+  try {
+    await processQueue();
+  } catch (err) {
+    console.error('Withdrawal worker error:', err.message);
+  }
+  if (timer) timer = setTimeout(tick, WITHDRAW_INTERVAL_MS);
+}
+
+function start() {
+  if (timer) return;
+  timer = setTimeout(tick, 0);
+}
+
+function stop() {
+  clearTimeout(timer);
+  timer = null;
+}
+
+// --- What a player sees ---
+function withdrawalStatus(w) {
+  return {
+    id: w.id,
+    idempotency_key: w.idempotency_key,
+    token: w.token,
+    credits: Number(w.credits),
+    quantity: w.quantity,
+    status: w.status,
+    txid: w.status === 'rejected' ? undefined : w.txid || undefined,
+    error: w.status === 'failed' || w.status === 'rejected' ? w.error : undefined,
+    created_at: w.created_at
+  };
+}
+
+// --- Routes ---
+const router = express.Router();
+
+router.get('/:wallet', requireAuth, async (req, res) => {
+  try {
+    const rows = await store.withdrawals.find({ wallet: req.wallet }, { order: 'created_at', ascending: false, limit: 50 });
+    res.json({ wallet: req.wallet, withdrawals: rows.map(withdrawalStatus) });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch withdrawals', details: err.message });
+  }
+});
+
+module.exports = { router, requestWithdrawal, processWithdrawal, processQueue, withdrawalStatus, start, stop };